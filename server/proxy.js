@@ -0,0 +1,249 @@
+// Shared-key proxy for DN AI Pro Apex.
+// Holds the Gemini key server-side, forwards text / image / TTS generation requests, logs usage per
+// user and enforces per-user quotas, so a team can share one billing key without handing it out.
+//
+//   GEMINI_API_KEY=... npm run proxy     standalone on PROXY_PORT (default 8787)
+//   GEMINI_API_KEY=... npm run dev       same /api routes served by the vite dev server
+//
+// Users and quotas come from server/proxy.config.json (see proxy.config.example.json). Every request needs a
+// configured user and its token; set "allowAnonymous": true to accept any caller under the name it sends, on
+// the default quota. Browsers are only served from the app's origin unless "allowOrigin" lists others.
+//
+// Only Gemini is proxied. Stages routed to the OpenAI-compatible provider are refused by the app while proxy
+// mode is on, since they would bypass the shared key and its quotas.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { timingSafeEqual } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const KINDS = ['text', 'image', 'tts'];
+const MAX_BODY_BYTES = 25 * 1024 * 1024; // reference frames and documents travel inline as base64
+const DEFAULT_APP_ORIGIN = 'http://localhost:5173'; // vite dev server
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+export function loadProxyConfig(file = process.env.PROXY_CONFIG || path.join(here, 'proxy.config.json')) {
+    const config = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    const users = config.users || {};
+    return {
+        port: Number(process.env.PROXY_PORT || config.port || 8787),
+        apiKey: process.env.GEMINI_API_KEY || config.apiKey || '',
+        allowOrigin: [].concat(process.env.PROXY_ALLOW_ORIGIN || config.allowOrigin || DEFAULT_APP_ORIGIN),
+        usageLog: path.resolve(path.dirname(file), config.usageLog || 'usage-log.jsonl'),
+        defaultQuota: config.defaultQuota || {},
+        users,
+        allowAnonymous: config.allowAnonymous === true,
+    };
+}
+
+const dayKey = (ts) => new Date(ts).toISOString().slice(0, 10);
+const monthKey = (ts) => new Date(ts).toISOString().slice(0, 7);
+
+// Running totals per user, rebuilt from the append-only JSONL log at startup.
+function createUsageStore(file) {
+    const totals = {};
+
+    const current = (user, ts) => {
+        const t = totals[user] || (totals[user] = { day: '', requestsToday: 0, month: '', tokensMonth: 0 });
+        const day = dayKey(ts);
+        const month = monthKey(ts);
+        if (t.day !== day) { t.day = day; t.requestsToday = 0; }
+        if (t.month !== month) { t.month = month; t.tokensMonth = 0; }
+        return t;
+    };
+    const tokens = (entry) => (entry.inputTokens || 0) + (entry.outputTokens || 0);
+    const add = (entry) => {
+        const t = current(entry.user, entry.ts);
+        t.requestsToday++;
+        t.tokensMonth += tokens(entry);
+    };
+
+    if (fs.existsSync(file)) {
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try { add(JSON.parse(line)); } catch { /* skip torn writes */ }
+        }
+    }
+
+    return {
+        get(user, now = Date.now()) {
+            const t = totals[user];
+            return {
+                requestsToday: t && t.day === dayKey(now) ? t.requestsToday : 0,
+                tokensMonth: t && t.month === monthKey(now) ? t.tokensMonth : 0,
+            };
+        },
+        // Counts a request before it is forwarded, in the same tick as the quota check, so concurrent requests
+        // cannot all pass it. settle() then logs the request and adds its tokens.
+        reserve(user, ts = Date.now()) {
+            current(user, ts).requestsToday++;
+            return ts;
+        },
+        settle(entry) {
+            const t = totals[entry.user];
+            if (t && t.month === monthKey(entry.ts)) t.tokensMonth += tokens(entry);
+            fs.appendFile(file, JSON.stringify(entry) + '\n', err => err && console.error('Failed to write usage log:', err));
+        },
+    };
+}
+
+const sameSecret = (a, b) => {
+    const x = Buffer.from(String(a || ''));
+    const y = Buffer.from(String(b || ''));
+    return x.length === y.length && timingSafeEqual(x, y);
+};
+
+function identify(req, config) {
+    const user = String(req.headers['x-proxy-user'] || '').trim() || 'anonymous';
+    const account = config.users[user];
+    if (account) {
+        // A configured user without a token is refused, never left open
+        if (!account.token) return { status: 401, error: `Proxy user "${user}" has no token configured.` };
+        if (!sameSecret(req.headers['x-proxy-token'], account.token)) return { status: 401, error: 'Invalid proxy token.' };
+        return { user, quota: { ...config.defaultQuota, ...account } };
+    }
+    if (!config.allowAnonymous) return { status: 401, error: `Unknown proxy user "${user}".` };
+    return { user, quota: config.defaultQuota };
+}
+
+// Same-origin requests (the dev server middleware) always pass; cross-origin ones must be listed
+function originAllowed(req, config) {
+    const origin = req.headers.origin;
+    if (!origin || config.allowOrigin.includes('*') || config.allowOrigin.includes(origin)) return true;
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch {
+        return false;
+    }
+}
+
+function quotaError(usage, quota) {
+    if (quota.dailyRequests && usage.requestsToday >= quota.dailyRequests) return `Daily request quota reached (${quota.dailyRequests} requests).`;
+    if (quota.monthlyTokens && usage.tokensMonth >= quota.monthlyTokens) return `Monthly token quota reached (${quota.monthlyTokens} tokens).`;
+    return null;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large.'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Errors use Gemini's { error: { message } } shape so the browser client surfaces them unchanged.
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Connect-style handler: usable as a plain http.Server listener or as vite dev-server middleware.
+export function createProxyHandler(config = loadProxyConfig()) {
+    const usage = createUsageStore(config.usageLog);
+
+    return async function handle(req, res, next) {
+        const { pathname } = new URL(req.url, 'http://proxy');
+        if (!pathname.startsWith('/api/')) {
+            if (next) return next();
+            return send(res, 404, { error: { message: 'Not found.' } });
+        }
+
+        if (!originAllowed(req, config)) return send(res, 403, { error: { message: `Origin ${req.headers.origin} is not allowed by the proxy.` } });
+        if (req.headers.origin) {
+            res.setHeader('Access-Control-Allow-Origin', config.allowOrigin.includes('*') ? '*' : req.headers.origin);
+            res.setHeader('Vary', 'Origin');
+        }
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-proxy-user, x-proxy-token');
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        try {
+            const who = identify(req, config);
+            if (who.error) return send(res, who.status, { error: { message: who.error } });
+
+            if (req.method === 'GET' && pathname === '/api/usage') {
+                return send(res, 200, {
+                    user: who.user,
+                    ...usage.get(who.user),
+                    quota: { dailyRequests: who.quota.dailyRequests || 0, monthlyTokens: who.quota.monthlyTokens || 0 },
+                });
+            }
+
+            const kind = pathname.slice('/api/'.length);
+            if (req.method !== 'POST' || !KINDS.includes(kind)) return send(res, 404, { error: { message: 'Not found.' } });
+            if (!config.apiKey) return send(res, 500, { error: { message: 'Proxy has no GEMINI_API_KEY configured.' } });
+
+            let payload;
+            try {
+                payload = JSON.parse(await readBody(req));
+            } catch (e) {
+                return send(res, e.status || 400, { error: { message: e.status ? e.message : 'Request body must be JSON.' } });
+            }
+            const { model, request } = payload;
+            if (!/^[\w.-]+$/.test(String(model))) return send(res, 400, { error: { message: 'Invalid model name.' } });
+
+            // 403 rather than 429 so clients do not retry into an exhausted quota
+            const exceeded = quotaError(usage.get(who.user), who.quota);
+            if (exceeded) return send(res, 403, { error: { message: exceeded, code: 'quota_exceeded' } });
+            const ts = usage.reserve(who.user);
+
+            let upstream;
+            let text;
+            try {
+                upstream = await fetch(`${GEMINI_BASE_URL}/models/${model}:generateContent`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': config.apiKey },
+                    body: JSON.stringify(request),
+                });
+                text = await upstream.text();
+            } catch (e) {
+                usage.settle({ ts, user: who.user, kind, model, status: 502 });
+                throw e;
+            }
+            let json = null;
+            try { json = JSON.parse(text); } catch { /* pass non-JSON errors through untouched */ }
+
+            usage.settle({
+                ts,
+                user: who.user,
+                kind,
+                model,
+                status: upstream.status,
+                inputTokens: json?.usageMetadata?.promptTokenCount || 0,
+                outputTokens: (json?.usageMetadata?.candidatesTokenCount || 0) + (json?.usageMetadata?.thoughtsTokenCount || 0),
+            });
+
+            const headers = { 'Content-Type': upstream.headers.get('content-type') || 'application/json' };
+            const retryAfter = upstream.headers.get('retry-after');
+            if (retryAfter) headers['Retry-After'] = retryAfter;
+            res.writeHead(upstream.status, headers);
+            res.end(text);
+        } catch (e) {
+            send(res, 502, { error: { message: `Proxy error: ${e.message}` } });
+        }
+    };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const config = loadProxyConfig();
+    if (!config.apiKey) console.warn('GEMINI_API_KEY is not set; generation requests will fail until it is.');
+    if (!Object.keys(config.users).length && !config.allowAnonymous) console.warn('No proxy users are configured and allowAnonymous is off; every request will be refused.');
+    http.createServer(createProxyHandler(config)).listen(config.port, () => {
+        console.log(`Shared-key proxy listening on http://localhost:${config.port}`);
+    });
+}
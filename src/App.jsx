@@ -1,16 +1,16 @@
 import React, { useEffect, useMemo, useRef, useState, useCallback } from 'react';
-import { Clock, Download, FileText, Image as ImageIcon, Sparkles, X, RotateCw, Loader2, Volume2, Copy, Zap as ZapIcon, Settings, BrainCircuit, Users, CheckCircle, Save, TrendingUp, Cpu, List, Map, Lock, ClipboardCheck, BookOpen, Layers, Video } from 'lucide-react';
+import { Clock, Download, FileText, Image as ImageIcon, Sparkles, X, RotateCw, Loader2, Volume2, Copy, Zap as ZapIcon, Settings, BrainCircuit, Users, CheckCircle, Save, TrendingUp, Cpu, List, Map as MapIcon, Lock, ClipboardCheck, BookOpen, Layers, Video, FolderOpen, FolderPlus, Pencil, Archive, ArchiveRestore, Trash2, ChevronDown, ChevronRight, Upload, Undo2, Redo2, History } from 'lucide-react';
 
 // --- Global Constants and Helper Functions ---
 
 const cn = (...a) => a.filter(Boolean).join(' ');
 
-// List of available TTS voices
+// List of available TTS voices (openaiVoice is the closest match for OpenAI-compatible speech endpoints)
 const TTS_VOICES = [
-    { name: 'Kore (Firm Narrator)', voiceName: 'Kore', description: 'Firm, clear, suitable for dramatic or professional narration.' },
-    { name: 'Charon (Deep Informant)', voiceName: 'Charon', description: 'Deep, informative, suitable for solemn or documentary style.' },
-    { name: 'Puck (Upbeat)', voiceName: 'Puck', description: 'Upbeat, friendly, suitable for trailers or energetic delivery.' },
-    { name: 'Zephyr (Bright)', voiceName: 'Zephyr', description: 'Bright, smooth, suitable for professional and clean audio.' },
+    { name: 'Kore (Firm Narrator)', voiceName: 'Kore', openaiVoice: 'sage', description: 'Firm, clear, suitable for dramatic or professional narration.' },
+    { name: 'Charon (Deep Informant)', voiceName: 'Charon', openaiVoice: 'onyx', description: 'Deep, informative, suitable for solemn or documentary style.' },
+    { name: 'Puck (Upbeat)', voiceName: 'Puck', openaiVoice: 'fable', description: 'Upbeat, friendly, suitable for trailers or energetic delivery.' },
+    { name: 'Zephyr (Bright)', voiceName: 'Zephyr', openaiVoice: 'shimmer', description: 'Bright, smooth, suitable for professional and clean audio.' },
 ];
 
 // List of available physical branding assets
@@ -24,6 +24,7 @@ const BRANDING_SCHEMA = {
     items: {
         type: 'OBJECT',
         properties: {
+            sceneId: { type: 'STRING', description: 'The [SCENE id] tag of the scene this plan belongs to, copied exactly.' },
             sceneHeader: { type: 'STRING' },
             scene_prompt_addition: { type: 'STRING', description: 'The concise, cinematic prompt addition detailing the physical prop inclusion. Must be a visual description only.' },
             brand_assets: {
@@ -42,7 +43,7 @@ const BRANDING_SCHEMA = {
             },
             safety_checks: { type: 'STRING', description: 'Confirmation that all safety checks (no readable text, screens off/blurred, logo size < 3%) are met.' }
         },
-        required: ['sceneHeader', 'scene_prompt_addition', 'brand_assets', 'safety_checks']
+        required: ['sceneId', 'sceneHeader', 'scene_prompt_addition', 'brand_assets', 'safety_checks']
     }
 };
 
@@ -101,6 +102,37 @@ function base64ToArrayBuffer(base64) {
     return bytes.buffer;
 }
 
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// FNV-1a: short, stable fingerprint for request bodies
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// mulberry32: deterministic PRNG so injected faults repeat run-to-run
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 function pcmToWav(pcm16, sampleRate = 24000) {
     const numChannels = 1;
     const numSamples = pcm16.length;
@@ -138,6 +170,75 @@ function pcmToWav(pcm16, sampleRate = 24000) {
 }
 
 // 2. IndexedDB Helpers
+// Schema history:
+//   v3  history (saved states keyed by timestamp), config
+//   v4  projects; each history entry becomes a version of a project via `projectId` (indexed)
+//   v5  assets: content-addressed Blobs keyed by SHA-256; entries and config hold `asset:<hash>` refs
+//       (inline data URLs from older entries are moved over once, after open, by AssetStore.externalizeLegacy)
+const DB_VERSION = 5;
+
+const newProjectId = () => `prj-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const legacyProjectName = (entry) => entry.config?.scriptFile || `PROJECT ID: ${String(entry.timestamp).slice(-6)}`;
+
+const DEFAULT_HISTORY_FILTERS = { query: '', from: '', to: '', style: '', branding: 'any', minCost: '', maxCost: '', pinnedOnly: false };
+
+// "YYYY-MM-DD" from a date input as local midnight, `offset` days on; new Date(string) would read it as UTC
+const localDay = (value, offset = 0) => {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(y, m - 1, d + offset);
+};
+
+// History Log search and filters. `query` matches project/script name, theme or any scene header.
+function historyMatches(item, projectName, f) {
+    const q = f.query.trim().toLowerCase();
+    if (q) {
+        const haystack = [projectName, item.config?.scriptFile, item.vision?.core_theme, ...item.scenes.map(s => s.sceneHeader)];
+        if (!haystack.some(text => text && String(text).toLowerCase().includes(q))) return false;
+    }
+    if (f.from && item.timestamp < localDay(f.from).getTime()) return false;
+    if (f.to && item.timestamp >= localDay(f.to, 1).getTime()) return false;
+    if (f.style && item.config?.visualStyle !== f.style) return false;
+    if (f.branding !== 'any' && !!item.config?.isBrandingMode !== (f.branding === 'on')) return false;
+    if (f.minCost !== '' && item.cost < Number(f.minCost)) return false;
+    if (f.maxCost !== '' && item.cost > Number(f.maxCost)) return false;
+    if (f.pinnedOnly && !item.pinned) return false;
+    return true;
+}
+
+const formatBytes = (bytes) => {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+};
+
+const STORAGE_WARN_RATIO = 0.8;
+
+// v3 -> v4: group the flat history log into projects. Entries for the same script file share a project;
+// entries without one each become their own project under the title the old log displayed.
+function migrateHistoryToProjects(tx) {
+    const projects = tx.objectStore('projects');
+    const history = tx.objectStore('history');
+    history.createIndex('projectId', 'projectId', { unique: false });
+
+    const byName = {};
+    history.openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) {
+            Object.values(byName).forEach(p => projects.put(p));
+            return;
+        }
+        const entry = cursor.value;
+        const name = legacyProjectName(entry);
+        const key = entry.config?.scriptFile ? name : `#${entry.timestamp}`;
+        const project = byName[key] || (byName[key] = { id: newProjectId(), name, createdAt: entry.timestamp, updatedAt: entry.timestamp, archived: false });
+        project.createdAt = Math.min(project.createdAt, entry.timestamp);
+        project.updatedAt = Math.max(project.updatedAt, entry.timestamp);
+        cursor.update({ ...entry, projectId: project.id });
+        cursor.continue();
+    };
+}
+
 const idb = (() => {
     let dbPromise = null;
 
@@ -145,13 +246,30 @@ const idb = (() => {
         if (!('indexedDB' in window)) return null;
         if (!dbPromise) {
             dbPromise = new Promise((resolve, reject) => {
-                const req = indexedDB.open('dn-ai-pro-apex-db-v3', 3);
+                const req = indexedDB.open('dn-ai-pro-apex-db-v3', DB_VERSION);
                 req.onupgradeneeded = (e) => {
                     const db = e.target.result;
+                    const tx = e.target.transaction;
                     if (!db.objectStoreNames.contains('history')) db.createObjectStore('history', { keyPath: 'timestamp' });
                     if (!db.objectStoreNames.contains('config')) db.createObjectStore('config', { keyPath: 'key' });
+                    if (e.oldVersion < 4) {
+                        db.createObjectStore('projects', { keyPath: 'id' });
+                        migrateHistoryToProjects(tx);
+                    }
+                    if (e.oldVersion < 5) db.createObjectStore('assets', { keyPath: 'hash' });
+                };
+                // An open tab on an older version holds the upgrade until it closes
+                req.onblocked = () => idb.onBlocked();
+                req.onsuccess = () => {
+                    const db = req.result;
+                    // A newer version opened elsewhere: let its upgrade through rather than block it
+                    db.onversionchange = () => {
+                        db.close();
+                        dbPromise = null;
+                        idb.onVersionChange();
+                    };
+                    resolve(db);
                 };
-                req.onsuccess = () => resolve(req.result);
                 req.onerror = () => reject(req.error);
             });
         }
@@ -159,6 +277,9 @@ const idb = (() => {
     }
 
     return {
+        onBlocked: () => {},
+        onVersionChange: () => {},
+
         async getHistory() {
             const db = await getDB();
             if (!db) return [];
@@ -174,7 +295,73 @@ const idb = (() => {
             return new Promise((res, rej) => {
                 const t = db.transaction('history', 'readwrite');
                 t.objectStore('history').put(item);
-                t.oncomplete = () => res(true);
+                t.oncomplete = () => { TabSync.post('history'); res(true); };
+                t.onerror = () => rej(t.error);
+            });
+        },
+        async deleteHistory(timestamps) {
+            const db = await getDB();
+            if (!db) return false;
+            return new Promise((res, rej) => {
+                const t = db.transaction('history', 'readwrite');
+                timestamps.forEach(ts => t.objectStore('history').delete(ts));
+                t.oncomplete = () => { TabSync.post('history'); res(true); };
+                t.onerror = () => rej(t.error);
+            });
+        },
+        async getProjects() {
+            const db = await getDB();
+            if (!db) return [];
+            return new Promise((res, rej) => {
+                const r = db.transaction('projects', 'readonly').objectStore('projects').getAll();
+                r.onsuccess = () => res(r.result.sort((a, b) => b.updatedAt - a.updatedAt));
+                r.onerror = () => rej(r.error);
+            });
+        },
+        async putProject(project) {
+            const db = await getDB();
+            if (!db) return false;
+            return new Promise((res, rej) => {
+                const t = db.transaction('projects', 'readwrite');
+                t.objectStore('projects').put(project);
+                t.oncomplete = () => { TabSync.post('history'); res(true); };
+                t.onerror = () => rej(t.error);
+            });
+        },
+        // Project record and all of its versions go in one transaction
+        async deleteProject(id) {
+            const db = await getDB();
+            if (!db) return false;
+            return new Promise((res, rej) => {
+                const t = db.transaction(['projects', 'history'], 'readwrite');
+                t.objectStore('projects').delete(id);
+                t.objectStore('history').index('projectId').openKeyCursor(IDBKeyRange.only(id)).onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    t.objectStore('history').delete(cursor.primaryKey);
+                    cursor.continue();
+                };
+                t.oncomplete = () => { TabSync.post('history'); res(true); };
+                t.onerror = () => rej(t.error);
+            });
+        },
+        // Copies keep their order but get fresh timestamps, since timestamp is the history key. They go
+        // past the newest key in the store at fractional values, which no existing entry and no later
+        // Date.now() save can hold.
+        async duplicateProject(project, versions) {
+            const db = await getDB();
+            if (!db) return false;
+            const now = Date.now();
+            const ordered = [...versions].sort((a, b) => a.timestamp - b.timestamp);
+            return new Promise((res, rej) => {
+                const t = db.transaction(['projects', 'history'], 'readwrite');
+                const history = t.objectStore('history');
+                t.objectStore('projects').put({ ...project, createdAt: now, updatedAt: now });
+                history.openKeyCursor(null, 'prev').onsuccess = (e) => {
+                    const base = Math.floor(Math.max(e.target.result?.key ?? 0, now)) + 1;
+                    ordered.forEach((v, i) => history.put({ ...v, timestamp: base + (i + 1) / (ordered.length + 1), projectId: project.id }));
+                };
+                t.oncomplete = () => { TabSync.post('history'); res(true); };
                 t.onerror = () => rej(t.error);
             });
         },
@@ -193,6 +380,75 @@ const idb = (() => {
             return new Promise((res, rej) => {
                 const t = db.transaction('config', 'readwrite');
                 t.objectStore('config').put({ key, value });
+                t.oncomplete = () => { TabSync.post('config', { key }); res(true); };
+                t.onerror = () => rej(t.error);
+            });
+        },
+        async deleteConfig(key) {
+            const db = await getDB();
+            if (!db) return false;
+            return new Promise((res, rej) => {
+                const t = db.transaction('config', 'readwrite');
+                t.objectStore('config').delete(key);
+                t.oncomplete = () => { TabSync.post('config', { key }); res(true); };
+                t.onerror = () => rej(t.error);
+            });
+        },
+        async getAllConfig() {
+            const db = await getDB();
+            if (!db) return [];
+            return new Promise((res, rej) => {
+                const r = db.transaction('config', 'readonly').objectStore('config').getAll();
+                r.onsuccess = () => res(r.result);
+                r.onerror = () => rej(r.error);
+            });
+        },
+        async getAsset(hash) {
+            const db = await getDB();
+            if (!db) return null;
+            return new Promise((res, rej) => {
+                const r = db.transaction('assets', 'readonly').objectStore('assets').get(hash);
+                r.onsuccess = () => res(r.result || null);
+                r.onerror = () => rej(r.error);
+            });
+        },
+        // Content-addressed, so an existing record is already identical and is left alone
+        async putAsset(record) {
+            const db = await getDB();
+            if (!db) return false;
+            return new Promise((res, rej) => {
+                const t = db.transaction('assets', 'readwrite');
+                const store = t.objectStore('assets');
+                store.getKey(record.hash).onsuccess = (e) => {
+                    if (e.target.result === undefined) store.put(record);
+                };
+                t.oncomplete = () => res(true);
+                t.onerror = () => rej(t.error);
+            });
+        },
+        // Hash and size only; blobs stay on disk
+        async getAssetIndex() {
+            const db = await getDB();
+            if (!db) return [];
+            return new Promise((res, rej) => {
+                const index = [];
+                const t = db.transaction('assets', 'readonly');
+                t.objectStore('assets').openCursor().onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    index.push({ hash: cursor.key, size: cursor.value.size || 0, createdAt: cursor.value.createdAt || 0 });
+                    cursor.continue();
+                };
+                t.oncomplete = () => res(index);
+                t.onerror = () => rej(t.error);
+            });
+        },
+        async deleteAssets(hashes) {
+            const db = await getDB();
+            if (!db) return false;
+            return new Promise((res, rej) => {
+                const t = db.transaction('assets', 'readwrite');
+                hashes.forEach(hash => t.objectStore('assets').delete(hash));
                 t.oncomplete = () => res(true);
                 t.onerror = () => rej(t.error);
             });
@@ -203,86 +459,708 @@ const idb = (() => {
 // 3. Task Queue
 class TaskQueue {
     running = 0;
+    reserved = 0; // summed `estimate` of tasks currently running
     q = [];
     max;
+    paused = false;
+    draining = false; // set by push, so onComplete fires once per run however the queue empties
     onComplete = () => {};
+    // Gate checked before each task starts; returning false pauses the queue (queued tasks are kept).
+    canStart = () => true;
+    onPause = () => {};
 
     constructor(max = 3) { this.max = max; }
     setMax(n) { this.max = Math.max(1, n); this.tick(); }
-    push(task) { this.q.push(task); this.tick(); }
-    clear() { this.q.length = 0; this.onComplete(); }
+    push(task) { this.q.push(task); this.draining = true; this.tick(); }
+    pause() { this.paused = true; }
+    resume() { this.paused = false; this.tick(); }
+    remove(predicate) { this.q = this.q.filter(t => !predicate(t)); this.tick(); }
+    // Running tasks are left to finish (or abort); the last one to settle completes the run
+    clear() { this.q.length = 0; this.paused = false; this.tick(); }
 
     async tick() {
-        if (this.running === 0 && this.q.length === 0) { this.onComplete(); return; }
-        while (this.running < this.max && this.q.length > 0) {
+        if (this.running === 0 && this.q.length === 0) {
+            if (this.draining) { this.draining = false; this.onComplete(); }
+            return;
+        }
+        while (!this.paused && this.running < this.max && this.q.length > 0) {
+            if (!this.canStart(this.q[0], this.reserved)) {
+                this.paused = true;
+                this.onPause(this.q[0]);
+                return;
+            }
             const t = this.q.shift();
+            const estimate = t.estimate || 0;
             this.running++;
-            t().finally(() => { this.running--; this.tick(); });
+            this.reserved += estimate;
+            t().finally(() => { this.running--; this.reserved -= estimate; this.tick(); });
         }
     }
 }
 
-// 4. API Client with Exponential Backoff
-async function safeFetchWithRetry(url, options, maxRetries, localApiKey) {
-    const apiKey = localApiKey || "";
-    const fullUrl = `${url}?key=${apiKey}`;
+// Scene lifecycle: queued -> optimizing -> starting -> generating -> success | error | cancelled
+const SCENE_DONE_STATUSES = ['success', 'error', 'cancelled'];
+const isSceneActive = (status) => !SCENE_DONE_STATUSES.includes(status);
+
+// 4. Offline Mock Backend (Record / Replay)
+// 'record' passes requests through and captures successful responses as fixtures; 'replay' serves
+// them back with no network. Fault injection (429s, empty candidates, timeouts) applies in both modes.
+const MockBackend = {
+    mode: 'off',
+    fixtures: [],
+    faults: { rateLimit: 0, emptyCandidates: 0, timeout: 0 },
+    seed: 1,
+    random: Math.random,
+    used: new Set(),
+    onRecord: () => {},
+
+    configure({ mode, faults, seed }) {
+        this.mode = mode;
+        this.faults = { ...this.faults, ...faults };
+        this.seed = seed;
+        this.reset();
+    },
+    load(fixtures) {
+        this.fixtures = fixtures;
+        this.reset();
+    },
+    // Rewinds replay and the fault sequence so a run can be repeated exactly.
+    reset() {
+        this.random = seededRandom(this.seed);
+        this.used = new Set();
+    },
 
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            if (attempt > 0) {
-                const delay = 1500 * Math.pow(2, attempt - 1);
-                await new Promise(r => setTimeout(r, delay));
+    injectFault(options) {
+        const roll = this.random();
+        const { rateLimit, emptyCandidates, timeout } = this.faults;
+        if (roll < rateLimit) {
+            return new Response(JSON.stringify({ error: { code: 429, status: 'RESOURCE_EXHAUSTED', message: 'Resource has been exhausted (mock fault injection).' } }),
+                { status: 429, headers: { 'Content-Type': 'application/json', 'Retry-After': '2' } });
+        }
+        if (roll < rateLimit + emptyCandidates) {
+            return new Response(JSON.stringify({ candidates: [] }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        }
+        if (roll < rateLimit + emptyCandidates + timeout) {
+            return new Promise((_, reject) => {
+                const fail = () => reject(new DOMException('Mock fault injection: request timed out.', 'AbortError'));
+                options?.signal?.addEventListener('abort', fail, { once: true });
+                setTimeout(fail, 60000);
+            });
+        }
+        return null;
+    },
+
+    async fetch(url, options) {
+        const fault = this.injectFault(options);
+        if (fault) return fault;
+
+        const endpoint = url.replace(/^https?:\/\/[^/]+/, '');
+        const key = `${endpoint}#${hashString(typeof options?.body === 'string' ? options.body : '')}`;
+
+        if (this.mode === 'record') {
+            const response = await fetch(url, options);
+            if (response.ok) {
+                const copy = response.clone();
+                const contentType = copy.headers.get('content-type') || '';
+                const entry = { key, endpoint, recordedAt: Date.now() };
+                if (contentType.includes('json')) entry.response = await copy.json();
+                else entry.blob = { mimeType: contentType, data: arrayBufferToBase64(await copy.arrayBuffer()) };
+                this.fixtures.push(entry);
+                this.onRecord(this.fixtures);
+            }
+            return response;
+        }
+
+        // Exact request match first; otherwise the next unused recording for the same endpoint.
+        let index = this.fixtures.findIndex((f, i) => f.key === key && !this.used.has(i));
+        if (index === -1) index = this.fixtures.findIndex(f => f.key === key);
+        if (index === -1) index = this.fixtures.findIndex((f, i) => f.endpoint === endpoint && !this.used.has(i));
+        if (index === -1) throw new Error(`Mock replay: no fixture recorded for ${endpoint}.`);
+        this.used.add(index);
+
+        const fixture = this.fixtures[index];
+        if (fixture.blob) {
+            return new Response(base64ToArrayBuffer(fixture.blob.data), { status: 200, headers: { 'Content-Type': fixture.blob.mimeType } });
+        }
+        return new Response(JSON.stringify(fixture.response), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    }
+};
+
+const DEFAULT_MOCK_CONFIG = { mode: 'off', faults: { rateLimit: 0, emptyCandidates: 0, timeout: 0 }, seed: 1 };
+
+// 5. API Client with Error-Aware Retry and Rate Limiting
+
+// HTTP failure from a provider. `retryable` decides whether safeFetchWithRetry tries again.
+class ApiError extends Error {
+    constructor(message, { status, retryable = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// The provider refused the prompt or withheld the output. Never retried: the same request is blocked again.
+class SafetyBlockError extends Error {
+    constructor(reason, message, usage = null) {
+        super(message || `Blocked by provider safety filters (${reason}).`);
+        this.name = 'SafetyBlockError';
+        this.reason = reason;
+        this.usage = usage; // blocked calls are still billed for their input
+    }
+}
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const isRetryable = (e) => e instanceof ApiError ? e.retryable : e instanceof TypeError; // TypeError = network failure
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const id = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(id); reject(signal.reason); }, { once: true });
+});
+
+// Server backoff hint: Retry-After header (seconds or HTTP date), else Gemini's google.rpc.RetryInfo detail.
+function parseRetryAfter(response, json) {
+    const header = response.headers.get('retry-after');
+    if (header) {
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    const info = json?.error?.details?.find(d => String(d['@type']).endsWith('RetryInfo'));
+    return info?.retryDelay ? parseFloat(info.retryDelay) * 1000 : null;
+}
+
+// One token bucket shared by every text, image and TTS request, so concurrent queue tasks draw from
+// the same budget. A 429 with a backoff hint holds the whole bucket until the server is ready again.
+const RateLimiter = {
+    requestsPerMinute: 60,
+    burst: 5,
+    tokens: 5,
+    last: Date.now(),
+    blockedUntil: 0,
+
+    async acquire(signal) {
+        const refillPerMs = this.requestsPerMinute / 60000;
+        for (;;) {
+            const now = Date.now();
+            if (now < this.blockedUntil) {
+                await sleep(this.blockedUntil - now, signal);
+                continue;
             }
+            this.tokens = Math.min(this.burst, this.tokens + (now - this.last) * refillPerMs);
+            this.last = now;
+            if (this.tokens >= 1) {
+                this.tokens -= 1;
+                return;
+            }
+            await sleep((1 - this.tokens) / refillPerMs, signal);
+        }
+    },
+    holdFor(ms) {
+        this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+    }
+};
+
+// Retries happen deep inside provider calls; the app reports them on its status line.
+const RetryMonitor = {
+    onRetry: () => {},
+};
+
+// `rateLimited: false` skips the shared bucket (cheap local polls); `timeoutMs` bounds each attempt on its own,
+// so backoff sleeps never eat into a request's time.
+async function safeFetchWithRetry(url, options, maxRetries, localApiKey, responseType = 'json', { rateLimited = true, timeoutMs = 0 } = {}) {
+    // Gemini keys travel in the x-goog-api-key header, never the URL, so they stay out of logs and browser history.
+    // Other providers pass no key and set their own headers.
+    const request = localApiKey ? { ...options, headers: { ...options?.headers, 'x-goog-api-key': localApiKey } } : options;
 
-            const response = await fetch(fullUrl, options);
-            const json = await response.json();
+    for (let attempt = 0; ; attempt++) {
+        let timeout = null;
+        try {
+            if (rateLimited) await RateLimiter.acquire(options?.signal);
+
+            timeout = timeoutMs ? AbortSignal.timeout(timeoutMs) : null;
+            const attemptRequest = timeout ? { ...request, signal: options?.signal ? AbortSignal.any([options.signal, timeout]) : timeout } : request;
+            const response = MockBackend.mode === 'off'
+                ? await fetch(url, attemptRequest)
+                : await MockBackend.fetch(url, attemptRequest);
+            if (response.ok && responseType === 'blob') return await response.blob();
+            const json = await response.json().catch(() => null);
 
             if (!response.ok) {
-                const errorMessage = json.error?.message || json.error || `API error (${response.status}): ${JSON.stringify(json)}`;
-                throw new Error(errorMessage);
+                const code = json?.error?.code;
+                if (['content_policy_violation', 'moderation_blocked'].includes(code)) {
+                    throw new SafetyBlockError(code, json.error.message);
+                }
+                const errorMessage = json?.error?.message || (typeof json?.error === 'string' && json.error) || `API error (${response.status}): ${json ? JSON.stringify(json) : response.statusText}`;
+                throw new ApiError(errorMessage, {
+                    status: response.status,
+                    retryable: RETRYABLE_STATUSES.includes(response.status),
+                    retryAfterMs: parseRetryAfter(response, json),
+                });
+            }
+            if (!json) throw new ApiError(`Malformed response from ${url}.`, { status: response.status, retryable: true });
+            // Gemini sometimes answers 200 with no candidates and no block reason; the same request usually succeeds
+            if (Array.isArray(json.candidates) && !json.candidates.length && !json.promptFeedback?.blockReason) {
+                throw new ApiError('Provider returned an empty response (no candidates).', { status: response.status, retryable: true });
             }
 
             return json; // Success
-        } catch (e) {
-            if (attempt === maxRetries) {
+        } catch (caught) {
+            const e = timeout?.aborted && !options?.signal?.aborted
+                ? new ApiError(`Request timed out after ${Math.round(timeoutMs / 1000)} seconds.`, { status: 408, retryable: true })
+                : caught;
+            if (attempt >= maxRetries || options?.signal?.aborted || !isRetryable(e)) {
                 throw e;
             }
+            // Honor the server's hint; otherwise exponential backoff with equal jitter (half fixed, half random).
+            const base = 1500 * Math.pow(2, attempt);
+            const delay = e.retryAfterMs != null ? e.retryAfterMs + Math.random() * 250 : base / 2 + Math.random() * base / 2;
+            if (e.retryAfterMs != null) RateLimiter.holdFor(e.retryAfterMs);
+            RetryMonitor.onRetry({ url, attempt: attempt + 1, maxRetries, delay, message: e.message });
+            await sleep(delay, options?.signal);
         }
     }
 }
 
-async function callText(parts, system, jsonSchema, retryCount, apiKey, tools) {
-    const model = 'gemini-2.5-flash-preview-05-20';
+// 6. Model Provider Layer
+// callText/callImage/callTTS route each pipeline stage to a provider adapter. Adapters accept
+// Gemini-style `parts` and return { text | image | audio, usage } where usage is normalized for metering.
 
-    let responseMimeType = undefined;
-    if (jsonSchema) {
-        responseMimeType = 'application/json';
-    }
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+const DEFAULT_MODELS = {
+    text: 'gemini-2.5-flash-preview-05-20',
+    image: 'gemini-2.5-flash-image-preview',
+    tts: 'gemini-2.5-flash-preview-tts',
+};
+
+const PIPELINE_STAGES = [
+    { id: 'ingest', label: 'DOCUMENT DEEP-SCAN', kind: 'text' },
+    { id: 'vision', label: 'DIRECTOR VISION', kind: 'text' },
+    { id: 'segmentation', label: 'SCENE SEGMENTATION', kind: 'text' },
+    { id: 'optimizer', label: 'PROMPT OPTIMIZER', kind: 'text' },
+    { id: 'image', label: 'FRAME SYNTHESIS', kind: 'image' },
+    { id: 'edit', label: 'FRAME EDIT', kind: 'image' },
+    { id: 'tts', label: 'VOICEOVER', kind: 'tts' },
+    { id: 'matrix', label: 'MATRIX TOOLS / BRANDING', kind: 'text' },
+    { id: 'viral', label: 'VIRAL ARCHITECT', kind: 'text' },
+];
+
+const DEFAULT_STAGE_PROVIDERS = Object.fromEntries(PIPELINE_STAGES.map(s => [s.id, 'gemini']));
 
-    const body = {
-        contents: [{ parts }],
-        systemInstruction: system ? { parts: [{ text: system }] } : undefined,
-        generationConfig: jsonSchema ? { responseMimeType: responseMimeType, responseSchema: jsonSchema } : undefined,
-        tools: tools,
+const stageKind = (stage) => PIPELINE_STAGES.find(s => s.id === stage)?.kind || 'text';
+
+// Sampling controls shown in the System Console. Each provider lists the ones it honors per kind.
+const GENERATION_PARAMS = [
+    { key: 'temperature', label: 'TEMP', min: 0, max: 2, step: 0.1 },
+    { key: 'topP', label: 'TOP-P', min: 0, max: 1, step: 0.05 },
+    { key: 'maxOutputTokens', label: 'MAX OUT', min: 1, step: 256 },
+];
+
+// Blank values keep the provider's own model and sampling defaults.
+const DEFAULT_STAGE_PARAMS = Object.fromEntries(PIPELINE_STAGES.map(s => [s.id, { model: '', temperature: '', topP: '', maxOutputTokens: '' }]));
+
+const DEFAULT_PROVIDER_SETTINGS = {
+    openai: { baseUrl: 'https://api.openai.com/v1', apiKey: '', textModel: 'gpt-4o-mini', imageModel: 'gpt-image-1', ttsModel: 'gpt-4o-mini-tts' },
+    ollama: { baseUrl: 'http://localhost:11434', textModel: 'llama3.2-vision' },
+    sdwebui: { baseUrl: 'http://127.0.0.1:7860', imageModel: '' },
+    comfyui: { baseUrl: 'http://127.0.0.1:8188', imageModel: 'sd_xl_base_1.0.safetensors' },
+};
+
+// Model a route will call: the stage override (merged into settings by routeFor), else the provider default.
+const routeModel = (route, kind) => route.settings?.[`${kind}Model`] || (route.provider === 'gemini' ? DEFAULT_MODELS[kind] : '');
+
+const trimSlash = (u) => String(u || '').replace(/\/+$/, '');
+
+function splitDataUrl(ref) {
+    const [meta, data] = ref.split(',');
+    return { mimeType: meta.split(':')[1].split(';')[0] || 'image/jpeg', data };
+}
+
+// Gemini schemas use upper-case OpenAPI types; OpenAI and Ollama expect standard JSON Schema.
+function toJsonSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toJsonSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(Object.entries(schema).map(([k, v]) => [k, k === 'type' && typeof v === 'string' ? v.toLowerCase() : toJsonSchema(v)]));
+}
+
+const geminiUsage = (json, model) => ({
+    model,
+    inputTokens: json.usageMetadata?.promptTokenCount || 0,
+    outputTokens: (json.usageMetadata?.candidatesTokenCount || 0) + (json.usageMetadata?.thoughtsTokenCount || 0),
+});
+
+const GEMINI_BLOCK_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY', 'RECITATION'];
+
+// Gemini reports blocks inside a 200 response: on the prompt (promptFeedback) or on the candidate (finishReason).
+function assertGeminiNotBlocked(json, usage) {
+    const promptBlock = json.promptFeedback?.blockReason;
+    if (promptBlock) throw new SafetyBlockError(promptBlock, `Prompt blocked by Gemini safety filters (${promptBlock}).`, usage);
+    const finishReason = json.candidates?.[0]?.finishReason;
+    if (GEMINI_BLOCK_REASONS.includes(finishReason)) throw new SafetyBlockError(finishReason, `Output withheld by Gemini safety filters (${finishReason}).`, usage);
+}
+
+const openAiHeaders = (settings, json = true) => ({
+    ...(json ? { 'Content-Type': 'application/json' } : {}),
+    ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}),
+});
+
+// Stock ComfyUI text-to-image graph (checkpoint -> KSampler -> VAE decode -> save) at 16:9.
+function comfyTxt2ImgWorkflow(prompt, checkpoint) {
+    return {
+        '3': { class_type: 'KSampler', inputs: { seed: Math.floor(Math.random() * 1e15), steps: 28, cfg: 6.5, sampler_name: 'euler', scheduler: 'normal', denoise: 1, model: ['4', 0], positive: ['6', 0], negative: ['7', 0], latent_image: ['5', 0] } },
+        '4': { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: checkpoint } },
+        '5': { class_type: 'EmptyLatentImage', inputs: { width: 1344, height: 768, batch_size: 1 } },
+        '6': { class_type: 'CLIPTextEncode', inputs: { text: prompt, clip: ['4', 1] } },
+        '7': { class_type: 'CLIPTextEncode', inputs: { text: 'text, watermark, logo overlay, blurry, deformed', clip: ['4', 1] } },
+        '8': { class_type: 'VAEDecode', inputs: { samples: ['3', 0], vae: ['4', 2] } },
+        '9': { class_type: 'SaveImage', inputs: { filename_prefix: 'dn_ai_frame', images: ['8', 0] } },
     };
+}
+
+// Proxy mode: Gemini requests go to the bundled shared-key proxy (server/proxy.js) instead of Google.
+// The proxy injects the key and meters usage under `user`; a blank baseUrl means the dev server's own /api.
+const ProxyClient = {
+    enabled: false,
+    baseUrl: '',
+    user: '',
+    token: '',
 
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+    configure(config) {
+        Object.assign(this, config);
+    },
+    headers() {
+        return {
+            ...(this.user ? { 'x-proxy-user': this.user } : {}),
+            ...(this.token ? { 'x-proxy-token': this.token } : {}),
+        };
+    },
+    async usage() {
+        return safeFetchWithRetry(`${trimSlash(this.baseUrl)}/api/usage`, { headers: this.headers() }, 0);
+    },
+    // The proxy only holds a Gemini key and only forwards to Gemini, so other providers are refused
+    // rather than silently bypassing the shared key and its quotas.
+    assertRoute(route, provider) {
+        if (!this.enabled || (route?.provider || 'gemini') === 'gemini') return;
+        const stage = PIPELINE_STAGES.find(s => s.id === route.stage)?.label || 'This stage';
+        throw new Error(`Proxy mode only serves Google Gemini, but ${stage} is routed to ${provider.label}. Route it to Gemini in the System Console or turn proxy mode off.`);
+    }
+};
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 60000);
+const DEFAULT_PROXY_CONFIG = { enabled: false, baseUrl: '', user: '', token: '' };
 
-    try {
-        const json = await safeFetchWithRetry(url, {
+function geminiGenerate(kind, model, body, retryCount, apiKey, signal, timeoutMs) {
+    if (ProxyClient.enabled) {
+        return safeFetchWithRetry(`${trimSlash(ProxyClient.baseUrl)}/api/${kind}`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(body),
-            signal: controller.signal
-        }, retryCount, apiKey);
+            headers: { 'Content-Type': 'application/json', ...ProxyClient.headers() },
+            body: JSON.stringify({ model, request: body }),
+            signal
+        }, retryCount, undefined, 'json', { timeoutMs });
+    }
+    return safeFetchWithRetry(`${GEMINI_BASE_URL}/models/${model}:generateContent`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+    }, retryCount, apiKey, 'json', { timeoutMs });
+}
+
+const MODEL_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        capabilities: ['text', 'image', 'tts'],
+        tunable: { text: ['temperature', 'topP', 'maxOutputTokens'], image: ['temperature', 'topP'] },
+        fields: [],
+        async text({ parts, system, jsonSchema, tools, retryCount, apiKey, settings, params, signal, timeoutMs }) {
+            const model = settings.textModel || DEFAULT_MODELS.text;
+            const body = {
+                contents: [{ parts }],
+                systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+                generationConfig: {
+                    ...(jsonSchema ? { responseMimeType: 'application/json', responseSchema: jsonSchema } : {}),
+                    temperature: params.temperature,
+                    topP: params.topP,
+                    maxOutputTokens: params.maxOutputTokens,
+                },
+                tools: tools,
+            };
+            const json = await geminiGenerate('text', model, body, retryCount, apiKey, signal, timeoutMs);
+            const usage = geminiUsage(json, model);
+            assertGeminiNotBlocked(json, usage);
+            return { text: json.candidates?.[0]?.content?.parts?.[0]?.text, usage };
+        },
+        async image({ prompt, ref, refs = [], retryCount, apiKey, settings, params, signal }) {
+            const model = settings.imageModel || DEFAULT_MODELS.image;
+            const parts = [{ text: prompt }];
+            if (ref && ref.startsWith('data:')) parts.push({ inlineData: splitDataUrl(ref) });
+            refs.filter(r => r.startsWith('data:')).forEach(r => parts.push({ inlineData: splitDataUrl(r) }));
+
+            const body = { contents: [{ parts }], generationConfig: { responseModalities: ['IMAGE'], temperature: params.temperature, topP: params.topP } };
+            const json = await geminiGenerate('image', model, body, retryCount, apiKey, signal);
+
+            const usage = geminiUsage(json, model);
+            assertGeminiNotBlocked(json, usage);
+            const base64 = json.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+            return { image: base64 ? `data:image/png;base64,${base64}` : null, usage };
+        },
+        async tts({ text, voice, retryCount, apiKey, settings }) {
+            const model = settings.ttsModel || DEFAULT_MODELS.tts;
+            const body = {
+                contents: [{ parts: [{ text: text }] }],
+                generationConfig: {
+                    responseModalities: ["AUDIO"],
+                    speechConfig: {
+                        voiceConfig: {
+                            prebuiltVoiceConfig: { voiceName: voice.voiceName }
+                        }
+                    }
+                },
+                model
+            };
+            const json = await geminiGenerate('tts', model, body, retryCount, apiKey);
+
+            const part = json.candidates?.[0]?.content?.parts?.[0];
+            const audioData = part?.inlineData?.data;
+            const mimeType = part?.inlineData?.mimeType;
+            const usage = geminiUsage(json, model);
+            assertGeminiNotBlocked(json, usage);
+            if (!audioData || !mimeType) return { audio: null, usage };
+
+            const rateMatch = mimeType.match(/rate=(\d+)/);
+            const sampleRate = rateMatch ? parseInt(rateMatch[1], 10) : 24000;
+            return { audio: pcmToWav(new Int16Array(base64ToArrayBuffer(audioData)), sampleRate), usage };
+        },
+    },
+
+    openai: {
+        label: 'OpenAI-Compatible',
+        capabilities: ['text', 'image', 'tts'],
+        tunable: { text: ['temperature', 'topP', 'maxOutputTokens'] },
+        fields: [
+            { key: 'baseUrl', label: 'BASE URL' },
+            { key: 'apiKey', label: 'API KEY', secret: true },
+            { key: 'textModel', label: 'TEXT MODEL' },
+            { key: 'imageModel', label: 'IMAGE MODEL' },
+            { key: 'ttsModel', label: 'TTS MODEL' },
+        ],
+        async text({ parts, system, jsonSchema, tools, retryCount, settings, params, signal, timeoutMs }) {
+            const content = parts.map(p => {
+                if (p.text !== undefined) return { type: 'text', text: p.text };
+                if (p.inlineData?.mimeType?.startsWith('image/')) return { type: 'image_url', image_url: { url: `data:${p.inlineData.mimeType};base64,${p.inlineData.data}` } };
+                throw new Error(`OpenAI-compatible provider cannot read ${p.inlineData?.mimeType || 'unknown'} attachments. Route this stage to Gemini.`);
+            });
+            // Search tools are Gemini-only; other providers answer from the model alone
+            // json_schema response formats must have an object root, so array schemas are wrapped and unwrapped.
+            let responseFormat, wrapped = false;
+            if (jsonSchema) {
+                let schema = toJsonSchema(jsonSchema);
+                if (schema.type !== 'object') {
+                    schema = { type: 'object', properties: { items: schema }, required: ['items'] };
+                    wrapped = true;
+                }
+                responseFormat = { type: 'json_schema', json_schema: { name: 'response', schema } };
+            }
+
+            const json = await safeFetchWithRetry(`${trimSlash(settings.baseUrl)}/chat/completions`, {
+                method: 'POST',
+                headers: openAiHeaders(settings),
+                body: JSON.stringify({
+                    model: settings.textModel,
+                    messages: [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content }],
+                    response_format: responseFormat,
+                    temperature: params.temperature,
+                    top_p: params.topP,
+                    max_tokens: params.maxOutputTokens,
+                }),
+                signal
+            }, retryCount, undefined, 'json', { timeoutMs });
+
+            const usage = { model: settings.textModel, inputTokens: json.usage?.prompt_tokens || 0, outputTokens: json.usage?.completion_tokens || 0 };
+            if (json.choices?.[0]?.finish_reason === 'content_filter') throw new SafetyBlockError('content_filter', 'Output withheld by provider content filter.', usage);
+            let text = json.choices?.[0]?.message?.content;
+            if (text && wrapped) {
+                try { text = JSON.stringify(JSON.parse(text).items); } catch {}
+            }
+            return { text, usage };
+        },
+        async image({ prompt, ref, refs = [], retryCount, settings, signal }) {
+            const base = trimSlash(settings.baseUrl);
+            const isDallE = String(settings.imageModel).startsWith('dall-e');
+            // dall-e edits take a single image; gpt-image models take several as image[]
+            const images = [ref, ...refs].filter(r => r && r.startsWith('data:')).slice(0, isDallE ? 1 : 16);
+            let json;
+
+            if (images.length) {
+                const form = new FormData();
+                images.forEach((img, i) => {
+                    const { mimeType, data } = splitDataUrl(img);
+                    form.append(images.length > 1 ? 'image[]' : 'image', new Blob([base64ToArrayBuffer(data)], { type: mimeType }), `reference-${i + 1}.png`);
+                });
+                form.append('prompt', prompt);
+                form.append('model', settings.imageModel);
+                if (isDallE) form.append('response_format', 'b64_json');
+                json = await safeFetchWithRetry(`${base}/images/edits`, { method: 'POST', headers: openAiHeaders(settings, false), body: form, signal }, retryCount);
+            } else {
+                json = await safeFetchWithRetry(`${base}/images/generations`, {
+                    method: 'POST',
+                    headers: openAiHeaders(settings),
+                    body: JSON.stringify({
+                        model: settings.imageModel,
+                        prompt,
+                        n: 1,
+                        size: isDallE ? '1792x1024' : '1536x1024',
+                        ...(isDallE ? { response_format: 'b64_json' } : {}),
+                    }),
+                    signal
+                }, retryCount);
+            }
+
+            const base64 = json.data?.[0]?.b64_json;
+            // gpt-image models report token usage; dall-e models are billed per image.
+            const usage = json.usage
+                ? { model: settings.imageModel, inputTokens: json.usage.input_tokens || 0, outputTokens: json.usage.output_tokens || 0 }
+                : { model: settings.imageModel, inputTokens: 0, outputTokens: 0, units: 1 };
+            return { image: base64 ? `data:image/png;base64,${base64}` : null, usage };
+        },
+        async tts({ text, voice, retryCount, settings }) {
+            const audio = await safeFetchWithRetry(`${trimSlash(settings.baseUrl)}/audio/speech`, {
+                method: 'POST',
+                headers: openAiHeaders(settings),
+                body: JSON.stringify({ model: settings.ttsModel, input: text, voice: voice.openaiVoice, response_format: 'wav' })
+            }, retryCount, undefined, 'blob');
+            // The speech endpoint returns raw audio with no usage block, so it is billed per clip.
+            return { audio, usage: { model: settings.ttsModel, inputTokens: 0, outputTokens: 0, units: 1 } };
+        },
+    },
+
+    ollama: {
+        label: 'Ollama (Local)',
+        capabilities: ['text'],
+        tunable: { text: ['temperature', 'topP', 'maxOutputTokens'] },
+        fields: [
+            { key: 'baseUrl', label: 'BASE URL' },
+            { key: 'textModel', label: 'TEXT / VISION MODEL' },
+        ],
+        async text({ parts, system, jsonSchema, tools, retryCount, settings, params, signal, timeoutMs }) {
+            const images = parts.filter(p => p.inlineData).map(p => {
+                if (!p.inlineData.mimeType?.startsWith('image/')) throw new Error(`Ollama cannot read ${p.inlineData.mimeType || 'unknown'} attachments. Route this stage to Gemini.`);
+                return p.inlineData.data;
+            });
+            // Search tools are Gemini-only; other providers answer from the model alone
+            const userMessage = { role: 'user', content: parts.filter(p => p.text !== undefined).map(p => p.text).join('\n\n') };
+            if (images.length) userMessage.images = images;
+
+            const json = await safeFetchWithRetry(`${trimSlash(settings.baseUrl)}/api/chat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    model: settings.textModel,
+                    messages: [...(system ? [{ role: 'system', content: system }] : []), userMessage],
+                    format: jsonSchema ? toJsonSchema(jsonSchema) : undefined,
+                    stream: false,
+                    options: { temperature: params.temperature, top_p: params.topP, num_predict: params.maxOutputTokens },
+                }),
+                signal
+            }, retryCount, undefined, 'json', { timeoutMs });
+            return { text: json.message?.content, usage: { model: settings.textModel, inputTokens: json.prompt_eval_count || 0, outputTokens: json.eval_count || 0 } };
+        },
+    },
+
+    sdwebui: {
+        label: 'Stable Diffusion WebUI (Local)',
+        capabilities: ['image'],
+        tunable: {},
+        fields: [
+            { key: 'baseUrl', label: 'BASE URL' },
+            { key: 'imageModel', label: 'CHECKPOINT (BLANK = LOADED)' },
+        ],
+        async image({ prompt, ref, refs = [], retryCount, settings, signal }) {
+            const body = {
+                prompt,
+                negative_prompt: 'text, watermark, logo overlay, blurry, deformed',
+                width: 1344,
+                height: 768,
+                steps: 28,
+                override_settings: settings.imageModel ? { sd_model_checkpoint: settings.imageModel } : undefined,
+            };
+            // img2img has one init image: the continuity frame, else the first character reference
+            const init = [ref, ...refs].find(r => r && r.startsWith('data:'));
+            if (init) {
+                body.init_images = [init];
+                body.denoising_strength = 0.55;
+            }
+            const json = await safeFetchWithRetry(`${trimSlash(settings.baseUrl)}/sdapi/v1/${body.init_images ? 'img2img' : 'txt2img'}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal
+            }, retryCount);
+
+            const base64 = json.images?.[0];
+            return { image: base64 ? `data:image/png;base64,${base64}` : null, usage: { model: settings.imageModel || 'sdwebui', inputTokens: 0, outputTokens: 0, units: 1 } };
+        },
+    },
+
+    comfyui: {
+        label: 'ComfyUI (Local)',
+        capabilities: ['image'],
+        tunable: {},
+        fields: [
+            { key: 'baseUrl', label: 'BASE URL' },
+            { key: 'imageModel', label: 'CHECKPOINT FILE' },
+        ],
+        // The stock graph has no image input, so continuity reference frames are not sent to ComfyUI.
+        async image({ prompt, retryCount, settings, signal }) {
+            const base = trimSlash(settings.baseUrl);
+            const queued = await safeFetchWithRetry(`${base}/prompt`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ prompt: comfyTxt2ImgWorkflow(prompt, settings.imageModel) }),
+                signal
+            }, retryCount);
+
+            for (let i = 0; i < 240; i++) {
+                await new Promise(r => setTimeout(r, 1000));
+                // Status polls hit the local server, not a metered API, so they stay out of the shared rate limit
+                const history = await safeFetchWithRetry(`${base}/history/${queued.prompt_id}`, { signal }, retryCount, undefined, 'json', { rateLimited: false });
+                const outputs = history[queued.prompt_id]?.outputs;
+                const img = outputs && Object.values(outputs).flatMap(o => o.images || [])[0];
+                if (img) {
+                    const query = new URLSearchParams({ filename: img.filename, subfolder: img.subfolder || '', type: img.type || 'output' });
+                    const blob = await safeFetchWithRetry(`${base}/view?${query}`, { signal }, retryCount, undefined, 'blob');
+                    return { image: await fileToBase64(blob), usage: { model: settings.imageModel, inputTokens: 0, outputTokens: 0, units: 1 } };
+                }
+            }
+            throw new Error('ComfyUI did not finish the frame within 4 minutes.');
+        },
+    },
+};
 
-        clearTimeout(timeoutId);
+function resolveProvider(route, kind) {
+    const id = route?.provider || 'gemini';
+    const provider = MODEL_PROVIDERS[id];
+    if (!provider) throw new Error(`Unknown model provider: ${id}.`);
+    if (!provider.capabilities.includes(kind)) throw new Error(`${provider.label} cannot handle ${kind} generation. Choose another provider for this stage in the System Console.`);
+    ProxyClient.assertRoute(route, provider);
+    return provider;
+}
+
+// Each attempt of a text call gets this long; retries start a fresh clock.
+const TEXT_TIMEOUT_MS = 60000;
 
-        const candidate = json.candidates?.[0];
-        const text = candidate?.content?.parts?.[0]?.text;
+// `signal` cancels the call from outside (e.g. the synthesis cancel control); cancellation surfaces as an AbortError.
+// Safety blocks surface as SafetyBlockError and are still metered, since providers bill the blocked prompt.
+async function callText(parts, system, jsonSchema, retryCount, apiKey, tools, route, signal) {
+    const provider = resolveProvider(route, 'text');
+    signal?.throwIfAborted();
+
+    try {
+        const { text, usage } = await provider.text({ parts, system, jsonSchema, tools, retryCount, apiKey, settings: route?.settings || {}, params: route?.params || {}, signal, timeoutMs: TEXT_TIMEOUT_MS });
+        UsageMeter.record(route?.stage, usage);
 
         if (!text) {
              throw new Error('API returned no content. Response was incomplete or empty.');
@@ -291,87 +1169,1598 @@ async function callText(parts, system, jsonSchema, retryCount, apiKey, tools) {
         return { text, sources: [] };
 
     } catch (e) {
-        if (e.name === 'AbortError') {
-             throw new Error('Multimodal call timed out after 60 seconds. File may be too large or complex.');
+        if (e instanceof SafetyBlockError) UsageMeter.record(route?.stage, e.usage);
+        if (signal?.aborted) throw e;
+        if (e instanceof ApiError && e.status === 408) {
+             throw new Error(`Multimodal call timed out after ${TEXT_TIMEOUT_MS / 1000} seconds. File may be too large or complex.`);
         }
         throw e;
     }
 }
 
-async function callImage(promptText, ref, retryCount, apiKey) {
-    const model = 'gemini-2.5-flash-image-preview';
-    const parts = [{ text: promptText }];
-
-    if (ref && ref.startsWith('data:')) {
-        const [meta, b64] = ref.split(',');
-        const mimeType = meta.split(':')[1].split(';')[0] || 'image/jpeg';
-        parts.push({ inlineData: { mimeType: mimeType, data: b64 } });
-    }
+const meterBlocked = (route, promise) => promise.catch(e => {
+    if (e instanceof SafetyBlockError) UsageMeter.record(route?.stage, e.usage);
+    throw e;
+});
 
-    const body = {
-        contents: [{ parts }],
-        generationConfig: { responseModalities: ['IMAGE'] }
-    };
+// `ref` (the continuity frame) and `refs` (character references) may be any image value held in state
+// (object URL, asset ref or data URL); adapters receive data URLs.
+async function callImage(promptText, ref, retryCount, apiKey, route, signal, refs = []) {
+    const provider = resolveProvider(route, 'image');
+    signal?.throwIfAborted();
+    const refData = await AssetStore.dataUrl(ref);
+    const refsData = (await Promise.all(refs.map(r => AssetStore.dataUrl(r)))).filter(Boolean);
+    const { image, usage } = await meterBlocked(route, provider.image({ prompt: promptText, ref: refData, refs: refsData, retryCount, apiKey, settings: route?.settings || {}, params: route?.params || {}, signal }));
+    UsageMeter.record(route?.stage, usage);
 
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+    if (!image) throw new Error('Image API returned no image data.');
 
-    const json = await safeFetchWithRetry(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-    }, retryCount, apiKey);
+    return image;
+}
 
-    const base64 = json.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+async function callTTS(text, voice, retryCount, apiKey, route) {
+    const provider = resolveProvider(route, 'tts');
+    const voiceEntry = TTS_VOICES.find(v => v.voiceName === voice) || TTS_VOICES[0];
+    const { audio: wavBlob, usage } = await meterBlocked(route, provider.tts({ text, voice: voiceEntry, retryCount, apiKey, settings: route?.settings || {} }));
+    UsageMeter.record(route?.stage, usage);
 
-    if (!base64) throw new Error('Image API returned no image data.');
+    if (!wavBlob) throw new Error('TTS API returned no audio data.');
 
-    return `data:image/png;base64,${base64}`;
+    return AssetStore.urls[await AssetStore.put(wavBlob)];
 }
 
-async function callTTS(text, voice, retryCount, apiKey) {
-    const model = 'gemini-2.5-flash-preview-tts';
-
-    const body = {
-        contents: [{ parts: [{ text: text }] }],
-        generationConfig: {
-            responseModalities: ["AUDIO"],
-            speechConfig: {
-                voiceConfig: {
-                    prebuiltVoiceConfig: { voiceName: voice }
-                }
-            }
-        },
-        model: model
-    };
+// 7. Usage Metering and Cost
+// Prices are USD per 1M tokens; perUnit is a flat charge for calls a provider bills per image or clip.
+const DEFAULT_PRICE_TABLE = {
+    'gemini-2.5-flash-preview-05-20': { input: 0.30, output: 2.50, perUnit: 0 },
+    'gemini-2.5-flash-image-preview': { input: 0.30, output: 30.00, perUnit: 0 },
+    'gemini-2.5-flash-preview-tts': { input: 0.50, output: 10.00, perUnit: 0 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60, perUnit: 0 },
+    'gpt-image-1': { input: 5.00, output: 40.00, perUnit: 0 },
+    'dall-e-3': { input: 0, output: 0, perUnit: 0.08 },
+    'gpt-4o-mini-tts': { input: 0, output: 0, perUnit: 0.015 },
+};
 
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+// Rough per-call token volumes, used only for pre-flight estimates on buttons.
+const TYPICAL_USAGE = {
+    text: { inputTokens: 2500, outputTokens: 800 },
+    image: { inputTokens: 1500, outputTokens: 1290, units: 1 },
+    tts: { inputTokens: 150, outputTokens: 1500, units: 1 },
+};
 
-    const json = await safeFetchWithRetry(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-    }, retryCount, apiKey);
+function priceUsage(priceTable, usage) {
+    const price = priceTable[usage.model];
+    if (!price) return 0;
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6 + (usage.units || 0) * price.perUnit;
+}
 
-    const part = json.candidates?.[0]?.content?.parts?.[0];
-    const audioData = part?.inlineData?.data;
-    const mimeType = part?.inlineData?.mimeType;
+const stageLabel = (stage) => stage === 'legacy' ? 'LEGACY FLAT CHARGE' : PIPELINE_STAGES.find(s => s.id === stage)?.label || String(stage).toUpperCase();
 
-    if (!audioData || !mimeType) throw new Error('TTS API returned no audio data.');
+// History entries saved before metering only carry the flat credit total.
+const historyLedger = (item) => item.costLedger || (item.cost
+    ? [{ stage: 'legacy', model: 'flat-rate', inputTokens: 0, outputTokens: 0, cost: item.cost, timestamp: item.timestamp }]
+    : []);
 
-    const rateMatch = mimeType.match(/rate=(\d+)/);
-    const sampleRate = rateMatch ? parseInt(rateMatch[1], 10) : 24000;
+// Frame takes: every generation or edit of a scene is kept as a version, so an earlier take can be
+// compared and promoted back. `prompt` is exactly what the image model got and `references` every image sent
+// with it, continuity frame first; they hold the same kinds of values as scene.image.
+const MAX_FRAME_TAKES = 20;
 
-    const pcmData = base64ToArrayBuffer(audioData);
-    const pcm16 = new Int16Array(pcmData);
-    const wavBlob = pcmToWav(pcm16, sampleRate);
+function addFrameTake(scene, take) {
+    // Frames made before takes existed become the first take, so they are not lost on the next edit
+    const previous = scene.versions || (scene.image ? [{ id: 'original', image: scene.image, prompt: scene.prompt, scenePrompt: scene.prompt, editInstruction: null, references: [], provider: null, model: null, at: null }] : []);
+    const version = { id: `${take.at}-${previous.length}`, ...take };
+    return { ...scene, image: take.image, prompt: take.scenePrompt, versions: [...previous, version].slice(-MAX_FRAME_TAKES), versionId: version.id };
+}
 
-    return URL.createObjectURL(wavBlob);
+// Applies fn to every image-bearing field of a scene: the current frame plus each take and its references
+async function mapSceneImages(scene, fn) {
+    const mapped = { ...scene, image: await fn(scene.image) };
+    if (scene.versions) mapped.versions = await Promise.all(scene.versions.map(async v => ({
+        ...v,
+        image: await fn(v.image),
+        references: (await Promise.all(v.references.map(fn))).filter(Boolean),
+    })));
+    return mapped;
 }
 
+const sceneImageValues = (scene) => [scene.image, ...(scene.versions || []).flatMap(v => [v.image, ...v.references])];
 
-// --- Main Application Component ---
+// Cast bible: one entry per character, { id, name, refs: [image], description, wardrobe, everyScene }. Names
+// are the upper-case screenplay cue names; segments tag the members they show by id, so a rename keeps them.
+// `everyScene` marks a lead migrated from a single character sheet, which has no name to find in the script.
+const CAST_REFS_PER_CHARACTER = 2; // references sent per character on each frame
+const MAX_SCENE_REFS = 6;          // images per frame in total: continuity frame, cast and set
 
-const fileToBase64 = (file) => new Promise((res, rej) => {
+const newLibraryId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+const newCastMember = (name, patch = {}) => ({ id: newLibraryId('cast'), name: String(name).trim().toUpperCase(), refs: [], description: '', wardrobe: '', ...patch });
+
+// Cast and location entries keep their reference images in `refs`, held and persisted like scene frames
+const mapLibraryImages = (entries, fn) => Promise.all((entries || []).map(async e => ({ ...e, refs: (await Promise.all(e.refs.map(fn))).filter(Boolean) })));
+const libraryImageValues = (entries) => (entries || []).flatMap(e => e.refs);
+
+// Titles are skipped so "COMMANDER LEE" is found as "Lee" but not as every "the commander"
+const NAME_TITLES = ['MR', 'MRS', 'MS', 'MISS', 'DR', 'SIR', 'CAPTAIN', 'COMMANDER', 'OFFICER', 'DETECTIVE', 'AGENT', 'YOUNG', 'OLD', 'LITTLE'];
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The full name or the surname: a first token alone is too often a common word ("THE STRANGER") or a
+// first name shared with others
+function mentionsCharacter(text, name) {
+    const tokens = name.replace(/\(.*?\)/g, '').split(/\s+/).filter(t => t.length > 2 && !NAME_TITLES.includes(t.replace(/\.$/, '')));
+    const forms = [name, tokens.length > 1 ? tokens[tokens.length - 1] : null].filter(Boolean);
+    return forms.some(form => new RegExp(`(^|[^\\p{L}])${escapeRegExp(form)}(?![\\p{L}])`, 'iu').test(text));
+}
+
+// Cast members in a scene: those tagged by id at segmentation, speakers added to the cast since, and a
+// migrated lead. Segments made before tagging fall back to names in their text.
+const sceneCastMembers = (cast, scene) => cast.filter(m => m.everyScene || (Array.isArray(scene.castIds) || Array.isArray(scene.characters)
+    ? scene.castIds?.includes(m.id) || scene.characters?.includes(m.name)
+    : mentionsCharacter(`${scene.sceneHeader || ''} ${scene.prompt || ''}`, m.name)));
+
+const castPromptContext = (members) => members
+    .map(m => `${m.name}${m.description ? ` — ${m.description}` : ''}${m.wardrobe ? ` WARDROBE: ${m.wardrobe}` : ''}`)
+    .join(' | ');
+
+// Location bible: one entry per set named in the scene headings,
+// { id, name, refs: [image], description, lighting, timeNotes: { [timeOfDay]: note } }
+const LOCATION_REFS_PER_SCENE = 2;
+const TRANSITION_TIMES = ['CONTINUOUS', 'LATER', 'MOMENTS LATER', 'SAME TIME']; // carry no lighting of their own
+
+const newLocation = (name, patch = {}) => ({ id: newLibraryId('loc'), name: String(name).trim().toUpperCase(), intExt: null, refs: [], description: '', lighting: '', timeNotes: {}, ...patch });
+
+// A set is its INT/EXT side plus its name, so "INT. HOUSE" and "EXT. HOUSE" are separate entries
+const setKey = (intExt, name) => `${intExt || ''} ${name}`;
+const locationLabel = (location) => (location.intExt ? `${location.intExt}. ${location.name}` : location.name);
+
+// Only real INT. / EXT. headings name a set; synthetic OPENING / BEAT scenes do not
+const headingSet = (heading) => {
+    const { intExt, location, timeOfDay } = parseSceneHeading(heading || '');
+    const name = intExt ? location.toUpperCase() : '';
+    return { intExt, name, key: setKey(intExt, name), timeOfDay };
+};
+
+// The bible entry for a set; entries without a side (added by hand, or before sides were kept) match by name
+const findLocation = (locations, set) => locations.find(l => l.intExt && setKey(l.intExt, l.name) === set.key)
+    || locations.find(l => !l.intExt && l.name === set.name);
+
+// Every set in the script with the times of day it is shot at and the scene numbers set there
+function scriptLocations(model) {
+    const found = {};
+    model.scenes.filter(sc => sc.intExt && sc.location).forEach(sc => {
+        const name = sc.location.toUpperCase();
+        const key = setKey(sc.intExt, name);
+        const entry = found[key] || (found[key] = { key, intExt: sc.intExt, name, times: [], scenes: [] });
+        entry.scenes.push(sc.number);
+        if (sc.timeOfDay && !TRANSITION_TIMES.includes(sc.timeOfDay) && !entry.times.includes(sc.timeOfDay)) entry.times.push(sc.timeOfDay);
+    });
+    return Object.values(found);
+}
+
+// The location entry a segment is set at: the one segmentation linked it to, so renaming the entry keeps
+// the link, else read from its heading so segments made before the bible match too
+const sceneLocation = (locations, scene) => {
+    if (!scene.sceneHeader) return null;
+    const set = headingSet(scene.sceneHeader);
+    const entry = (scene.locationId && locations.find(l => l.id === scene.locationId)) || (set.name && findLocation(locations, set));
+    return entry ? { ...entry, timeOfDay: set.timeOfDay } : null;
+};
+
+const locationPromptContext = (set) => [
+    locationLabel(set),
+    set.description && `— ${set.description}`,
+    set.lighting && `LIGHTING: ${set.lighting}`,
+    set.timeNotes[set.timeOfDay] && `${set.timeOfDay}: ${set.timeNotes[set.timeOfDay]}`,
+].filter(Boolean).join(' ');
+
+// Continuity ledger, kept per scene ID like a script supervisor's sheet: each character's wardrobe state
+// and each key prop's state, { [sceneId]: [{ kind: 'wardrobe' | 'prop', subject, state }] }
+const LEDGER_KINDS = ['wardrobe', 'prop'];
+
+const ledgerPromptContext = (entries) => entries.map(e => `${e.subject} (${e.kind.toUpperCase()}): ${e.state}`).join('; ');
+
+// Undo history: snapshots of the creative state (narrative, vision, prompts, frames, branding).
+const UNDO_LIMIT = 50;
+const UNDO_COALESCE_MS = 1500; // keystrokes in one typing burst share a single undo entry
+
+// Autosave: the working board is mirrored to the config store under a key per project, frames by asset ref,
+// so tabs on different projects never overwrite each other's draft.
+// Scenes still queued or in flight when the tab died come back as unfinished work to resume.
+const LEGACY_AUTOSAVE_KEY = 'autosave'; // the single shared draft written before drafts were per project
+const AUTOSAVE_KEY_PREFIX = 'autosave:';
+const autosaveKey = (projectId) => AUTOSAVE_KEY_PREFIX + (projectId || 'unsaved');
+const isAutosaveKey = (key) => String(key).startsWith(AUTOSAVE_KEY_PREFIX);
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Moves a shared draft from an older version under its project's key, unless a newer draft is there
+async function migrateLegacyDraft() {
+    const legacy = await idb.getConfig(LEGACY_AUTOSAVE_KEY);
+    if (!legacy) return;
+    const current = await idb.getConfig(autosaveKey(legacy.projectId));
+    if (!current || current.savedAt < legacy.savedAt) await idb.setConfig(autosaveKey(legacy.projectId), legacy);
+    await idb.deleteConfig(LEGACY_AUTOSAVE_KEY);
+}
+
+// Groups a cost ledger by stage for the breakdown view.
+function summarizeCost(ledger) {
+    const rows = {};
+    for (const entry of ledger) {
+        const row = rows[entry.stage] || (rows[entry.stage] = { stage: entry.stage, calls: 0, inputTokens: 0, outputTokens: 0, units: 0, cost: 0, unpriced: 0, mock: 0 });
+        row.calls++;
+        row.inputTokens += entry.inputTokens || 0;
+        row.outputTokens += entry.outputTokens || 0;
+        row.units += entry.units || 0;
+        row.cost += entry.cost;
+        if (entry.unpriced) row.unpriced++;
+        if (entry.mock) row.mock++;
+    }
+    return Object.values(rows).sort((a, b) => b.cost - a.cost);
+}
+
+// Replayed responses were billed when they were recorded, so their usage is tagged `mock` and not charged again
+const UsageMeter = {
+    onUsage: () => {},
+    record(stage, usage) {
+        if (usage) this.onUsage({ stage: stage || 'unattributed', ...usage, ...(MockBackend.mode === 'replay' ? { mock: true } : {}), timestamp: Date.now() });
+    }
+};
+
+// 8. Key Vault (Encrypted API Key at Rest)
+// AES-GCM under a PBKDF2-derived key. The derived CryptoKey is non-extractable and only held in memory
+// while unlocked; IndexedDB only ever sees the salt, IV and ciphertext.
+const KeyVault = {
+    iterations: 310000,
+    cryptoKey: null,
+    salt: null,
+
+    get unlocked() {
+        return !!this.cryptoKey;
+    },
+    async derive(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+    async create(passphrase) {
+        this.salt = crypto.getRandomValues(new Uint8Array(16));
+        this.cryptoKey = await this.derive(passphrase, this.salt, this.iterations);
+    },
+    async seal(plaintext) {
+        if (!this.cryptoKey) throw new Error('Key vault is locked.');
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.cryptoKey, new TextEncoder().encode(plaintext));
+        return { iterations: this.iterations, salt: arrayBufferToBase64(this.salt), iv: arrayBufferToBase64(iv), data: arrayBufferToBase64(data) };
+    },
+    async unlock(record, passphrase) {
+        const salt = new Uint8Array(base64ToArrayBuffer(record.salt));
+        const cryptoKey = await this.derive(passphrase, salt, record.iterations);
+        let plain;
+        try {
+            plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: new Uint8Array(base64ToArrayBuffer(record.iv)) }, cryptoKey, base64ToArrayBuffer(record.data));
+        } catch {
+            throw new Error('Incorrect passphrase.');
+        }
+        this.cryptoKey = cryptoKey;
+        this.salt = salt;
+        return new TextDecoder().decode(plain);
+    },
+    // Decrypts a record another tab sealed with the same passphrase, using the key already unlocked here
+    async open(record) {
+        if (!this.cryptoKey || arrayBufferToBase64(this.salt) !== record.salt) throw new Error('Key vault is locked.');
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: new Uint8Array(base64ToArrayBuffer(record.iv)) }, this.cryptoKey, base64ToArrayBuffer(record.data));
+        return new TextDecoder().decode(plain);
+    },
+    lock() {
+        this.cryptoKey = null;
+    }
+};
+
+// Credentials kept inside other config values. While encryption at rest is on each is sealed under
+// `<config>Vault` and stored blank in the config value itself, like the Gemini key.
+const SEALED_SECRETS = {
+    providerSettings: { get: v => v.openai?.apiKey || '', set: (v, secret) => ({ ...v, openai: { ...v.openai, apiKey: secret } }) },
+    proxyConfig: { get: v => v.token || '', set: (v, secret) => ({ ...v, token: secret }) },
+};
+const sealedKey = (key) => `${key}Vault`;
+
+// 9. Asset Store (Content-Addressed Blobs)
+// Frames, logos and reference images are stored once as Blobs keyed by SHA-256. Persisted state holds
+// `asset:<hash>` refs, React state holds object URLs, and provider calls get data URLs on demand.
+const ASSET_REF_PREFIX = 'asset:';
+const isAssetRef = (value) => typeof value === 'string' && value.startsWith(ASSET_REF_PREFIX);
+
+function dataUrlToBlob(dataUrl) {
+    const { mimeType, data } = splitDataUrl(dataUrl);
+    return new Blob([base64ToArrayBuffer(data)], { type: mimeType });
+}
+
+// Every asset ref reachable from a stored value (history entries, config values)
+function collectAssetRefs(value, refs = new Set()) {
+    if (isAssetRef(value)) refs.add(value.slice(ASSET_REF_PREFIX.length));
+    else if (Array.isArray(value)) value.forEach(v => collectAssetRefs(v, refs));
+    else if (value && typeof value === 'object' && !(value instanceof Blob)) Object.values(value).forEach(v => collectAssetRefs(v, refs));
+    return refs;
+}
+
+const LEGACY_ASSETS_FLAG = 'legacyAssetsExternalized';
+
+const AssetStore = {
+    urls: {},   // hash -> object URL
+    hashes: {}, // object URL -> hash
+
+    async hashBlob(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    },
+    objectUrl(hash, blob) {
+        if (!this.urls[hash]) {
+            this.urls[hash] = URL.createObjectURL(blob);
+            this.hashes[this.urls[hash]] = hash;
+        }
+        return this.urls[hash];
+    },
+    async put(blob) {
+        const hash = await this.hashBlob(blob);
+        await idb.putAsset({ hash, blob, type: blob.type, size: blob.size, createdAt: Date.now() });
+        this.objectUrl(hash, blob);
+        return hash;
+    },
+    // data URL (fresh provider output) -> object URL backed by a stored asset
+    async intern(value) {
+        if (!value || !value.startsWith('data:')) return this.url(value);
+        return this.urls[await this.put(dataUrlToBlob(value))];
+    },
+    // Any in-memory image value -> what gets persisted
+    async toRef(value) {
+        if (!value || isAssetRef(value)) return value;
+        if (value.startsWith('data:')) return ASSET_REF_PREFIX + await this.put(dataUrlToBlob(value));
+        if (this.hashes[value]) return ASSET_REF_PREFIX + this.hashes[value];
+        return value;
+    },
+    // Persisted value -> displayable URL (legacy inline data URLs pass through)
+    async url(value) {
+        if (!isAssetRef(value)) return value;
+        const hash = value.slice(ASSET_REF_PREFIX.length);
+        if (this.urls[hash]) return this.urls[hash];
+        const record = await idb.getAsset(hash);
+        return record ? this.objectUrl(hash, record.blob) : null;
+    },
+    // Any image value -> data URL, for provider calls that send images inline
+    async dataUrl(value) {
+        if (!value || value.startsWith('data:')) return value;
+        const url = await this.url(value);
+        return url ? fileToBase64(await (await fetch(url)).blob()) : null;
+    },
+    // Moves inline data URLs left in pre-v5 history entries and config into the asset store. Runs once; the
+    // config flag keeps later startups from rereading the whole history.
+    async externalizeLegacy() {
+        if (await idb.getConfig(LEGACY_ASSETS_FLAG)) return;
+        const entries = await idb.getHistory();
+        for (const entry of entries) {
+            const inline = entry.scenes.some(s => s.image?.startsWith('data:')) || entry.config?.logoRefImg?.startsWith('data:');
+            if (!inline) continue;
+            const scenes = await Promise.all(entry.scenes.map(async s => ({ ...s, image: await this.toRef(s.image) })));
+            await idb.addHistory({ ...entry, scenes, config: { ...entry.config, logoRefImg: await this.toRef(entry.config.logoRefImg) } });
+        }
+        const logo = await idb.getConfig('logoRefImg');
+        if (logo?.startsWith('data:')) await idb.setConfig('logoRefImg', await this.toRef(logo));
+        await idb.setConfig(LEGACY_ASSETS_FLAG, true);
+    },
+    // Deletes assets that no history entry, config value or live (unsaved) in-memory value points at.
+    // Other tabs' unsaved values are invisible from here, so nothing is collected while another tab is open.
+    async collectGarbage(liveValues = []) {
+        if (await TabSync.otherTabsOpen()) return 0;
+        const [entries, config, index] = await Promise.all([idb.getHistory(), idb.getAllConfig(), idb.getAssetIndex()]);
+        const roots = collectAssetRefs([entries, config.map(c => c.value)]);
+        liveValues.forEach(v => {
+            if (this.hashes[v]) roots.add(this.hashes[v]);
+            else if (isAssetRef(v)) roots.add(v.slice(ASSET_REF_PREFIX.length));
+        });
+        // Grace period: an asset written moments ago may belong to a save whose entry is still in flight
+        const cutoff = Date.now() - 60000;
+        const orphans = index.filter(a => !roots.has(a.hash) && a.createdAt < cutoff).map(a => a.hash);
+        if (orphans.length) await idb.deleteAssets(orphans);
+        orphans.forEach(hash => {
+            if (!this.urls[hash]) return;
+            URL.revokeObjectURL(this.urls[hash]);
+            delete this.hashes[this.urls[hash]];
+            delete this.urls[hash];
+        });
+        return orphans.length;
+    },
+    async stats() {
+        const index = await idb.getAssetIndex();
+        return { count: index.length, bytes: index.reduce((sum, a) => sum + a.size, 0) };
+    }
+};
+
+// Take references are interned as the take is made, so autosave never re-hashes an uploaded data URL
+const internAll = async (values) => (await Promise.all(values.filter(Boolean).map(v => AssetStore.intern(v)))).filter(Boolean);
+
+// 10. Zip Archives (Project Bundles)
+// Minimal PKZIP reader/writer: stored or raw-deflate entries, no zip64, no encryption. Deflate goes
+// through the browser's CompressionStream, so no archive library is bundled.
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+const pipeThrough = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+// files: [{ name, data: Uint8Array | string, compress?: boolean }] -> Blob (application/zip)
+async function zipFiles(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const raw = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const deflate = file.compress && typeof CompressionStream !== 'undefined';
+        const body = deflate ? await pipeThrough(raw, new CompressionStream('deflate-raw')) : raw;
+        const crc = crc32(raw);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, deflate ? 8 : 0, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, body.length, true);
+        local.setUint32(22, raw.length, true);
+        local.setUint16(26, name.length, true);
+        chunks.push(new Uint8Array(local.buffer), name, body);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, deflate ? 8 : 0, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, body.length, true);
+        entry.setUint32(24, raw.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + body.length;
+    }
+
+    const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+// Blob | ArrayBuffer -> { [name]: Uint8Array }. Sizes come from the central directory, so archives
+// written with trailing data descriptors read correctly.
+async function unzipFiles(source) {
+    const bytes = new Uint8Array(source instanceof Blob ? await source.arrayBuffer() : source);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a zip archive.');
+
+    const files = {};
+    const count = view.getUint16(eocd + 10, true);
+    let ptr = view.getUint32(eocd + 16, true);
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(ptr, true) !== 0x02014b50) throw new Error('Corrupt zip central directory.');
+        const method = view.getUint16(ptr + 10, true);
+        const size = view.getUint32(ptr + 20, true);
+        const nameLen = view.getUint16(ptr + 28, true);
+        const extraLen = view.getUint16(ptr + 30, true);
+        const commentLen = view.getUint16(ptr + 32, true);
+        const localOffset = view.getUint32(ptr + 42, true);
+        const name = decoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLen));
+        ptr += 46 + nameLen + extraLen + commentLen;
+
+        if (name.endsWith('/')) continue;
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const body = bytes.subarray(dataStart, dataStart + size);
+        if (method === 0) files[name] = body;
+        else if (method === 8) files[name] = await pipeThrough(body, new DecompressionStream('deflate-raw'));
+        else throw new Error(`Unsupported zip compression method ${method} for ${name}.`);
+    }
+    return files;
+}
+
+// A bundle is manifest.json plus the binary files it names by path, so a project can move between
+// browsers without IndexedDB.
+const BUNDLE_FORMAT = 'dn-ai-project-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'audio/wav': 'wav' };
+const BUNDLE_MIME_TYPES = Object.fromEntries(Object.entries(BUNDLE_EXTENSIONS).map(([type, ext]) => [ext, type]));
+const bundleMimeType = (path) => BUNDLE_MIME_TYPES[path.split('.').pop().toLowerCase()] || 'application/octet-stream';
+
+// 11. Cross-Tab Sync
+// Every tab of the app shares one IndexedDB. idb write methods announce changes on a BroadcastChannel so
+// other tabs reload what changed, and the Web Locks API lets only one tab run the generation queue for a
+// project. A lock is freed by the browser when its tab closes or crashes, so it can never go stale.
+const TAB_SYNC_CHANNEL = 'dn-ai-pro-apex-sync';
+const QUEUE_LOCK_PREFIX = `${TAB_SYNC_CHANNEL}:queue:`;
+const TAB_LOCK_PREFIX = `${TAB_SYNC_CHANNEL}:tab:`;
+const UNSAVED_QUEUE_PREFIX = 'unsaved:';
+
+const TabSync = {
+    tabId: Math.random().toString(36).slice(2),
+    channel: null,
+    alive: false,
+    listeners: new Set(),
+
+    open() {
+        // Held until the tab closes, so other tabs can tell it is alive
+        if (!this.alive && navigator.locks) {
+            this.alive = true;
+            navigator.locks.request(TAB_LOCK_PREFIX + this.tabId, () => new Promise(() => {}));
+        }
+        if (this.channel || typeof BroadcastChannel === 'undefined') return;
+        this.channel = new BroadcastChannel(TAB_SYNC_CHANNEL);
+        this.channel.onmessage = (e) => {
+            if (e.data?.from !== this.tabId) this.listeners.forEach(fn => fn(e.data));
+        };
+    },
+    // { type: 'history' } | { type: 'config', key } | { type: 'queue' }
+    post(type, payload = {}) {
+        this.channel?.postMessage({ ...payload, type, from: this.tabId });
+    },
+    subscribe(fn) {
+        this.open();
+        this.listeners.add(fn);
+        return () => this.listeners.delete(fn);
+    },
+    // An unsaved board belongs to its tab alone, so its queue is named after the tab and never blocks another
+    queueName(projectId) {
+        return projectId || `${UNSAVED_QUEUE_PREFIX}${this.tabId}`;
+    },
+    // Resolves to a release function, or null when another tab holds the project's queue.
+    // Without the Web Locks API every tab is allowed to run, as before.
+    acquireQueue(projectId) {
+        if (!navigator.locks) return Promise.resolve(() => {});
+        return new Promise((resolve, reject) => {
+            navigator.locks.request(QUEUE_LOCK_PREFIX + this.queueName(projectId), { ifAvailable: true }, (lock) => {
+                if (!lock) return resolve(null);
+                return new Promise(release => resolve(release));
+            }).catch(reject);
+        });
+    },
+    // Without the Web Locks API other tabs cannot be seen, so they are assumed to be open
+    async otherTabsOpen() {
+        this.open();
+        if (!navigator.locks) return true;
+        const { held } = await navigator.locks.query();
+        return held.some(l => l.name.startsWith(TAB_LOCK_PREFIX) && l.name !== TAB_LOCK_PREFIX + this.tabId);
+    },
+    // Project ids whose queue is running in some tab (this one included)
+    async runningQueues() {
+        if (!navigator.locks) return new Set();
+        const { held } = await navigator.locks.query();
+        return new Set(held.filter(l => l.name.startsWith(QUEUE_LOCK_PREFIX)).map(l => l.name.slice(QUEUE_LOCK_PREFIX.length)));
+    },
+};
+
+// 12. Screenplay Formats (Fountain / Final Draft)
+// Local parsers: no API call, no charge, and dialogue order is exactly what the writer delivered.
+// Both produce a flat element list, { type, text }, with types:
+//   scene_heading | action | character | parenthetical | dialogue | transition | centered
+const SCREENPLAY_EXTENSIONS = ['fountain', 'spmd', 'fdx'];
+const fileExtension = (name) => String(name).split('.').pop().toLowerCase();
+
+const SCENE_HEADING_RE = /^(INT|EXT|EST|INT\.?\/EXT|I\/E)[. ]/i;
+const FOUNTAIN_SCENE_NUMBER_RE = /\s*#[\w.-]+#\s*$/;
+// Keys the Fountain spec defines for the title page; an opening "FADE IN:" is a transition, not one of them
+const FOUNTAIN_TITLE_KEYS = new Set(['title', 'credit', 'author', 'authors', 'source', 'draft date', 'date', 'contact', 'notes', 'copyright', 'revision']);
+const stripFountainEmphasis = (text) => text.replace(/(\*{1,3}|_)(?=\S)(.+?)(?<=\S)\1/g, '$2').replace(/\\([*_])/g, '$1');
+
+function parseFountain(source) {
+    const text = source
+        .replace(/\r\n?/g, '\n')
+        .replace(/\/\*[\s\S]*?\*\//g, '')      // boneyard
+        .replace(/\[\[[\s\S]*?\]\]/g, '');   // notes
+    const lines = text.split('\n');
+    const elements = [];
+    let title = null;
+    let i = 0;
+
+    // Title page: "Key: value" lines up to the first blank line, opened by a known title-page key
+    if (FOUNTAIN_TITLE_KEYS.has(lines[0]?.match(/^([A-Za-z][\w ]*):/)?.[1].trim().toLowerCase())) {
+        let key = null;
+        for (; i < lines.length && lines[i].trim(); i++) {
+            const m = lines[i].match(/^([A-Za-z][\w ]*):\s*(.*)$/);
+            if (m) key = m[1].toLowerCase();
+            const value = (m ? m[2] : lines[i]).trim();
+            if (key === 'title' && value) title = title ? `${title} ${value}` : value;
+        }
+    }
+
+    const blank = (n) => n < 0 || n >= lines.length || !lines[n].trim();
+    for (; i < lines.length; i++) {
+        const raw = lines[i];
+        const line = raw.trim();
+        if (!line || /^={3,}$/.test(line) || line.startsWith('#') || /^=(?!=)/.test(line)) continue;
+
+        const isolated = blank(i - 1);
+        if (line.startsWith('!')) { elements.push({ type: 'action', text: line.slice(1) }); continue; }
+        if (isolated && ((line.startsWith('.') && !line.startsWith('..')) || SCENE_HEADING_RE.test(line))) {
+            elements.push({ type: 'scene_heading', text: line.replace(/^\./, '').replace(FOUNTAIN_SCENE_NUMBER_RE, '').toUpperCase() });
+            continue;
+        }
+        if (line.startsWith('>') && line.endsWith('<')) { elements.push({ type: 'centered', text: line.slice(1, -1).trim() }); continue; }
+        if (line.startsWith('>')) { elements.push({ type: 'transition', text: line.slice(1).trim().toUpperCase() }); continue; }
+        if (isolated && blank(i + 1) && line === line.toUpperCase() && /TO:$/.test(line)) { elements.push({ type: 'transition', text: line }); continue; }
+
+        // Character cue: upper-case line (extensions in parentheses may be mixed case) followed by dialogue
+        const cue = line.replace(/\s*\^$/, '');
+        const forced = cue.startsWith('@');
+        const name = cue.replace(/^@/, '');
+        const nameOnly = name.replace(/\(.*?\)/g, '').trim();
+        if (isolated && !blank(i + 1) && (forced || (/[A-Z]/.test(nameOnly) && nameOnly === nameOnly.toUpperCase()))) {
+            elements.push({ type: 'character', text: name.trim() });
+            for (i++; i < lines.length && lines[i].trim(); i++) {
+                const d = lines[i].trim();
+                elements.push(d.startsWith('(') && d.endsWith(')')
+                    ? { type: 'parenthetical', text: d }
+                    : { type: 'dialogue', text: stripFountainEmphasis(d.replace(/^~/, '')) });
+            }
+            continue;
+        }
+
+        // Action keeps its line breaks within a paragraph
+        const previous = elements[elements.length - 1];
+        const textLine = stripFountainEmphasis(raw.replace(/^\s{0,4}/, '').replace(/^~/, ''));
+        if (!isolated && previous?.type === 'action') previous.text += `\n${textLine}`;
+        else elements.push({ type: 'action', text: textLine });
+    }
+
+    // Adjacent dialogue lines of one speech read as one block
+    const merged = [];
+    for (const el of elements) {
+        const last = merged[merged.length - 1];
+        if (el.type === 'dialogue' && last?.type === 'dialogue') last.text += ` ${el.text}`;
+        else merged.push({ ...el });
+    }
+    return { title, elements: merged };
+}
+
+const FDX_TYPES = {
+    'Scene Heading': 'scene_heading',
+    'Action': 'action',
+    'General': 'action',
+    'Shot': 'action',
+    'Character': 'character',
+    'Parenthetical': 'parenthetical',
+    'Dialogue': 'dialogue',
+    'Transition': 'transition',
+};
+
+function parseFdx(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length || !doc.querySelector('FinalDraft')) {
+        throw new Error('Not a valid Final Draft (.fdx) document.');
+    }
+    const elements = [];
+    // Dual dialogue nests typed paragraphs inside an untyped one, so only typed paragraphs are read
+    doc.querySelectorAll('FinalDraft > Content Paragraph[Type]').forEach(p => {
+        const type = FDX_TYPES[p.getAttribute('Type')];
+        const text = Array.from(p.children).filter(c => c.tagName === 'Text').map(t => t.textContent).join('').trim();
+        if (!type || !text) return;
+        elements.push({ type, text: ['scene_heading', 'character', 'transition'].includes(type) ? text.toUpperCase() : text });
+    });
+    const title = Array.from(doc.querySelectorAll('TitlePage Paragraph')).map(p => p.textContent.trim()).find(Boolean) || null;
+    return { title, elements };
+}
+
+// Plain screenplay text in Fountain layout, which the Director prompts and the Fountain parser both read
+function formatScreenplay(elements) {
+    const blocks = [];
+    for (const el of elements) {
+        const last = blocks[blocks.length - 1];
+        if (el.type === 'parenthetical' || el.type === 'dialogue') {
+            if (last !== undefined) blocks[blocks.length - 1] = `${last}\n${el.text}`;
+        } else if (el.type === 'centered') {
+            blocks.push(`> ${el.text} <`);
+        } else if (el.type === 'transition' && !/TO:$/.test(el.text)) {
+            blocks.push(`> ${el.text}`);
+        } else if (el.type === 'scene_heading') {
+            const heading = el.number ? `${el.text} #${el.number}#` : el.text;
+            blocks.push(SCENE_HEADING_RE.test(el.text) ? heading : `.${heading}`);
+        } else if (el.type === 'character' && el.text.replace(/\(.*?\)/g, '') !== el.text.replace(/\(.*?\)/g, '').toUpperCase()) {
+            blocks.push(`@${el.text}`);
+        } else {
+            blocks.push(el.text);
+        }
+    }
+    return blocks.join('\n\n');
+}
+
+// --- Screenplay model: the one scene list every Director module works from ---
+// Scenes carry stable IDs derived from their heading (plus its occurrence), so a re-parse of the same
+// script, or of one edited elsewhere, keeps pointing prompts, branding plans and reports at the same scene.
+const SCENE_HEADING_PARTS_RE = /^(INT\.?\/EXT|EXT\.?\/INT|I\/E|INT|EXT|EST)\.?\s+(.*)$/i;
+const TIMES_OF_DAY = ['DAY', 'NIGHT', 'MORNING', 'AFTERNOON', 'EVENING', 'DAWN', 'DUSK', 'SUNRISE', 'SUNSET', 'CONTINUOUS', 'LATER', 'MOMENTS LATER', 'SAME TIME'];
+
+function parseSceneHeading(heading) {
+    const m = heading.match(SCENE_HEADING_PARTS_RE);
+    if (!m) return { intExt: null, location: heading, timeOfDay: null };
+    const prefix = m[1].toUpperCase().replace(/\./g, '');
+    const intExt = prefix === 'EST' ? 'EXT' : (prefix.length > 3 ? 'INT/EXT' : prefix);
+    const parts = m[2].split(/\s+[-–—]\s+/);
+    const last = parts[parts.length - 1].toUpperCase();
+    const timeOfDay = parts.length > 1 && (TIMES_OF_DAY.includes(last) || last.split(/\s+/).some(w => TIMES_OF_DAY.includes(w))) ? parts.pop().toUpperCase() : null;
+    return { intExt, location: parts.join(' - ').trim(), timeOfDay };
+}
+
+const sceneIdFor = (heading, occurrence) => {
+    const hash = crc32(new TextEncoder().encode(heading.replace(/\s+/g, ' ').trim())).toString(16).padStart(8, '0');
+    return `sc-${hash.slice(0, 6)}${occurrence > 1 ? `-${occurrence}` : ''}`;
+};
+
+// Scripts without any scene headings (ad copy, narration) become one beat per action paragraph. Only real
+// headings are numbered, from 1 as in the exported script; the synthetic OPENING and BEAT scenes get null.
+function buildScreenplayModel(elements) {
+    const hasHeadings = elements.some(el => el.type === 'scene_heading');
+    const scenes = [];
+    const seen = {};
+    let headings = 0;
+    let scene = null;
+    let speaker = null;
+    let parenthetical = null;
+    const open = (heading, synthetic = false) => {
+        seen[heading] = (seen[heading] || 0) + 1;
+        scene = { id: sceneIdFor(heading, seen[heading]), number: synthetic ? null : ++headings, heading, synthetic, ...parseSceneHeading(heading), characters: [], blocks: [] };
+        scenes.push(scene);
+    };
+    for (const el of elements) {
+        if (el.type === 'scene_heading') { open(el.text); speaker = null; continue; }
+        if (!scene || (!hasHeadings && el.type === 'action')) open(hasHeadings ? 'OPENING' : `BEAT ${scenes.length + 1}`, true);
+        if (el.type === 'character') {
+            speaker = el.text.replace(/\(.*?\)/g, '').trim();
+            parenthetical = null;
+            if (!scene.characters.includes(speaker)) scene.characters.push(speaker);
+        } else if (el.type === 'parenthetical') {
+            parenthetical = el.text;
+        } else if (el.type === 'dialogue' && speaker) {
+            scene.blocks.push({ type: 'dialogue', character: speaker, parenthetical, text: el.text });
+            parenthetical = null;
+        } else {
+            speaker = null;
+            scene.blocks.push({ type: el.type === 'transition' ? 'transition' : 'action', text: el.text });
+        }
+    }
+    const lines = {};
+    scenes.forEach(s => s.blocks.forEach(b => { if (b.type === 'dialogue') lines[b.character] = (lines[b.character] || 0) + 1; }));
+    return {
+        scenes,
+        characters: Object.entries(lines).map(([name, count]) => ({ name, lines: count })).sort((a, b) => b.lines - a.lines),
+    };
+}
+
+const sceneLabel = (scene) => (scene.number ? `${scene.number}. ${scene.heading}` : scene.heading);
+
+// Segments saved before scene IDs existed fall back to their position
+const sceneKey = (segment) => segment.sceneId ?? `seg-${segment.id}`;
+
+// Model-written scripts are close to Fountain but often bold or number their headings ("SCENE 3: INT. ...")
+// and skip the blank line before headings and character cues
+const SCENE_NUMBER_PREFIX_RE = /^[ \t]*(?:#+[ \t]*)?(?:SCENE|SC\.?)[ \t]*\d+[A-Z]?[ \t]*[:.)\-–—][ \t]*(?=(INT|EXT|EST|I\/E)[./ ])/gim;
+
+// A short upper-case name, optionally with an extension like (V.O.), that does not end a sentence
+const looksLikeCue = (line) => {
+    const name = line.trim().replace(/\s*\^$/, '').replace(/\s*\(.*?\)$/, '');
+    return name.length <= 30 && name.split(/\s+/).length <= 4 && /^[A-Z][A-Z0-9 .'-]*[A-Z0-9]$/.test(name)
+        && !SCENE_HEADING_RE.test(name) && !/TO:$/.test(name);
+};
+
+function normalizeScriptText(text) {
+    const lines = String(text || '')
+        .replace(/^[ \t]*\*\*(.+?)\*\*[ \t]*$/gm, '$1')
+        .replace(SCENE_NUMBER_PREFIX_RE, '')
+        .replace(/\n(?=[ \t]*(INT|EXT|EST|I\/E)[./ ])/g, '\n\n')
+        .split('\n');
+    // A cue is only read as one after a blank line, so one is added when dialogue follows straight on
+    return lines.map((line, i) => (i > 0 && lines[i - 1].trim() && looksLikeCue(line) && /[a-z]/.test(lines[i + 1] || '') ? `\n${line}` : line)).join('\n');
+}
+
+// Below this many real headings the script is prose (ad copy, narration) and the model splits it into shots
+const MIN_HEADED_SCENES = 2;
+const hasSceneStructure = (model) => model.scenes.filter(sc => sc.intExt).length >= MIN_HEADED_SCENES;
+
+const parseScreenplayText = (text) => buildScreenplayModel(parseFountain(normalizeScriptText(text)).elements);
+
+// The script as sent to the Director stages: every scene tagged with the ID responses must reference
+const screenplayPromptText = (model) => model.scenes.map(scene => [
+    `[SCENE ${scene.id}] ${scene.heading}`,
+    ...scene.blocks.map(b => (b.type === 'dialogue' ? `${b.character}${b.parenthetical ? ` ${b.parenthetical}` : ''}: ${b.text}` : b.text)),
+].join('\n')).join('\n\n');
+
+// Scenes with their cast, plus per-character line counts and the dialogue in order
+function summarizeScreenplay(elements) {
+    const model = buildScreenplayModel(elements);
+    return {
+        scenes: model.scenes.map(({ heading, characters }) => ({ heading, characters })),
+        characters: model.characters,
+        dialogue: model.scenes.flatMap((s, index) => s.blocks
+            .filter(b => b.type === 'dialogue')
+            .map(({ character, parenthetical, text }) => ({ scene: index, character, parenthetical, text }))),
+    };
+}
+
+// --- Enhancement review: the AI Director may only add shot direction, never rewrite the screenplay ---
+const PROTECTED_LINE_KINDS = ['heading', 'character', 'dialogue'];
+
+// Kind of every line using the same cues as parseFountain, so diff hunks can be checked line by line
+function classifyScriptLines(text) {
+    const lines = String(text || '').split('\n').map(l => l.trim().replace(/^\*\*(.+?)\*\*$/, '$1'));
+    let inSpeech = false;
+    return lines.map((line, i) => {
+        if (!line) { inSpeech = false; return 'blank'; }
+        if (inSpeech) return 'dialogue'; // parentheticals count as part of the speech
+        const isolated = !lines[i - 1];
+        if (SCENE_HEADING_RE.test(line) || (isolated && /^\.[^.]/.test(line))) return 'heading';
+        const name = line.replace(/^@/, '').replace(/\s*\^$/, '').replace(/\(.*?\)/g, '').trim();
+        if (isolated && lines[i + 1] && /[A-Z]/.test(name) && name === name.toUpperCase() && !/TO:$/.test(name)) {
+            inSpeech = true;
+            return 'character';
+        }
+        return 'action';
+    });
+}
+
+// Line diff of a rewrite plus, per change hunk (keyed by segment index), the protected kinds it touches
+function reviewScriptEnhancement(original, enhanced) {
+    const segments = diffLines(original, enhanced);
+    const before = classifyScriptLines(original);
+    const after = classifyScriptLines(enhanced);
+    const flags = {};
+    let a = 0;
+    let b = 0;
+    segments.forEach((segment, index) => {
+        if (segment.type === 'same') {
+            a += segment.lines.length;
+            b += segment.lines.length;
+            return;
+        }
+        const kinds = new Set([...before.slice(a, a + segment.removed.length), ...after.slice(b, b + segment.added.length)]);
+        flags[index] = PROTECTED_LINE_KINDS.filter(kind => kinds.has(kind));
+        a += segment.removed.length;
+        b += segment.added.length;
+    });
+    return { segments, flags };
+}
+
+// Whole-script comparison of what would be adopted against the original
+function auditScriptIntegrity(original, candidate) {
+    const before = parseScreenplayText(original);
+    const after = parseScreenplayText(candidate);
+    const findings = [];
+
+    const headings = (model) => model.scenes.filter(s => !s.synthetic).map(s => s.heading);
+    const [headingsBefore, headingsAfter] = [headings(before), headings(after)];
+    headingsBefore.filter(h => !headingsAfter.includes(h)).forEach(h => findings.push(`Scene heading removed or changed: ${h}`));
+    headingsAfter.filter(h => !headingsBefore.includes(h)).forEach(h => findings.push(`Scene heading added: ${h}`));
+
+    const names = (model) => model.characters.map(c => c.name);
+    const [namesBefore, namesAfter] = [names(before), names(after)];
+    namesBefore.filter(n => !namesAfter.includes(n)).forEach(n => findings.push(`Character no longer speaks: ${n}`));
+    namesAfter.filter(n => !namesBefore.includes(n)).forEach(n => findings.push(`New speaking character: ${n}`));
+
+    const speech = (model) => model.scenes.flatMap(s => s.blocks.filter(b => b.type === 'dialogue').map(b => `${b.character}: ${b.text}`)).join('\n');
+    diffLines(speech(before), speech(after)).filter(seg => seg.type === 'change').forEach(seg => {
+        seg.removed.filter(Boolean).forEach(line => findings.push(`Dialogue removed or altered: ${line}`));
+        seg.added.filter(Boolean).forEach(line => findings.push(`Dialogue added: ${line}`));
+    });
+    return findings;
+}
+
+// 13. Line Diff
+// Line-level diff as alternating segments: { type: 'same', lines } and { type: 'change', removed, added }.
+// Myers' O(ND) algorithm in its linear-space form: each range is split at the middle snake of its shortest
+// edit script, so even a heavily rewritten script aligns line by line instead of collapsing into one hunk.
+function middleSnake(a, aLo, aHi, b, bLo, bHi) {
+    const n = aHi - aLo;
+    const m = bHi - bLo;
+    const delta = n - m;
+    const max = Math.ceil((n + m) / 2);
+    const off = max + 1;
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && forward[off + k - 1] < forward[off + k + 1])) ? forward[off + k + 1] : forward[off + k - 1] + 1;
+            let y = x - k;
+            const x0 = x;
+            const y0 = y;
+            while (x < n && y < m && a[aLo + x] === b[bLo + y]) { x++; y++; }
+            forward[off + k] = x;
+            const back = delta - k;
+            if ((delta & 1) && back >= -(d - 1) && back <= d - 1 && x + backward[off + back] >= n) {
+                return { x: x0, y: y0, u: x, v: y };
+            }
+        }
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && backward[off + k - 1] < backward[off + k + 1])) ? backward[off + k + 1] : backward[off + k - 1] + 1;
+            let y = x - k;
+            const x0 = x;
+            const y0 = y;
+            while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) { x++; y++; }
+            backward[off + k] = x;
+            const ahead = delta - k;
+            if (!(delta & 1) && ahead >= -d && ahead <= d && x + forward[off + ahead] >= n) {
+                return { x: n - x, y: m - y, u: n - x0, v: m - y0 };
+            }
+        }
+    }
+    return { x: n, y: m, u: n, v: m };
+}
+
+function diffRange(a, aLo, aHi, b, bLo, bHi, ops) {
+    let suffix = 0;
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) { ops.push(['same', a[aLo]]); aLo++; bLo++; }
+    while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) { aHi--; bHi--; suffix++; }
+    if (aLo === aHi) {
+        for (let j = bLo; j < bHi; j++) ops.push(['add', b[j]]);
+    } else if (bLo === bHi) {
+        for (let i = aLo; i < aHi; i++) ops.push(['del', a[i]]);
+    } else {
+        const { x, y, u, v } = middleSnake(a, aLo, aHi, b, bLo, bHi);
+        diffRange(a, aLo, aLo + x, b, bLo, bLo + y, ops);
+        for (let i = aLo + x; i < aLo + u; i++) ops.push(['same', a[i]]);
+        diffRange(a, aLo + u, aHi, b, bLo + v, bHi, ops);
+    }
+    for (let i = aHi; i < aHi + suffix; i++) ops.push(['same', a[i]]);
+}
+
+function diffLines(before, after) {
+    const a = String(before ?? '').split('\n');
+    const b = String(after ?? '').split('\n');
+    const ops = []; // 'same' | 'del' | 'add' per line, in order
+    diffRange(a, 0, a.length, b, 0, b.length, ops);
+
+    const segments = [];
+    const push = (type, line) => {
+        let last = segments[segments.length - 1];
+        if (type === 'same') {
+            if (last?.type !== 'same') segments.push(last = { type: 'same', lines: [] });
+            last.lines.push(line);
+        } else {
+            if (last?.type !== 'change') segments.push(last = { type: 'change', removed: [], added: [] });
+            last[type === 'del' ? 'removed' : 'added'].push(line);
+        }
+    };
+    ops.forEach(([type, line]) => push(type, line));
+    return segments;
+}
+
+// Text back from diff segments, taking a change hunk's added side only where accepted(segmentIndex) holds
+const applyDiffDecisions = (segments, accepted) => segments
+    .flatMap((segment, index) => (segment.type === 'same' ? segment.lines : (accepted(index) ? segment.added : segment.removed)))
+    .join('\n');
+
+// 14. Document Text Extraction (DOCX / PDF)
+// Local first: DOCX text comes straight out of word/document.xml and PDF text out of the page content
+// streams, so clean documents never leave the machine. Scanned or badly encoded files are flagged and the
+// metered multimodal deep-scan is offered instead.
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+async function extractDocxText(file) {
+    const files = await unzipFiles(file);
+    if (!files['word/document.xml']) throw new Error('word/document.xml is missing; this is not a Word document.');
+    const doc = new DOMParser().parseFromString(new TextDecoder().decode(files['word/document.xml']), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) throw new Error('word/document.xml could not be parsed.');
+
+    const lines = [];
+    for (const p of Array.from(doc.getElementsByTagNameNS(WORD_NS, 'p'))) {
+        let text = '';
+        for (const node of Array.from(p.getElementsByTagNameNS(WORD_NS, '*'))) {
+            if (node.localName === 't') text += node.textContent;
+            else if (node.localName === 'tab') text += '\t';
+            else if (node.localName === 'br' || node.localName === 'cr') text += '\n';
+        }
+        // Screenplay templates separate blocks with paragraph spacing rather than empty paragraphs
+        const spacing = p.getElementsByTagNameNS(WORD_NS, 'spacing')[0];
+        if (Number(spacing?.getAttributeNS(WORD_NS, 'before')) > 0 && lines.length && lines[lines.length - 1] !== '') lines.push('');
+        lines.push(text);
+    }
+    return { text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim(), pages: null };
+}
+
+// --- Minimal PDF reader: objects, object streams, Flate streams, ToUnicode CMaps, text operators ---
+const bytesToLatin1 = (bytes) => {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 8192) out += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    return out;
+};
+const latin1ToBytes = (str) => Uint8Array.from(str, c => c.charCodeAt(0));
+
+const PDF_WHITESPACE = '\0\t\n\f\r ';
+const PDF_DELIMITERS = '()<>[]{}/%';
+
+function pdfLexer(src, start = 0) {
+    const lx = { pos: start };
+    const isWs = (c) => PDF_WHITESPACE.includes(c);
+    const isRegular = (c) => c !== undefined && c !== '' && !isWs(c) && !PDF_DELIMITERS.includes(c);
+
+    lx.next = () => {
+        for (;;) {
+            while (lx.pos < src.length && isWs(src[lx.pos])) lx.pos++;
+            if (src[lx.pos] !== '%') break;
+            while (lx.pos < src.length && src[lx.pos] !== '\n' && src[lx.pos] !== '\r') lx.pos++;
+        }
+        if (lx.pos >= src.length) return null;
+        const c = src[lx.pos];
+
+        if (c === '(') {
+            let depth = 1;
+            let out = '';
+            lx.pos++;
+            while (lx.pos < src.length && depth > 0) {
+                const ch = src[lx.pos++];
+                if (ch === '\\') {
+                    const e = src[lx.pos++];
+                    if (e === 'n') out += '\n';
+                    else if (e === 'r') out += '\r';
+                    else if (e === 't') out += '\t';
+                    else if (e === 'b') out += '\b';
+                    else if (e === 'f') out += '\f';
+                    else if (e === '\r') { if (src[lx.pos] === '\n') lx.pos++; }
+                    else if (e === '\n') { /* line continuation */ }
+                    else if (e >= '0' && e <= '7') {
+                        let oct = e;
+                        while (oct.length < 3 && src[lx.pos] >= '0' && src[lx.pos] <= '7') oct += src[lx.pos++];
+                        out += String.fromCharCode(parseInt(oct, 8) & 0xFF);
+                    } else out += e;
+                } else {
+                    if (ch === '(') depth++;
+                    else if (ch === ')' && --depth === 0) break;
+                    out += ch;
+                }
+            }
+            return { type: 'str', value: out };
+        }
+        if (c === '<' && src[lx.pos + 1] === '<') { lx.pos += 2; return { type: '<<' }; }
+        if (c === '>' && src[lx.pos + 1] === '>') { lx.pos += 2; return { type: '>>' }; }
+        if (c === '<') {
+            const end = src.indexOf('>', lx.pos);
+            let hex = src.slice(lx.pos + 1, end < 0 ? src.length : end).replace(/[^0-9a-fA-F]/g, '');
+            if (hex.length % 2) hex += '0';
+            lx.pos = end < 0 ? src.length : end + 1;
+            let out = '';
+            for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+            return { type: 'str', value: out };
+        }
+        if (c === '[' || c === ']' || c === '{' || c === '}') { lx.pos++; return { type: c }; }
+        if (c === '/') {
+            let end = lx.pos + 1;
+            while (isRegular(src[end])) end++;
+            const name = src.slice(lx.pos + 1, end).replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+            lx.pos = end;
+            return { type: 'name', value: name };
+        }
+        let end = lx.pos;
+        while (isRegular(src[end])) end++;
+        if (end === lx.pos) end++; // stray delimiter
+        const word = src.slice(lx.pos, end);
+        lx.pos = end;
+        return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(word) ? { type: 'num', value: Number(word) } : { type: 'op', value: word };
+    };
+    return lx;
+}
+
+// Names come back as '/Name' strings, literal and hex strings as { str }, references as { ref }
+function pdfReadObject(lx) {
+    const t = lx.next();
+    if (!t) return undefined;
+    if (t.type === 'num') {
+        const save = lx.pos;
+        const gen = lx.next();
+        if (gen?.type === 'num') {
+            const r = lx.next();
+            if (r?.type === 'op' && r.value === 'R') return { ref: t.value };
+        }
+        lx.pos = save;
+        return t.value;
+    }
+    if (t.type === 'str') return { str: t.value };
+    if (t.type === 'name') return `/${t.value}`;
+    if (t.type === '<<') {
+        const dict = {};
+        for (;;) {
+            const key = lx.next();
+            if (!key || key.type === '>>') return dict;
+            if (key.type === 'name') dict[key.value] = pdfReadObject(lx);
+        }
+    }
+    if (t.type === '[') {
+        const arr = [];
+        for (;;) {
+            const save = lx.pos;
+            const item = lx.next();
+            if (!item || item.type === ']') return arr;
+            lx.pos = save;
+            arr.push(pdfReadObject(lx));
+        }
+    }
+    if (t.type === 'op') {
+        if (t.value === 'true') return true;
+        if (t.value === 'false') return false;
+        if (t.value === 'null') return null;
+    }
+    return { op: t.value };
+}
+
+async function pdfDecodeStream(obj) {
+    const filters = [].concat(obj.value.Filter || []);
+    if (filters.some(f => f !== '/FlateDecode')) return null; // images and exotic encodings carry no text
+    let data = obj.data;
+    for (let n = 0; n < filters.length; n++) {
+        try {
+            data = await pipeThrough(data, new DecompressionStream('deflate'));
+        } catch {
+            return null;
+        }
+    }
+    return bytesToLatin1(data);
+}
+
+function pdfParseCMap(src) {
+    const map = new Map();
+    let width = 1;
+    const hexToInt = (h) => parseInt(h, 16);
+    const hexToText = (h) => {
+        let out = '';
+        for (let i = 0; i + 3 < h.length; i += 4) out += String.fromCharCode(parseInt(h.slice(i, i + 4), 16));
+        return h.length === 2 ? String.fromCharCode(parseInt(h, 16)) : out;
+    };
+    const space = src.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+    if (space) width = space[1].length / 2;
+    for (const block of src.match(/beginbfchar[\s\S]*?endbfchar/g) || []) {
+        for (const [, code, dst] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) map.set(hexToInt(code), hexToText(dst));
+    }
+    for (const block of src.match(/beginbfrange[\s\S]*?endbfrange/g) || []) {
+        for (const [, lo, hi, dst, list] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g)) {
+            const from = hexToInt(lo);
+            const to = hexToInt(hi);
+            if (list !== undefined) {
+                [...list.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, d], k) => map.set(from + k, hexToText(d)));
+            } else {
+                const base = hexToText(dst);
+                for (let code = from; code <= to && code - from < 65536; code++) {
+                    map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - from));
+                }
+            }
+        }
+    }
+    return { map, width };
+}
+
+// WinAnsi code points that differ from Latin-1 (curly quotes, dashes, ellipsis)
+const WIN_ANSI = { 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—' };
+
+async function extractPdfText(file) {
+    const src = bytesToLatin1(new Uint8Array(await file.arrayBuffer()));
+    if (!src.startsWith('%PDF')) throw new Error('Not a PDF document.');
+    if (/\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(src)) return { text: '', pages: 0, issues: ['The PDF is encrypted, so its text layer cannot be read locally.'] };
+
+    // Objects in file order; a later definition (incremental update) replaces an earlier one
+    const objects = new Map();
+    const header = /(\d+)\s+\d+\s+obj\b/g;
+    let m;
+    while ((m = header.exec(src))) {
+        const lx = pdfLexer(src, header.lastIndex);
+        const value = pdfReadObject(lx);
+        const entry = { value };
+        const save = lx.pos;
+        const kw = lx.next();
+        if (kw?.type === 'op' && kw.value === 'stream') {
+            let start = lx.pos;
+            if (src[start] === '\r') start++;
+            if (src[start] === '\n') start++;
+            let end = typeof value?.Length === 'number' ? start + value.Length : -1;
+            if (end < 0 || !/^\s*endstream/.test(src.slice(end, end + 20))) end = src.indexOf('endstream', start);
+            if (end < 0) end = src.length;
+            entry.data = latin1ToBytes(src.slice(start, end));
+            header.lastIndex = end;
+        } else {
+            lx.pos = save;
+            header.lastIndex = Math.max(header.lastIndex, lx.pos);
+        }
+        objects.set(Number(m[1]), entry);
+    }
+
+    // Compressed object streams (PDF 1.5+) hold most dictionaries in files written by Word and friends
+    for (const entry of [...objects.values()]) {
+        if (entry.value?.Type !== '/ObjStm' || !entry.data) continue;
+        const body = await pdfDecodeStream(entry);
+        if (!body) continue;
+        const lx = pdfLexer(body);
+        const index = [];
+        for (let k = 0; k < entry.value.N; k++) index.push([pdfReadObject(lx), pdfReadObject(lx)]);
+        for (const [num, offset] of index) {
+            if (!objects.has(num)) objects.set(num, { value: pdfReadObject(pdfLexer(body, entry.value.First + offset)) });
+        }
+    }
+
+    const get = (v) => (v && v.ref !== undefined ? objects.get(v.ref)?.value : v);
+    const streamOf = (v) => (v && v.ref !== undefined ? objects.get(v.ref) : null);
+
+    // Pages in reading order via the page tree, inheriting Resources; loose /Page objects as a fallback
+    const pages = [];
+    const walk = (node, resources, depth = 0) => {
+        if (!node || depth > 32) return;
+        if (node.Type === '/Pages' || node.Kids) (get(node.Kids) || []).forEach(kid => walk(get(kid), node.Resources || resources, depth + 1));
+        else pages.push({ node, resources: node.Resources || resources });
+    };
+    const catalog = [...objects.values()].find(o => o.value?.Type === '/Catalog')?.value;
+    walk(get(catalog?.Pages));
+    if (!pages.length) [...objects.values()].filter(o => o.value?.Type === '/Page').forEach(o => pages.push({ node: o.value, resources: o.value.Resources }));
+
+    const fontCache = new Map();
+    const loadFont = async (ref) => {
+        const key = ref?.ref ?? ref;
+        if (fontCache.has(key)) return fontCache.get(key);
+        const font = get(ref) || {};
+        const cmapStream = streamOf(font.ToUnicode);
+        const cmap = cmapStream?.data ? pdfParseCMap(await pdfDecodeStream(cmapStream) || '') : null;
+        const loaded = { cmap, width: font.Subtype === '/Type0' ? 2 : (cmap?.width || 1) };
+        fontCache.set(key, loaded);
+        return loaded;
+    };
+
+    let undecoded = 0;
+    const decode = (str, font) => {
+        if (!font) return str;
+        let out = '';
+        for (let i = 0; i < str.length; i += font.width) {
+            const code = font.width === 2 ? (str.charCodeAt(i) << 8) | (str.charCodeAt(i + 1) || 0) : str.charCodeAt(i);
+            const mapped = font.cmap?.map.get(code);
+            if (mapped !== undefined) out += mapped;
+            else if (font.width === 1) out += WIN_ANSI[code] || String.fromCharCode(code);
+            else { out += '�'; undecoded++; }
+        }
+        return out;
+    };
+
+    const pageTexts = [];
+    for (const { node, resources } of pages) {
+        const res = get(resources) || {};
+        const fontDict = get(res.Font) || {};
+        const fonts = {};
+        for (const [name, ref] of Object.entries(fontDict)) fonts[name] = await loadFont(ref);
+
+        const parts = [];
+        // Contents is one stream reference or an array (possibly itself referenced) of them
+        const contents = Array.isArray(get(node.Contents)) ? get(node.Contents) : [].concat(node.Contents || []);
+        for (const ref of contents) {
+            const stream = streamOf(ref);
+            if (stream?.data) parts.push(await pdfDecodeStream(stream) || '');
+        }
+        const content = parts.join('\n');
+
+        // Text is collected per baseline; blank lines are added afterwards where the vertical gap is well
+        // beyond the page's usual line step (scene headings, cues and action blocks sit apart)
+        const lines = [];
+        let line = null;
+        let font = null;
+        let y = 0;
+        let leading = 0;
+        const show = (text) => {
+            if (!text) return;
+            if (!line || Math.abs(line.y - y) > 0.5) lines.push(line = { y, text: '' });
+            else if (line.moved && !line.text.endsWith(' ')) line.text += ' ';
+            line.moved = false;
+            line.text += text;
+        };
+        const moveTo = (nextY) => {
+            y = nextY;
+            if (line) line.moved = true;
+        };
+        const str = (v) => (v?.str !== undefined ? decode(v.str, font) : '');
+
+        const lx = pdfLexer(content);
+        let operands = [];
+        for (;;) {
+            const save = lx.pos;
+            const t = lx.next();
+            if (!t) break;
+            if (t.type !== 'op') {
+                lx.pos = save;
+                operands.push(pdfReadObject(lx));
+                continue;
+            }
+            const op = t.value;
+            if (op === 'Tf') font = fonts[String(operands[0]).slice(1)] || null;
+            else if (op === 'BT') moveTo(0);
+            else if (op === 'TL') leading = operands[0] || 0;
+            else if (op === 'Td') moveTo(y + (operands[1] || 0));
+            else if (op === 'TD') { leading = -(operands[1] || 0); moveTo(y + (operands[1] || 0)); }
+            else if (op === 'Tm') moveTo(operands[5] || 0);
+            else if (op === 'T*') moveTo(y - (leading || 12));
+            else if (op === 'Tj') show(str(operands[0]));
+            else if (op === "'") { moveTo(y - (leading || 12)); show(str(operands[0])); }
+            else if (op === '"') { moveTo(y - (leading || 12)); show(str(operands[2])); }
+            else if (op === 'TJ') {
+                let text = '';
+                for (const item of operands[0] || []) {
+                    if (typeof item === 'number') { if (item < -180 && text && !text.endsWith(' ')) text += ' '; }
+                    else text += str(item);
+                }
+                show(text);
+            } else if (op === 'ID') {
+                // Inline image data is binary; skip to its EI marker
+                const end = content.indexOf('EI', lx.pos);
+                lx.pos = end < 0 ? content.length : end + 2;
+            }
+            operands = [];
+        }
+
+        const steps = lines.slice(1).map((l, i) => Math.abs(lines[i].y - l.y)).filter(step => step > 0.5);
+        const lineStep = steps.length ? Math.min(...steps) : 0;
+        const out = [];
+        lines.forEach((l, i) => {
+            if (i > 0 && lineStep && Math.abs(lines[i - 1].y - l.y) > lineStep * 1.6) out.push('');
+            out.push(l.text.trimEnd());
+        });
+        pageTexts.push(out.join('\n').replace(/\n{3,}/g, '\n\n').trim());
+    }
+
+    const text = pageTexts.join('\n\n').trim();
+    const issues = [];
+    if (undecoded > Math.max(20, text.length * 0.05)) issues.push(`${undecoded} characters use fonts without a Unicode map and could not be decoded.`);
+    return { text, pages: pages.length, issues };
+}
+
+// Heuristics for "local extraction looks wrong"; any issue offers the deep-scan
+function assessExtractedText(text, pages) {
+    const issues = [];
+    const visible = text.replace(/\s/g, '');
+    if (visible.length < 40 * Math.max(1, pages || 1)) {
+        issues.push(pages ? 'Almost no text layer was found; this looks like a scanned or image-only PDF.' : 'The document contains almost no text.');
+        return issues;
+    }
+    const letters = (visible.match(/\p{L}/gu) || []).length;
+    if (letters / visible.length < 0.5) issues.push('Extracted text is mostly symbols; the encoding may be garbled.');
+    const lines = text.split('\n').filter(l => l.trim());
+    if (lines.length && lines.filter(l => l.trim().length === 1).length / lines.length > 0.3) issues.push('Many one-character lines; the text may have been split glyph by glyph.');
+    return issues;
+}
+
+
+// 15. Screenplay Export (Fountain / Final Draft / PDF)
+// Sends the camera-annotated draft back to screenwriting software. Scene numbers come from the shared
+// screenplay model, which is also the storyboard frame order, so "scene 12" means the same thing in both.
+
+// Parsed elements with every scene heading numbered after its scene in the model
+function screenplayExportElements(text) {
+    const { elements } = parseFountain(normalizeScriptText(text));
+    let number = 0;
+    return elements.map(el => (el.type === 'scene_heading' ? { ...el, number: ++number } : el));
+}
+
+function buildFountain(elements, title) {
+    const titlePage = title ? `Title: ${title}\nCredit: Camera-annotated draft\nDraft date: ${new Date().toLocaleDateString()}\n\n` : '';
+    return `${titlePage}${formatScreenplay(elements)}\n`;
+}
+
+const FDX_EXPORT_TYPES = Object.fromEntries(['Scene Heading', 'Action', 'Character', 'Parenthetical', 'Dialogue', 'Transition'].map(type => [FDX_TYPES[type], type]));
+const xmlEscape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function buildFdx(elements, title) {
+    const paragraph = (type, text, attrs = '') => `    <Paragraph Type="${type}"${attrs}>\n      <Text>${xmlEscape(text)}</Text>\n    </Paragraph>`;
+    const body = elements.flatMap(el => {
+        if (el.type === 'scene_heading') return [paragraph('Scene Heading', el.text, el.number ? ` Number="${el.number}"` : '')];
+        if (el.type === 'centered') return [paragraph('Action', el.text, ' Alignment="Center"')];
+        // Final Draft breaks action into one paragraph per line
+        if (el.type === 'action') return el.text.split('\n').map(line => paragraph('Action', line));
+        return [paragraph(FDX_EXPORT_TYPES[el.type] || 'Action', el.text)];
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+        '<FinalDraft DocumentType="Script" Template="No" Version="4">',
+        '  <Content>',
+        ...body,
+        '  </Content>',
+        ...(title ? [
+            '  <TitlePage>',
+            '    <Content>',
+            `      <Paragraph Alignment="Center" Type="Action"><Text>${xmlEscape(title.toUpperCase())}</Text></Paragraph>`,
+            '    </Content>',
+            '  </TitlePage>',
+        ] : []),
+        '</FinalDraft>',
+        '',
+    ].join('\n');
+}
+
+// --- Paginated PDF: US Letter, Courier 12 (10 characters and 6 lines per inch), standard screenplay margins ---
+const PDF_PAGE = { width: 612, height: 792, top: 72, lines: 54, lineHeight: 12, charWidth: 7.2 };
+// Positions in inches from the left edge of the page; widths in characters
+const PDF_SCRIPT_LAYOUT = {
+    scene_heading: { left: 1.5, width: 60 },
+    action: { left: 1.5, width: 60 },
+    character: { left: 3.7, width: 38 },
+    parenthetical: { left: 3.1, width: 25 },
+    dialogue: { left: 2.5, width: 35 },
+    transition: { right: 7.5, width: 20 },
+    centered: { center: 4.5, width: 60 },
+};
+
+function wrapText(text, width) {
+    const out = [];
+    for (const paragraph of String(text).split('\n')) {
+        let line = '';
+        for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+            while (word.length > width) {
+                if (line) { out.push(line); line = ''; }
+                out.push(word.slice(0, width));
+                word = word.slice(width);
+            }
+            if (line && line.length + 1 + word.length > width) { out.push(line); line = word; }
+            else line = line ? `${line} ${word}` : word;
+        }
+        out.push(line);
+    }
+    return out;
+}
+
+// Elements grouped into blocks that paginate as units: a speech is its cue plus parentheticals and dialogue
+function screenplayBlocks(elements) {
+    const blocks = [];
+    for (const el of elements) {
+        const lines = wrapText(el.text, PDF_SCRIPT_LAYOUT[el.type]?.width || 60).map(text => ({ text, kind: el.type }));
+        const last = blocks[blocks.length - 1];
+        if ((el.type === 'parenthetical' || el.type === 'dialogue') && last?.type === 'speech') last.lines.push(...lines);
+        else if (el.type === 'character') blocks.push({ type: 'speech', cue: el.text, lines });
+        else blocks.push({ type: el.type, number: el.number, lines });
+    }
+    return blocks;
+}
+
+// Page rows of { text, kind, number? }; headings keep two lines of what follows, speeches break with (MORE) / (CONT'D)
+function paginateScreenplay(blocks) {
+    const pages = [[]];
+    let page = pages[0];
+    const newPage = () => { page = []; pages.push(page); };
+    const gap = () => (page.length ? 1 : 0);
+    const emit = (lines) => {
+        if (page.length) page.push(null);
+        page.push(...lines);
+    };
+
+    blocks.forEach((block, index) => {
+        let lines = block.lines;
+        for (;;) {
+            const room = PDF_PAGE.lines - page.length - gap();
+            if (block.type === 'scene_heading') {
+                const following = Math.min(2, blocks[index + 1]?.lines.length || 0);
+                if (page.length && lines.length + 1 + following > room) newPage();
+                emit(lines.map((line, i) => (i === 0 ? { ...line, number: block.number } : line)));
+                return;
+            }
+            if (lines.length <= room) { emit(lines); return; }
+
+            if (block.type === 'speech') {
+                // Break only after dialogue, keeping the cue with two lines above the break and two below
+                let cut = Math.min(room - 1, lines.length - 2);
+                while (cut >= 3 && lines[cut - 1].kind !== 'dialogue') cut--;
+                if (cut >= 3) {
+                    emit([...lines.slice(0, cut), { text: '(MORE)', kind: 'character' }]);
+                    newPage();
+                    const cue = lines[0].text.replace(/\s*\(CONT'D\)$/, '');
+                    lines = [{ text: `${cue} (CONT'D)`, kind: 'character' }, ...lines.slice(cut)];
+                    continue;
+                }
+            } else if (room >= 2 && lines.length - room >= 2) {
+                emit(lines.slice(0, room));
+                newPage();
+                lines = lines.slice(room);
+                continue;
+            }
+            if (!page.length) { // longer than a whole page with no legal break: hard split
+                emit(lines.slice(0, PDF_PAGE.lines));
+                lines = lines.slice(PDF_PAGE.lines);
+                newPage();
+                if (!lines.length) return;
+                continue;
+            }
+            newPage();
+        }
+    });
+    return pages.filter(p => p.length);
+}
+
+// Courier is a standard PDF font, so only WinAnsi characters can be shown; anything else prints as '?'
+const WIN_ANSI_CODES = Object.fromEntries(Object.entries(WIN_ANSI).map(([code, ch]) => [ch, Number(code)]));
+const pdfString = (text) => `(${Array.from(String(text), ch => {
+    const code = ch.charCodeAt(0);
+    const byte = WIN_ANSI_CODES[ch] ?? (ch.length === 1 && code <= 0xFF && (code < 0x80 || code > 0x9F) ? code : 63);
+    return byte === 0x28 || byte === 0x29 || byte === 0x5C ? `\\${ch}` : String.fromCharCode(byte);
+}).join('')})`;
+
+function pdfPageContent(rows, pageNumber) {
+    const ops = [];
+    const text = (x, y, str) => ops.push(`BT /F1 12 Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(str)} Tj ET`);
+    const baseline = (row) => PDF_PAGE.height - PDF_PAGE.top - (row + 1) * PDF_PAGE.lineHeight + 3;
+    if (pageNumber > 1) text(7.5 * 72 - `${pageNumber}.`.length * PDF_PAGE.charWidth, PDF_PAGE.height - 36 - 9, `${pageNumber}.`);
+    rows.forEach((row, i) => {
+        if (!row) return;
+        const layout = PDF_SCRIPT_LAYOUT[row.kind] || PDF_SCRIPT_LAYOUT.action;
+        const width = row.text.length * PDF_PAGE.charWidth;
+        const x = layout.right ? layout.right * 72 - width : layout.center ? layout.center * 72 - width / 2 : layout.left * 72;
+        text(x, baseline(i), row.text);
+        if (row.number) {
+            text(1.5 * 72 - (String(row.number).length + 3) * PDF_PAGE.charWidth, baseline(i), row.number);
+            text(7.4 * 72, baseline(i), row.number);
+        }
+    });
+    return ops.join('\n');
+}
+
+function buildScreenplayPdf(elements, title) {
+    const contents = paginateScreenplay(screenplayBlocks(elements)).map((rows, i) => pdfPageContent(rows, i + 1));
+    if (title) {
+        const rows = Array(20).fill(null);
+        rows.push({ text: title.toUpperCase(), kind: 'centered' }, null, { text: 'Camera-annotated draft', kind: 'centered' });
+        while (rows.length < PDF_PAGE.lines - 1) rows.push(null);
+        rows.push({ text: new Date().toLocaleDateString(), kind: 'action' });
+        contents.unshift(pdfPageContent(rows, 0));
+    }
+
+    // Objects: 1 catalog, 2 page tree, 3 font, 4 info, then a page and its content stream per page
+    const objects = [];
+    const pageIds = contents.map((_, i) => 5 + i * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = `<< /Title ${pdfString(title || 'Screenplay')} /Producer (DN AI Pro Apex) >>`;
+    contents.forEach((content, i) => {
+        objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+        objects[pageIds[i] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    let out = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = out.length;
+        out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xref = out.length;
+    out += `xref\n0 ${objects.length}\n0000000000 65535 f \n${offsets.slice(1).map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+    out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return new Blob([latin1ToBytes(out)], { type: 'application/pdf' });
+}
+
+
+
+// --- Main Application Component ---
+
+const fileToBase64 = (file) => new Promise((res, rej) => {
     const r = new FileReader();
     r.onload = () => res(String(r.result));
     r.onerror = rej;
@@ -381,7 +2770,6 @@ const fileToBase64 = (file) => new Promise((res, rej) => {
 export default function App() {
     const [visualStyle, setVisualStyle] = useState('Cinematic Photorealistic');
     const [narrative, setNarrative] = useState('A lone astronaut, EVA ROSTOVA, discovers a glowing alien artifact on Mars. It pulses with light, drawing her closer. She touches it, and the Martian landscape warps into a lush, alien jungle.');
-    const [refImg, setRefImg] = useState(null);
     const [editRefImg, setEditRefImg] = useState(null);
     const [charLock, setCharLock] = useState(true);
     const [predicted, setPredicted] = useState(null);
@@ -392,19 +2780,75 @@ export default function App() {
     const [showSettings, setShowSettings] = useState(false);
     const [showHistoryModal, setShowHistoryModal] = useState(false);
     const [historyItems, setHistoryItems] = useState([]);
+    const [projects, setProjects] = useState([]);
+    const [currentProjectId, setCurrentProjectId] = useState(null);
+    const [expandedProjectId, setExpandedProjectId] = useState(null);
+    const [renamingProject, setRenamingProject] = useState(null); // { id, name }
+    const [confirmDeleteProjectId, setConfirmDeleteProjectId] = useState(null);
+    const [showArchived, setShowArchived] = useState(false);
+    const [historyFilters, setHistoryFilters] = useState(DEFAULT_HISTORY_FILTERS);
+    const [selectedVersions, setSelectedVersions] = useState([]);
+    const [confirmBulkDelete, setConfirmBulkDelete] = useState(false);
+    const [confirmDeleteVersion, setConfirmDeleteVersion] = useState(null); // timestamp awaiting a second click
+    const [storageEstimate, setStorageEstimate] = useState(null);
+    const [undoHistory, setUndoHistory] = useState({ past: [], future: [] }); // entries: { id, label, at, state }
+    const [showUndoPanel, setShowUndoPanel] = useState(false);
+    const [autosaveReady, setAutosaveReady] = useState(false); // false until the previous draft is restored
+    const [lastAutosave, setLastAutosave] = useState(null);
+    const [draftsApplied, setDraftsApplied] = useState(0); // bumped with every applied draft, so the autosave effect always sees it land
+    const [resumeOffer, setResumeOffer] = useState(null); // { savedAt, pending, total } after an interrupted run
+    const [runningQueues, setRunningQueues] = useState(() => new Set()); // project ids generating in any tab
     const [editingScene, setEditingScene] = useState(null);
     const [editPrompt, setEditPrompt] = useState('');
     const [isEditing, setIsEditing] = useState(false);
-    const [creditsUsed, setCreditsUsed] = useState(0.00);
-    const [characterSheet, setCharacterSheet] = useState(null);
+    const [takesSceneId, setTakesSceneId] = useState(null);
+    const [compareTakes, setCompareTakes] = useState({ a: null, b: null }); // take ids shown left / right of the slider
+    const [compareSplit, setCompareSplit] = useState(50);
+    const [costLedger, setCostLedger] = useState([]);
+    const [priceTable, setPriceTable] = useState(DEFAULT_PRICE_TABLE);
+    const [costView, setCostView] = useState(null);
+    const [newPriceModel, setNewPriceModel] = useState('');
+    const [budgetCap, setBudgetCap] = useState(0);
+    const [preflight, setPreflight] = useState(null);
+    const [budgetHold, setBudgetHold] = useState(null);
+    const [synthesizing, setSynthesizing] = useState(false);
+    const [synthPaused, setSynthPaused] = useState(false);
+    const [cast, setCast] = useState([]); // cast bible entries, see newCastMember
+    const [showCastModal, setShowCastModal] = useState(false);
+    const [describingCastId, setDescribingCastId] = useState(null);
+    const [locations, setLocations] = useState([]); // location bible entries, see newLocation
+    const [showLocationModal, setShowLocationModal] = useState(false);
+    const [describingLocationId, setDescribingLocationId] = useState(null);
+    const [continuityLedger, setContinuityLedger] = useState({}); // see LEDGER_KINDS
+    const [showLedgerModal, setShowLedgerModal] = useState(false);
+    const [continuityReport, setContinuityReport] = useState(null); // [{ sceneId, scene, versionId, issues, error }]
+    const [showContinuityReportModal, setShowContinuityReportModal] = useState(false);
     const [directorsVision, setDirectorsVision] = useState(null);
+    const [scriptReview, setScriptReview] = useState(null); // { vision, original, enhanced, decisions } AI rewrite awaiting adoption
     const [showVisionModal, setShowVisionModal] = useState(false);
     const [scriptFile, setScriptFile] = useState(null);
+    const [screenplay, setScreenplay] = useState(null); // { format, title, scenes, characters, dialogue } from a local parse
+    const [importPreview, setImportPreview] = useState(null); // { fileName, file, text, method, pages, issues } awaiting accept
     const [apiKey, setApiKey] = useState('');
+    const [keyVault, setKeyVault] = useState(null); // sealed key record when encryption at rest is on
+    const [vaultLocked, setVaultLocked] = useState(false);
+    const [showUnlock, setShowUnlock] = useState(false);
+    const [unlockPass, setUnlockPass] = useState('');
+    const [unlockErr, setUnlockErr] = useState(null);
+    const [vaultPass, setVaultPass] = useState('');
+    const [vaultPassConfirm, setVaultPassConfirm] = useState('');
+    const [idleLockMinutes, setIdleLockMinutes] = useState(15);
     const [ttsLoading, setTtsLoading] = useState(false);
     const [ttsAudioUrl, setTtsAudioUrl] = useState(null);
     const [selectedVoice, setSelectedVoice] = useState(TTS_VOICES[0].voiceName);
     const [autoExecute, setAutoExecute] = useState(false);
+    const [stageProviders, setStageProviders] = useState(DEFAULT_STAGE_PROVIDERS);
+    const [providerSettings, setProviderSettings] = useState(DEFAULT_PROVIDER_SETTINGS);
+    const [stageParams, setStageParams] = useState(DEFAULT_STAGE_PARAMS);
+    const [mockConfig, setMockConfig] = useState(DEFAULT_MOCK_CONFIG);
+    const [proxyConfig, setProxyConfig] = useState(DEFAULT_PROXY_CONFIG);
+    const [proxyUsage, setProxyUsage] = useState(null);
+    const [mockFixtureCount, setMockFixtureCount] = useState(0);
     
     // BRANDING STATE
     const [isBrandingMode, setIsBrandingMode] = useState(false);
@@ -441,80 +2885,938 @@ export default function App() {
     const maxConcurrent = 1;
     const retryCount = 2;
     const queueRef = useRef(new TaskQueue(maxConcurrent));
+    const spendRef = useRef(0);
+    const abortersRef = useRef(new Map()); // sceneId -> AbortController for in-flight synthesis tasks
     const audioRef = useRef(null);
+    const queueLockRef = useRef(null); // release function while this tab holds the project's queue lock
+    const skipAutosaveRef = useRef(false); // set when the board was just loaded from storage, so it is not written straight back
 
     // --- Initialization and Persistence ---
+    // Puts a working-board draft (this tab's autosave, or the live board of another tab) on screen
+    const applyDraft = useCallback(async (draft, interrupted = false) => {
+        const scenes = await Promise.all((draft.scenes || []).map(s => mapSceneImages(s, v => AssetStore.url(v))));
+        const cast = await mapLibraryImages(draft.cast, v => AssetStore.url(v));
+        const locations = await mapLibraryImages(draft.locations, v => AssetStore.url(v));
+        // In-flight work died with its tab; it goes back to the queue until the director resumes or discards it
+        const restored = interrupted ? scenes.map(s => isSceneActive(s.status) ? { ...s, status: 'queued', error: null } : s) : scenes;
+        const voiceover = await AssetStore.url(draft.voiceover);
+        // Everything below commits in one render, which consumes the flag even when the draft changed nothing
+        skipAutosaveRef.current = true;
+        setDraftsApplied(n => n + 1);
+        setNarrative(draft.narrative);
+        setDirectorsVision(draft.directorsVision);
+        setCast(cast);
+        setLocations(locations);
+        setContinuityLedger(draft.continuityLedger || {});
+        setPredicted(draft.predicted);
+        setScenes(restored);
+        setBrandingOutput(draft.brandingOutput);
+        setLogoDescription(draft.logoDescription);
+        setTtsAudioUrl(voiceover || null);
+        setCostLedger(draft.costLedger || []);
+        if (draft.config?.visualStyle) setVisualStyle(draft.config.visualStyle);
+        setScriptFile(draft.config?.scriptFile || null);
+        setIsBrandingMode(draft.config?.isBrandingMode || false);
+        setCurrentProjectId(draft.projectId || null);
+        setLastAutosave(draft.savedAt);
+        return restored;
+    }, []);
+
+    // Registered before the first database open below, so a blocked upgrade is reported
+    useEffect(() => {
+        idb.onBlocked = () => {
+            setErr('Storage upgrade is waiting for another tab of this app that is still open on an older version. Close or reload that tab to continue.');
+            setStatus('Storage blocked by an older tab.');
+            AudioEngine.play('error');
+        };
+        idb.onVersionChange = () => {
+            setErr('A newer version of the app was opened in another tab. Reload this tab before making further changes.');
+            setStatus('Storage closed for a newer version. Reload required.');
+            AudioEngine.play('error');
+        };
+    }, []);
+
     useEffect(() => {
         AudioEngine.init();
+        const restoreDraft = async (draft) => {
+            if (!draft) return;
+            // A draft whose queue is still running in another tab is live, not interrupted. The unsaved draft is
+            // shared, so any tab running an unsaved board counts.
+            const running = [...await TabSync.runningQueues()];
+            const interrupted = !running.some(name => (draft.projectId ? name === draft.projectId : name.startsWith(UNSAVED_QUEUE_PREFIX)));
+            const restored = await applyDraft(draft, interrupted);
+            const pending = restored.filter(s => s.status === 'queued').length;
+            if (interrupted && pending) setResumeOffer({ savedAt: draft.savedAt, pending, total: restored.length });
+        };
         Promise.all([
-            idb.getHistory().then(setHistoryItems).catch(() => console.error("Failed to load history.")),
+            AssetStore.externalizeLegacy()
+                .then(() => idb.getHistory()).then(setHistoryItems)
+                .then(() => AssetStore.collectGarbage())
+                .catch(() => console.error("Failed to load history.")),
+            idb.getProjects().then(setProjects).catch(() => console.error("Failed to load projects.")),
+            // The most recent draft of any project is the one the director left off on
+            migrateLegacyDraft()
+                .then(() => idb.getAllConfig())
+                .then(config => config.filter(c => isAutosaveKey(c.key) && c.value).map(c => c.value).sort((a, b) => b.savedAt - a.savedAt)[0])
+                .then(restoreDraft)
+                .catch(e => console.error("Failed to restore autosaved work:", e))
+                .finally(() => setAutosaveReady(true)),
+            TabSync.runningQueues().then(setRunningQueues),
             idb.getConfig('apiKey').then(key => setApiKey(key || '')),
-            idb.getConfig('logoRefImg').then(img => setLogoRefImg(img || null)),
+            idb.getConfig('apiKeyVault').then(record => {
+                if (!record) return;
+                setKeyVault(record);
+                setVaultLocked(true);
+                setShowUnlock(true);
+            }),
+            idb.getConfig('idleLockMinutes').then(v => v != null && setIdleLockMinutes(Number(v) || 0)),
+            idb.getConfig('logoRefImg').then(ref => AssetStore.url(ref)).then(img => setLogoRefImg(img || null)),
+            idb.getConfig('stageProviders').then(v => v && setStageProviders({ ...DEFAULT_STAGE_PROVIDERS, ...v })),
+            idb.getConfig('providerSettings').then(v => v && setProviderSettings(Object.fromEntries(
+                Object.entries(DEFAULT_PROVIDER_SETTINGS).map(([id, defaults]) => [id, { ...defaults, ...v[id] }])
+            ))),
+            idb.getConfig('stageParams').then(v => v && setStageParams(Object.fromEntries(
+                Object.entries(DEFAULT_STAGE_PARAMS).map(([id, defaults]) => [id, { ...defaults, ...v[id] }])
+            ))),
+            idb.getConfig('budgetCap').then(v => setBudgetCap(Number(v) || 0)),
+            idb.getConfig('priceTable').then(v => v && setPriceTable({ ...DEFAULT_PRICE_TABLE, ...v })),
+            idb.getConfig('proxyConfig').then(v => v && setProxyConfig({ ...DEFAULT_PROXY_CONFIG, ...v })),
+            idb.getConfig('mockConfig').then(v => v && setMockConfig({ ...DEFAULT_MOCK_CONFIG, ...v, faults: { ...DEFAULT_MOCK_CONFIG.faults, ...v.faults } })),
+            idb.getConfig('mockFixtures').then(f => {
+                if (!f) return;
+                MockBackend.load(f);
+                setMockFixtureCount(f.length);
+            }),
         ]).finally(() => {
             setTimeout(() => {
                 setStatus('System Initialized. Welcome, Director.');
             }, 1500);
         });
-    }, []);
+    }, [applyDraft]);
 
-    // Auto-save API Key and Logo Ref when updated
+    // Autosave the working board, debounced, once the previous draft has been restored
     useEffect(() => {
-        if (apiKey) idb.setConfig('apiKey', apiKey).catch(e => console.error("Failed to save API key:", e));
-    }, [apiKey]);
+        if (!autosaveReady) return;
+        if (skipAutosaveRef.current) {
+            skipAutosaveRef.current = false;
+            return;
+        }
+        const timer = setTimeout(async () => {
+            try {
+                const draft = {
+                    savedAt: Date.now(),
+                    projectId: currentProjectId,
+                    narrative,
+                    directorsVision,
+                    cast: await mapLibraryImages(cast, v => AssetStore.toRef(v)),
+                    locations: await mapLibraryImages(locations, v => AssetStore.toRef(v)),
+                    continuityLedger,
+                    predicted,
+                    scenes: await Promise.all(scenes.map(s => mapSceneImages(s, v => AssetStore.toRef(v)))),
+                    brandingOutput,
+                    logoDescription,
+                    voiceover: await AssetStore.toRef(ttsAudioUrl),
+                    costLedger,
+                    config: { visualStyle, scriptFile, isBrandingMode },
+                };
+                await idb.setConfig(autosaveKey(currentProjectId), draft);
+                setLastAutosave(draft.savedAt);
+            } catch (e) {
+                console.error("Autosave failed:", e);
+            }
+        }, AUTOSAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [autosaveReady, draftsApplied, currentProjectId, narrative, directorsVision, cast, locations, continuityLedger, predicted, scenes, brandingOutput, logoDescription, ttsAudioUrl, costLedger, visualStyle, scriptFile, isBrandingMode]);
+
+    // Logo Ref is persisted where it is changed, like the API key, so a value synced in from another tab
+    // is not written straight back. A different logo voids its analysis unless a bundle restores both.
+    // Uploads are interned first, so the logo is held as an asset URL like the frames.
+    const updateLogoRefImg = useCallback((img, description) => AssetStore.intern(img)
+        .then(url => {
+            if (description !== undefined) setLogoDescription(description);
+            else if ((url || null) !== logoRefImg) setLogoDescription(null);
+            setLogoRefImg(url || null);
+            return AssetStore.toRef(url || null);
+        })
+        .then(ref => idb.setConfig('logoRefImg', ref))
+        .catch(e => console.error("Failed to save logo ref:", e)), [logoRefImg]);
     
+    // Provider routing: each stage resolves to the provider chosen in the System Console, with the
+    // stage's model override and whichever sampling params that provider honors.
+    const routeFor = useCallback((stage) => {
+        const provider = stageProviders[stage] || 'gemini';
+        const kind = stageKind(stage);
+        const { model, ...sampling } = stageParams[stage] || {};
+        const settings = { ...providerSettings[provider], ...(model ? { [`${kind}Model`]: model } : {}) };
+        const tunable = MODEL_PROVIDERS[provider]?.tunable?.[kind] || [];
+        const params = Object.fromEntries(tunable.filter(k => sampling[k] !== '' && sampling[k] != null).map(k => [k, Number(sampling[k])]));
+        return { stage, provider, settings, params };
+    }, [stageProviders, providerSettings, stageParams]);
+
+    // Snapshot of what each stage ran with, stored on history entries for reproducibility.
+    const stageConfigSnapshot = useCallback(() => Object.fromEntries(PIPELINE_STAGES.map(s => {
+        const route = routeFor(s.id);
+        return [s.id, { provider: route.provider, model: routeModel(route, s.kind), ...route.params }];
+    })), [routeFor]);
+
+    // --- API Key Vault (encryption at rest, unlock prompt, lock on idle) ---
+    const updateApiKey = useCallback((value) => {
+        setApiKey(value);
+        const save = keyVault
+            ? KeyVault.seal(value).then(record => {
+                setKeyVault(record);
+                return idb.setConfig('apiKeyVault', record);
+            })
+            : idb.setConfig('apiKey', value);
+        save.catch(e => console.error("Failed to save API key:", e));
+    }, [keyVault]);
+
+    // While the vault is locked the secret fields are read-only, so the sealed record stands and only the
+    // other fields are written
+    const saveSecretConfig = useCallback((key, value) => {
+        if (!keyVault) return idb.setConfig(key, value);
+        const { get, set } = SEALED_SECRETS[key];
+        if (!KeyVault.unlocked) return idb.setConfig(key, set(value, ''));
+        return KeyVault.seal(get(value)).then(record => Promise.all([idb.setConfig(sealedKey(key), record), idb.setConfig(key, set(value, ''))]));
+    }, [keyVault]);
+
+    const setSecretConfig = useCallback((key, secret) => {
+        const apply = prev => SEALED_SECRETS[key].set(prev, secret);
+        if (key === 'providerSettings') setProviderSettings(apply);
+        else setProxyConfig(apply);
+    }, []);
+
+    // After an unlock: restores the sealed credentials, sealing any still stored in plain text from before encryption
+    const openSealedSecrets = useCallback(() => Promise.all(Object.entries(SEALED_SECRETS).map(async ([key, { get, set }]) => {
+        const record = await idb.getConfig(sealedKey(key));
+        if (record) return setSecretConfig(key, await KeyVault.open(record));
+        const stored = await idb.getConfig(key);
+        if (!stored || !get(stored)) return;
+        await idb.setConfig(sealedKey(key), await KeyVault.seal(get(stored)));
+        await idb.setConfig(key, set(stored, ''));
+    })), [setSecretConfig]);
+
+    const lockVault = useCallback(() => {
+        KeyVault.lock();
+        setApiKey('');
+        Object.keys(SEALED_SECRETS).forEach(key => setSecretConfig(key, ''));
+        setVaultLocked(true);
+        setShowUnlock(true);
+        setStatus('API key locked. Enter your passphrase to continue.');
+    }, [setSecretConfig]);
+
+    const handleUnlock = useCallback(async () => {
+        setUnlockErr(null);
+        try {
+            const key = await KeyVault.unlock(keyVault, unlockPass);
+            setApiKey(key);
+            await openSealedSecrets();
+            setVaultLocked(false);
+            setShowUnlock(false);
+            setUnlockPass('');
+            setStatus('API key unlocked.');
+            AudioEngine.play('success');
+        } catch (e) {
+            setUnlockErr(String(e.message || e));
+            AudioEngine.play('error');
+        }
+    }, [keyVault, unlockPass, openSealedSecrets]);
+
+    const enableKeyEncryption = useCallback(async () => {
+        AudioEngine.play('click');
+        if (vaultPass.length < 8) return setErr('Passphrase must be at least 8 characters.');
+        if (vaultPass !== vaultPassConfirm) return setErr('Passphrases do not match.');
+        try {
+            await KeyVault.create(vaultPass);
+            const record = await KeyVault.seal(apiKey);
+            await idb.setConfig('apiKeyVault', record);
+            await idb.deleteConfig('apiKey');
+            const current = { providerSettings, proxyConfig };
+            for (const [key, { get, set }] of Object.entries(SEALED_SECRETS)) {
+                await idb.setConfig(sealedKey(key), await KeyVault.seal(get(current[key])));
+                await idb.setConfig(key, set(current[key], ''));
+            }
+            setKeyVault(record);
+            setVaultPass('');
+            setVaultPassConfirm('');
+            setStatus('API keys encrypted at rest. They will be locked after inactivity.');
+        } catch (e) {
+            KeyVault.lock();
+            setErr(`Encryption Error: ${String(e.message || e)}`);
+            AudioEngine.play('error');
+        }
+    }, [vaultPass, vaultPassConfirm, apiKey, providerSettings, proxyConfig]);
+
+    const disableKeyEncryption = useCallback(async () => {
+        AudioEngine.play('click');
+        try {
+            await idb.setConfig('apiKey', apiKey);
+            await idb.setConfig('providerSettings', providerSettings);
+            await idb.setConfig('proxyConfig', proxyConfig);
+            await idb.deleteConfig('apiKeyVault');
+            await Promise.all(Object.keys(SEALED_SECRETS).map(key => idb.deleteConfig(sealedKey(key))));
+            KeyVault.lock();
+            setKeyVault(null);
+            setStatus('API key encryption disabled. Keys are stored in plain text.');
+        } catch (e) {
+            setErr(`Save Error: ${String(e.message || e)}`);
+            AudioEngine.play('error');
+        }
+    }, [apiKey, providerSettings, proxyConfig]);
+
+    // Lost passphrase: the sealed key is unrecoverable, so erase it and start over with a fresh key
+    const forgetEncryptedKey = useCallback(async () => {
+        AudioEngine.play('click');
+        await idb.deleteConfig('apiKeyVault').catch(e => console.error("Failed to erase encrypted key:", e));
+        await Promise.all(Object.keys(SEALED_SECRETS).map(key => idb.deleteConfig(sealedKey(key)))).catch(e => console.error("Failed to erase encrypted credentials:", e));
+        KeyVault.lock();
+        setKeyVault(null);
+        setVaultLocked(false);
+        setShowUnlock(false);
+        setUnlockPass('');
+        setUnlockErr(null);
+        setStatus('Encrypted API key erased. Enter a new key in the System Console.');
+    }, []);
+
+    const updateIdleLockMinutes = useCallback((value) => {
+        const minutes = Math.max(0, Number(value) || 0);
+        setIdleLockMinutes(minutes);
+        idb.setConfig('idleLockMinutes', minutes).catch(e => console.error("Failed to save idle lock timeout:", e));
+    }, []);
+
+    // Any input resets the timer; after idleLockMinutes of silence the decrypted key is dropped from memory
+    const vaultEnabled = !!keyVault;
     useEffect(() => {
-        if (logoRefImg !== null) {
-            idb.setConfig('logoRefImg', logoRefImg).catch(e => console.error("Failed to save logo ref:", e));
-            setLogoDescription(null);
+        if (!vaultEnabled || vaultLocked || !idleLockMinutes) return;
+        let timer;
+        const reset = () => {
+            clearTimeout(timer);
+            timer = setTimeout(lockVault, idleLockMinutes * 60000);
+        };
+        const events = ['pointerdown', 'pointermove', 'keydown', 'wheel'];
+        events.forEach(ev => window.addEventListener(ev, reset, { passive: true }));
+        reset();
+        return () => {
+            clearTimeout(timer);
+            events.forEach(ev => window.removeEventListener(ev, reset));
+        };
+    }, [vaultEnabled, vaultLocked, idleLockMinutes, lockVault]);
+
+    // Proxy mode: mirror console config into the module-level client used by the Gemini adapter
+    useEffect(() => {
+        ProxyClient.configure(proxyConfig);
+    }, [proxyConfig]);
+
+    // Mock backend: mirror console config and persist recordings as they arrive
+    useEffect(() => {
+        MockBackend.configure(mockConfig);
+    }, [mockConfig]);
+
+    // Provider retries: surface the backoff so a slow stage does not look frozen
+    useEffect(() => {
+        RetryMonitor.onRetry = ({ attempt, maxRetries, delay, message }) => {
+            setStatus(`Provider request failed (${message}). Retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt}/${maxRetries})...`);
+        };
+    }, []);
+
+    useEffect(() => {
+        MockBackend.onRecord = (fixtures) => {
+            setMockFixtureCount(fixtures.length);
+            idb.setConfig('mockFixtures', fixtures).catch(e => console.error("Failed to save mock fixtures:", e));
+        };
+    }, []);
+
+    // Usage metering: price every reported call at the current rates and attribute it to its stage
+    useEffect(() => {
+        UsageMeter.onUsage = (usage) => {
+            const cost = usage.mock ? 0 : priceUsage(priceTable, usage);
+            spendRef.current += cost; // synchronous, so the queue's budget gate sees it before React re-renders
+            setCostLedger(prev => [...prev, { ...usage, cost, unpriced: !usage.mock && !priceTable[usage.model] }]);
+        };
+    }, [priceTable]);
+
+    const creditsUsed = useMemo(() => costLedger.reduce((sum, e) => sum + e.cost, 0), [costLedger]);
+    useEffect(() => { spendRef.current = creditsUsed; }, [creditsUsed]);
+
+    // Budget cap: hold the queue before a task whose estimate would push spend past the ceiling
+    useEffect(() => {
+        queueRef.current.canStart = (task, reserved) => !budgetCap || spendRef.current + reserved + (task.estimate || 0) <= budgetCap;
+        queueRef.current.onPause = (task) => {
+            const queued = queueRef.current.q;
+            const remaining = queued.reduce((sum, t) => sum + (t.estimate || 0), 0);
+            setBudgetHold({ nextEstimate: task.estimate || 0, queuedCount: queued.length, remaining, raiseTo: Math.ceil((spendRef.current + remaining) * 100) / 100 });
+            setStatus('Budget cap reached. Frame synthesis paused.');
+            AudioEngine.play('error');
+        };
+    }, [budgetCap]);
+
+    // --- Project Workspace ---
+    const refreshStorageEstimate = useCallback(async () => {
+        if (!navigator.storage?.estimate) return null;
+        const [{ usage, quota }, persisted, assets] = await Promise.all([navigator.storage.estimate(), navigator.storage.persisted?.() ?? false, AssetStore.stats()]);
+        const estimate = { usage, quota, persisted, assets };
+        setStorageEstimate(estimate);
+        return estimate;
+    }, []);
+
+    const refreshWorkspace = useCallback(() => Promise.all([
+        idb.getHistory().then(setHistoryItems),
+        idb.getProjects().then(setProjects),
+        refreshStorageEstimate(),
+    ]), [refreshStorageEstimate]);
+
+    // --- Undo / Redo ---
+    // Every destructive action records the state it is about to replace. Undo swaps that snapshot back
+    // in and parks the replaced state on the redo side under the same label.
+    const undoStateRef = useRef(null);
+    useEffect(() => {
+        undoStateRef.current = { narrative, directorsVision, cast, locations, continuityLedger, predicted, scenes, brandingOutput };
+    }, [narrative, directorsVision, cast, locations, continuityLedger, predicted, scenes, brandingOutput]);
+
+    const recordUndo = useCallback((label, coalesce = false) => {
+        const at = Date.now();
+        setUndoHistory(({ past }) => {
+            const top = past[past.length - 1];
+            if (coalesce && top?.label === label && at - top.at < UNDO_COALESCE_MS) {
+                return { past: [...past.slice(0, -1), { ...top, at }], future: [] };
+            }
+            return { past: [...past, { id: `${at}-${past.length}`, label, at, state: undoStateRef.current }].slice(-UNDO_LIMIT), future: [] };
+        });
+    }, []);
+
+    // Loading a saved version or importing a bundle switches project, cost ledger and config, none of which
+    // the undo state carries, so those start a fresh history instead of being undoable
+    const resetUndo = useCallback(() => setUndoHistory({ past: [], future: [] }), []);
+
+    // steps > 0 undoes that many actions, steps < 0 redoes
+    const travelUndo = useCallback((steps) => {
+        if (!steps || busy || isEditing) return;
+        let { past, future } = undoHistory;
+        let state = undoStateRef.current;
+        let moved = 0;
+        let label = null;
+        for (let n = Math.abs(steps); n > 0; n--) {
+            const source = steps > 0 ? past : future;
+            const entry = source[source.length - 1];
+            if (!entry) break;
+            const parked = { ...entry, state };
+            if (steps > 0) { past = past.slice(0, -1); future = [...future, parked]; }
+            else { future = future.slice(0, -1); past = [...past, parked]; }
+            state = entry.state;
+            label = entry.label;
+            moved++;
         }
-    }, [logoRefImg]);
-    
+        if (!moved) return;
+        AudioEngine.play('click');
+        setUndoHistory({ past, future });
+        setNarrative(state.narrative);
+        setDirectorsVision(state.directorsVision);
+        setCast(state.cast || []);
+        setLocations(state.locations || []);
+        setContinuityLedger(state.continuityLedger || {});
+        setPredicted(state.predicted);
+        setScenes(state.scenes);
+        setBrandingOutput(state.brandingOutput);
+        setStatus(moved > 1 ? `${steps > 0 ? 'Undid' : 'Redid'} ${moved} actions.` : `${steps > 0 ? 'Undid' : 'Redid'}: ${label}.`);
+    }, [undoHistory, busy, isEditing]);
+
+    // Text fields keep the browser's own undo unless they opt in with data-undo="app"
+    useEffect(() => {
+        const onKeyDown = (e) => {
+            const key = e.key.toLowerCase();
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || (key !== 'z' && key !== 'y')) return;
+            const t = e.target;
+            const textField = t.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(t.tagName);
+            if (textField && t.dataset?.undo !== 'app') return;
+            e.preventDefault();
+            travelUndo(key === 'y' || e.shiftKey ? -1 : 1);
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [travelUndo]);
+
+    // --- Cross-Tab Sync ---
+    // Other tabs announce what they wrote and this tab reloads just that. Another tab's board is mirrored
+    // only while both have the same project open and this tab is not the one generating it.
+    useEffect(() => TabSync.subscribe(async (msg) => {
+        try {
+            if (msg.type === 'history') {
+                await refreshWorkspace();
+                return;
+            }
+            if (msg.type === 'queue') {
+                setRunningQueues(await TabSync.runningQueues());
+                return;
+            }
+            if (msg.type !== 'config') return;
+            // Drafts are keyed by project, so only another tab's draft of the project open here is read
+            if (isAutosaveKey(msg.key)) {
+                if (!currentProjectId || msg.key !== autosaveKey(currentProjectId) || queueLockRef.current || busy) return;
+                const draft = await idb.getConfig(msg.key);
+                if (draft?.projectId === currentProjectId) await applyDraft(draft);
+                return;
+            }
+            const value = await idb.getConfig(msg.key);
+            switch (msg.key) {
+                case 'apiKey':
+                    if (value != null) setApiKey(value);
+                    break;
+                case 'apiKeyVault':
+                    setKeyVault(value);
+                    if (!value) {
+                        KeyVault.lock();
+                        setVaultLocked(false);
+                        setShowUnlock(false);
+                    } else if (KeyVault.unlocked) {
+                        setApiKey(await KeyVault.open(value).catch(() => { lockVault(); return ''; }));
+                    } else {
+                        lockVault();
+                    }
+                    break;
+                case 'logoRefImg':
+                    setLogoRefImg(await AssetStore.url(value) || null);
+                    break;
+                case 'idleLockMinutes':
+                    setIdleLockMinutes(Number(value) || 0);
+                    break;
+                case 'stageProviders':
+                    setStageProviders({ ...DEFAULT_STAGE_PROVIDERS, ...value });
+                    break;
+                case 'providerSettings': {
+                    const next = Object.fromEntries(Object.entries(DEFAULT_PROVIDER_SETTINGS).map(([id, defaults]) => [id, { ...defaults, ...value?.[id] }]));
+                    // A sealed credential is stored blank; the one opened in this tab stays until its vault record changes
+                    setProviderSettings(prev => keyVault ? SEALED_SECRETS.providerSettings.set(next, SEALED_SECRETS.providerSettings.get(prev)) : next);
+                    break;
+                }
+                case 'providerSettingsVault':
+                case 'proxyConfigVault':
+                    if (value && KeyVault.unlocked) setSecretConfig(msg.key.replace(/Vault$/, ''), await KeyVault.open(value));
+                    break;
+                case 'stageParams':
+                    setStageParams(Object.fromEntries(Object.entries(DEFAULT_STAGE_PARAMS).map(([id, defaults]) => [id, { ...defaults, ...value?.[id] }])));
+                    break;
+                case 'budgetCap':
+                    setBudgetCap(Number(value) || 0);
+                    break;
+                case 'priceTable':
+                    setPriceTable({ ...DEFAULT_PRICE_TABLE, ...value });
+                    break;
+                case 'proxyConfig':
+                    setProxyConfig(prev => keyVault ? SEALED_SECRETS.proxyConfig.set({ ...DEFAULT_PROXY_CONFIG, ...value }, prev.token) : { ...DEFAULT_PROXY_CONFIG, ...value });
+                    break;
+                case 'mockConfig':
+                    setMockConfig({ ...DEFAULT_MOCK_CONFIG, ...value, faults: { ...DEFAULT_MOCK_CONFIG.faults, ...value?.faults } });
+                    break;
+                case 'mockFixtures':
+                    MockBackend.load(value || []);
+                    setMockFixtureCount((value || []).length);
+                    break;
+                default:
+                    break;
+            }
+        } catch (e) {
+            console.error(`Failed to sync ${msg.key || msg.type} from another tab:`, e);
+        }
+    }), [refreshWorkspace, applyDraft, currentProjectId, busy, lockVault, keyVault, setSecretConfig]);
+
+    // Only one tab may run the generation queue for a project. Held until the queue drains.
+    const claimQueue = useCallback(async () => {
+        if (queueLockRef.current) return true;
+        const release = await TabSync.acquireQueue(currentProjectId);
+        if (!release) {
+            setErr('This project is already generating in another tab. Wait for it to finish there, or open a different project.');
+            setStatus('Generation queue is locked by another tab.');
+            AudioEngine.play('error');
+            return false;
+        }
+        queueLockRef.current = release;
+        TabSync.post('queue');
+        setRunningQueues(await TabSync.runningQueues());
+        return true;
+    }, [currentProjectId]);
+
+    const releaseQueue = useCallback(async () => {
+        if (!queueLockRef.current) return;
+        queueLockRef.current();
+        queueLockRef.current = null;
+        TabSync.post('queue');
+        setRunningQueues(await TabSync.runningQueues());
+    }, []);
+
+    // Frames on the board or in the undo history may not be saved yet, so they count as live
+    const collectAssetGarbage = useCallback(() => {
+        const undoFrames = [...undoHistory.past, ...undoHistory.future]
+            .flatMap(e => [...e.state.scenes.flatMap(sceneImageValues), ...libraryImageValues(e.state.cast), ...libraryImageValues(e.state.locations)]);
+        const live = [...scenes.flatMap(sceneImageValues), ...libraryImageValues(cast), ...libraryImageValues(locations), ...undoFrames, ttsAudioUrl];
+        return AssetStore.collectGarbage(live).catch(e => console.error("Asset cleanup failed:", e));
+    }, [scenes, cast, locations, undoHistory, ttsAudioUrl]);
+
+    // Every save is a new version of the current project; the first save without one starts a project
+    const saveVersion = useCallback(async (entry) => {
+        const project = projects.find(p => p.id === currentProjectId)
+            || { id: newProjectId(), name: entry.config.scriptFile || `UNTITLED PROJECT ${projects.length + 1}`, createdAt: entry.timestamp, archived: false };
+        const saved = { ...project, updatedAt: entry.timestamp };
+        // Frames and logo are stored by reference, so unchanged frames cost nothing in later versions
+        const scenes = await Promise.all(entry.scenes.map(s => mapSceneImages(s, v => AssetStore.toRef(v))));
+        const cast = await mapLibraryImages(entry.cast, v => AssetStore.toRef(v));
+        const locations = await mapLibraryImages(entry.locations, v => AssetStore.toRef(v));
+        const config = { ...entry.config, logoRefImg: await AssetStore.toRef(entry.config.logoRefImg) };
+        await idb.putProject(saved);
+        await idb.addHistory({ ...entry, scenes, cast, locations, config, projectId: project.id });
+        setCurrentProjectId(project.id);
+        const [, , estimate] = await refreshWorkspace();
+        if (estimate && estimate.usage / estimate.quota > STORAGE_WARN_RATIO) {
+            setErr(`Browser storage is ${Math.round(estimate.usage / estimate.quota * 100)}% full. Delete old versions in the History Log before the browser evicts data.`);
+        }
+        return saved;
+    }, [projects, currentProjectId, refreshWorkspace]);
+
+    const createProject = useCallback(async () => {
+        AudioEngine.play('click');
+        const now = Date.now();
+        const project = { id: newProjectId(), name: `UNTITLED PROJECT ${projects.length + 1}`, createdAt: now, updatedAt: now, archived: false };
+        try {
+            await idb.putProject(project);
+            await refreshWorkspace();
+            setCurrentProjectId(project.id);
+            setRenamingProject({ id: project.id, name: project.name });
+            setStatus('New project created. The next save is stored as its first version.');
+        } catch (e) {
+            setErr(`Project Error: ${String(e.message || e)}`);
+            AudioEngine.play('error');
+        }
+    }, [projects, refreshWorkspace]);
+
+    const renameProject = useCallback(async (id, name) => {
+        const project = projects.find(p => p.id === id);
+        setRenamingProject(null);
+        if (!project || !name.trim() || name.trim() === project.name) return;
+        await idb.putProject({ ...project, name: name.trim() }).catch(e => setErr(`Project Error: ${String(e.message || e)}`));
+        await refreshWorkspace();
+    }, [projects, refreshWorkspace]);
+
+    const duplicateProject = useCallback(async (project) => {
+        AudioEngine.play('click');
+        const copy = { ...project, id: newProjectId(), name: `${project.name} (COPY)`, archived: false };
+        try {
+            await idb.duplicateProject(copy, historyItems.filter(v => v.projectId === project.id));
+            await refreshWorkspace();
+            setExpandedProjectId(copy.id);
+            setStatus(`Duplicated ${project.name}.`);
+        } catch (e) {
+            setErr(`Project Error: ${String(e.message || e)}`);
+            AudioEngine.play('error');
+        }
+    }, [historyItems, refreshWorkspace]);
+
+    const toggleArchiveProject = useCallback(async (project) => {
+        AudioEngine.play('click');
+        await idb.putProject({ ...project, archived: !project.archived }).catch(e => setErr(`Project Error: ${String(e.message || e)}`));
+        await refreshWorkspace();
+    }, [refreshWorkspace]);
+
+    const deleteProject = useCallback(async (project) => {
+        AudioEngine.play('click');
+        setConfirmDeleteProjectId(null);
+        try {
+            await idb.deleteProject(project.id);
+            await idb.deleteConfig(autosaveKey(project.id));
+            if (currentProjectId === project.id) setCurrentProjectId(null);
+            await collectAssetGarbage();
+            await refreshWorkspace();
+            setStatus(`Deleted ${project.name} and all of its versions.`);
+        } catch (e) {
+            setErr(`Project Error: ${String(e.message || e)}`);
+            AudioEngine.play('error');
+        }
+    }, [currentProjectId, refreshWorkspace, collectAssetGarbage]);
+
+    // --- History Log management (delete, pin, storage) ---
+    useEffect(() => {
+        if (showHistoryModal) refreshStorageEstimate().catch(() => {});
+    }, [showHistoryModal, refreshStorageEstimate]);
+
+    const deleteVersions = useCallback(async (timestamps) => {
+        AudioEngine.play('click');
+        setConfirmBulkDelete(false);
+        setConfirmDeleteVersion(null);
+        try {
+            await idb.deleteHistory(timestamps);
+            setSelectedVersions(prev => prev.filter(ts => !timestamps.includes(ts)));
+            await collectAssetGarbage();
+            await refreshWorkspace();
+            setStatus(`Deleted ${timestamps.length} saved version${timestamps.length === 1 ? '' : 's'}.`);
+        } catch (e) {
+            setErr(`Delete Error: ${String(e.message || e)}`);
+            AudioEngine.play('error');
+        }
+    }, [refreshWorkspace, collectAssetGarbage]);
+
+    const togglePinVersion = useCallback(async (item) => {
+        AudioEngine.play('click');
+        await idb.addHistory({ ...item, pinned: !item.pinned }).catch(e => setErr(`Save Error: ${String(e.message || e)}`));
+        await refreshWorkspace();
+    }, [refreshWorkspace]);
+
+    const toggleVersionSelected = useCallback((timestamp) => {
+        setSelectedVersions(prev => prev.includes(timestamp) ? prev.filter(ts => ts !== timestamp) : [...prev, timestamp]);
+    }, []);
+
+    const requestPersistentStorage = useCallback(async () => {
+        AudioEngine.play('click');
+        const granted = await navigator.storage?.persist?.();
+        setStatus(granted ? 'Persistent storage granted. The browser will not evict saved projects.' : 'The browser declined persistent storage.');
+        await refreshStorageEstimate();
+    }, [refreshStorageEstimate]);
+
+    const historyFiltersActive = JSON.stringify(historyFilters) !== JSON.stringify(DEFAULT_HISTORY_FILTERS);
+    const historyStyles = useMemo(() => [...new Set(historyItems.map(v => v.config?.visualStyle).filter(Boolean))], [historyItems]);
+
+    // Projects with their matching versions (pinned first, then newest). Version numbers count every save.
+    const workspaceView = useMemo(() => projects
+        .filter(p => showArchived || !p.archived)
+        .map(project => {
+            const all = historyItems.filter(v => v.projectId === project.id);
+            const number = Object.fromEntries([...all].sort((a, b) => a.timestamp - b.timestamp).map((v, i) => [v.timestamp, i + 1]));
+            const versions = all
+                .filter(v => historyMatches(v, project.name, historyFilters))
+                .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || b.timestamp - a.timestamp);
+            return { project, versions, total: all.length, number };
+        })
+        .filter(({ versions }) => !historyFiltersActive || versions.length > 0), [projects, historyItems, historyFilters, historyFiltersActive, showArchived]);
+
     // Hook for queue completion logic
     useEffect(() => {
         queueRef.current.onComplete = () => {
             setTimeout(() => {
+                releaseQueue();
                 setBusy(false);
+                setSynthesizing(false);
+                setSynthPaused(false);
                 setStatus('Frame Synthesis complete. All tasks terminated.');
                 setScenes(current => {
-                    if (current.length > 0 && current.every(s => ['success', 'error'].includes(s.status))) {
+                    if (current.length > 0 && current.every(s => SCENE_DONE_STATUSES.includes(s.status))) {
                         const historyEntry = {
                             timestamp: Date.now(),
                             scenes: current.map(s => ({...s, status: s.status, prompt: s.prompt, image: s.image})),
                             cost: creditsUsed,
+                            costLedger,
                             vision: directorsVision,
                             branding: brandingOutput,
-                            config: { visualStyle, aspectRatio: FIXED_ASPECT_RATIO, scriptFile, isBrandingMode, logoRefImg }
+                            config: { visualStyle, aspectRatio: FIXED_ASPECT_RATIO, scriptFile, isBrandingMode, logoRefImg, budgetCap, stages: stageConfigSnapshot() }
                         };
-                        idb.addHistory(historyEntry)
-                           .then(() => idb.getHistory().then(setHistoryItems))
-                           .catch(() => console.error("Failed to save history"));
+                        saveVersion(historyEntry).catch(() => console.error("Failed to save history"));
                         return current;
                     }
                     return current;
                 });
             }, 400);
         };
-    }, [creditsUsed, directorsVision, visualStyle, scriptFile, isBrandingMode, brandingOutput, logoRefImg]);
+    }, [creditsUsed, costLedger, directorsVision, visualStyle, scriptFile, isBrandingMode, brandingOutput, logoRefImg, budgetCap, stageConfigSnapshot, saveVersion, releaseQueue]);
 
 
-    const incrementCredits = useCallback(() => setCreditsUsed(c => parseFloat((c + 0.10).toFixed(2))), []);
+    const updateStageProvider = useCallback((stage, provider) => {
+        setStageProviders(prev => {
+            const next = { ...prev, [stage]: provider };
+            idb.setConfig('stageProviders', next).catch(e => console.error("Failed to save provider routing:", e));
+            return next;
+        });
+    }, []);
 
-    const loadHistoryItem = useCallback((item) => {
+    const updateStageParam = useCallback((stage, key, value) => {
+        setStageParams(prev => {
+            const next = { ...prev, [stage]: { ...prev[stage], [key]: value } };
+            idb.setConfig('stageParams', next).catch(e => console.error("Failed to save stage parameters:", e));
+            return next;
+        });
+    }, []);
+
+    const updateProviderSetting = useCallback((provider, key, value) => {
+        setProviderSettings(prev => {
+            const next = { ...prev, [provider]: { ...prev[provider], [key]: value } };
+            saveSecretConfig('providerSettings', next).catch(e => console.error("Failed to save provider settings:", e));
+            return next;
+        });
+    }, [saveSecretConfig]);
+
+    const updateProxyConfig = useCallback((patch) => {
+        setProxyUsage(null);
+        setProxyConfig(prev => {
+            const next = { ...prev, ...patch };
+            saveSecretConfig('proxyConfig', next).catch(e => console.error("Failed to save proxy config:", e));
+            return next;
+        });
+    }, [saveSecretConfig]);
+
+    const handleCheckProxyUsage = useCallback(async () => {
+        AudioEngine.play('click');
+        try {
+            setProxyUsage(await ProxyClient.usage());
+        } catch (e) {
+            setProxyUsage({ error: String(e.message || e) });
+            AudioEngine.play('error');
+        }
+    }, []);
+
+    const updateMockConfig = useCallback((patch) => {
+        setMockConfig(prev => {
+            const next = { ...prev, ...patch, faults: { ...prev.faults, ...patch.faults } };
+            idb.setConfig('mockConfig', next).catch(e => console.error("Failed to save mock config:", e));
+            return next;
+        });
+    }, []);
+
+    const handleExportFixtures = useCallback(() => {
+        AudioEngine.play('click');
+        const payload = { format: 'dn-ai-mock-fixtures', version: 1, exportedAt: Date.now(), fixtures: MockBackend.fixtures };
+        const url = URL.createObjectURL(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `DN_AI_Mock_Fixtures_${Date.now()}.json`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+    }, []);
+
+    async function handleImportFixtures(e) {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        try {
+            const payload = JSON.parse(await file.text());
+            if (payload.format !== 'dn-ai-mock-fixtures' || !Array.isArray(payload.fixtures)) {
+                throw new Error('File is not a DN AI mock fixture set.');
+            }
+            MockBackend.load(payload.fixtures);
+            setMockFixtureCount(payload.fixtures.length);
+            await idb.setConfig('mockFixtures', payload.fixtures);
+            setStatus(`Mock backend loaded ${payload.fixtures.length} fixtures from ${file.name}.`);
+            AudioEngine.play('success');
+        } catch (error) {
+            setErr(`Fixture Import Error: ${String(error.message)}`);
+            AudioEngine.play('error');
+        } finally {
+            e.target.value = null;
+        }
+    }
+
+    const handleClearFixtures = useCallback(() => {
+        AudioEngine.play('click');
+        MockBackend.load([]);
+        setMockFixtureCount(0);
+        idb.setConfig('mockFixtures', []).catch(e => console.error("Failed to clear mock fixtures:", e));
+    }, []);
+
+    const updatePrice = useCallback((model, field, value) => {
+        setPriceTable(prev => {
+            const next = { ...prev, [model]: { input: 0, output: 0, perUnit: 0, ...prev[model], ...(field ? { [field]: Math.max(0, Number(value) || 0) } : {}) } };
+            idb.setConfig('priceTable', next).catch(e => console.error("Failed to save price table:", e));
+            return next;
+        });
+    }, []);
+
+    const resetPriceTable = useCallback(() => {
+        AudioEngine.play('click');
+        setPriceTable(DEFAULT_PRICE_TABLE);
+        idb.setConfig('priceTable', DEFAULT_PRICE_TABLE).catch(e => console.error("Failed to save price table:", e));
+    }, []);
+
+    // Pre-flight estimate for one call on a stage, using its routed model and the price table.
+    // `usage` overrides the typical token volumes when the caller can size the request.
+    const estimateStage = useCallback((stage, usage) => {
+        const kind = stageKind(stage);
+        return priceUsage(priceTable, { model: routeModel(routeFor(stage), kind), ...TYPICAL_USAGE[kind], ...usage });
+    }, [routeFor, priceTable]);
+
+    const frameEstimate = useCallback(() => estimateStage('optimizer') + estimateStage('image'), [estimateStage]);
+
+    const updateBudgetCap = useCallback((value) => {
+        const cap = Math.max(0, Number(value) || 0);
+        setBudgetCap(cap);
+        idb.setConfig('budgetCap', cap).catch(e => console.error("Failed to save budget cap:", e));
+    }, []);
+
+    // Raise the cap to the amount chosen in the hold dialog and let the queue continue where it stopped
+    const resumeAfterBudgetHold = useCallback((newCap) => {
+        AudioEngine.play('click');
+        updateBudgetCap(newCap);
+        setBudgetHold(null);
+        setStatus('Budget cap raised. Resuming frame synthesis...');
+        // canStart is rebound by the budgetCap effect; set it now so resume() sees the new ceiling
+        queueRef.current.canStart = (task, reserved) => !newCap || spendRef.current + reserved + (task.estimate || 0) <= newCap;
+        queueRef.current.resume();
+    }, [updateBudgetCap]);
+
+    const stopAfterBudgetHold = useCallback(() => {
+        AudioEngine.play('click');
+        setBudgetHold(null);
+        setScenes(prev => prev.map(s => s.status === 'queued' ? { ...s, status: 'cancelled', error: 'Halted at project budget cap.' } : s));
+        queueRef.current.clear();
+    }, []);
+
+    const handleExportCostCsv = useCallback((ledger, title) => {
+        AudioEngine.play('click');
+        const header = 'timestamp,stage,model,input_tokens,output_tokens,units,cost_usd';
+        const lines = ledger.map(e => [new Date(e.timestamp).toISOString(), e.stage, e.model, e.inputTokens || 0, e.outputTokens || 0, e.units || 0, e.cost.toFixed(6)].join(','));
+        const url = URL.createObjectURL(new Blob([[header, ...lines].join('\n')], { type: 'text/csv' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `DN_AI_Cost_${String(title).replace(/[^a-z0-9]+/gi, '_')}.csv`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+    }, []);
+
+    // Screenplay export of the working draft (the adopted enhanced script once the Vision Matrix has run)
+    const handleExportScript = useCallback((format) => {
+        AudioEngine.play('click');
+        try {
+            const elements = screenplayExportElements(directorsVision?.enhanced_script || narrative);
+            if (!elements.length) throw new Error('There is no script to export.');
+            const project = projects.find(p => p.id === currentProjectId);
+            const title = project?.name || (scriptFile ? scriptFile.replace(/\.[^.]+$/, '') : 'Untitled');
+            const blob = format === 'pdf' ? buildScreenplayPdf(elements, title)
+                : format === 'fdx' ? new Blob([buildFdx(elements, title)], { type: 'application/xml' })
+                : new Blob([buildFountain(elements, title)], { type: 'text/plain' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = `${title.replace(/[^\w.-]+/g, '_')}.${format}`;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(a.href), 100);
+            const scenesNumbered = elements.filter(el => el.type === 'scene_heading').length;
+            setStatus(`Screenplay exported as ${format.toUpperCase()} (${scenesNumbered} numbered scenes, ${formatBytes(blob.size)}).`);
+        } catch (e) {
+            setErr(`Script Export Error: ${String(e.message || e)}`);
+            setStatus('Failed to export screenplay.');
+            AudioEngine.play('error');
+        }
+    }, [directorsVision, narrative, projects, currentProjectId, scriptFile]);
+
+    const loadHistoryItem = useCallback(async (item) => {
+        const [scenes, cast, locations, logo] = await Promise.all([
+            Promise.all(item.scenes.map(s => mapSceneImages(s, v => AssetStore.url(v)))),
+            mapLibraryImages(item.cast, v => AssetStore.url(v)),
+            mapLibraryImages(item.locations, v => AssetStore.url(v)),
+            AssetStore.url(item.config.logoRefImg),
+        ]);
+        resetUndo();
         setNarrative(item.vision?.enhanced_script || 'Script reloaded from history.');
         setDirectorsVision(item.vision);
-        setScenes(item.scenes);
+        setScenes(scenes);
         setPredicted(null);
-        setCreditsUsed(item.cost);
+        setCostLedger(historyLedger(item));
         setVisualStyle(item.config.visualStyle);
         setScriptFile(item.config.scriptFile || null);
-        setCharacterSheet(item.vision?.character_sheet || null);
+        // Versions saved before the cast bible carry the lead's forensic description on the vision
+        setCast((item.cast || !item.vision?.character_sheet) ? cast : [newCastMember('LEAD CHARACTER', { description: item.vision.character_sheet, everyScene: true })]);
+        setLocations(locations);
+        setContinuityLedger(item.continuityLedger || {});
         setBrandingOutput(item.branding || null);
         setIsBrandingMode(item.config.isBrandingMode || false);
-        setLogoRefImg(item.config.logoRefImg || null);
+        updateLogoRefImg(logo || null);
+        setBudgetCap(item.config.budgetCap || 0);
+        setCurrentProjectId(item.projectId || null);
         setShowHistoryModal(false);
         setStatus('Project state reloaded successfully.');
         AudioEngine.play('success');
-    }, []);
+    }, [resetUndo, updateLogoRefImg]);
 
     // Save current project state manually
     const handleSaveState = useCallback(async () => {
@@ -525,19 +3827,193 @@ export default function App() {
                 timestamp: Date.now(),
                 scenes: scenes.map(s => ({...s, status: s.status, prompt: s.prompt, image: s.image})),
                 cost: creditsUsed,
+                costLedger,
                 vision: directorsVision,
+                cast,
+                locations,
+                continuityLedger,
                 branding: brandingOutput,
-                config: { visualStyle, aspectRatio: FIXED_ASPECT_RATIO, scriptFile, isBrandingMode, logoRefImg }
+                config: { visualStyle, aspectRatio: FIXED_ASPECT_RATIO, scriptFile, isBrandingMode, logoRefImg, budgetCap, stages: stageConfigSnapshot() }
             };
-            await idb.addHistory(historyEntry);
-            await idb.getHistory().then(setHistoryItems);
-            setStatus('Project state saved successfully.');
+            const project = await saveVersion(historyEntry);
+            setStatus(`Project state saved to ${project.name}.`);
         } catch (e) {
             setErr(`Save Error: ${String(e.message)}`);
             setStatus('Failed to save project state.');
             AudioEngine.play('error');
         }
-    }, [scenes, creditsUsed, directorsVision, brandingOutput, visualStyle, scriptFile, isBrandingMode, logoRefImg]);
+    }, [scenes, creditsUsed, costLedger, directorsVision, cast, locations, continuityLedger, brandingOutput, visualStyle, scriptFile, isBrandingMode, logoRefImg, budgetCap, stageConfigSnapshot, saveVersion]);
+
+    // Portable bundle: everything loadHistoryItem restores, plus the analysis reports and the voiceover
+    const handleExportBundle = useCallback(async () => {
+        AudioEngine.play('click');
+        setStatus('Packing project bundle...');
+        try {
+            const files = [];
+            const packed = new Map(); // url -> Promise<path>, so a frame that is also a take or a reference is packed once
+            const addFile = (dir, base, url) => {
+                if (!url) return Promise.resolve(null);
+                if (!packed.has(url)) packed.set(url, (async () => {
+                    const blob = await (await fetch(url)).blob();
+                    const path = `${dir}/${base}.${BUNDLE_EXTENSIONS[blob.type] || 'bin'}`;
+                    files.push({ name: path, data: new Uint8Array(await blob.arrayBuffer()) });
+                    return path;
+                })());
+                return packed.get(url);
+            };
+
+            const bundledScenes = await Promise.all(scenes.map(async (s, i) => {
+                const n = String(i + 1).padStart(2, '0');
+                const bundled = { ...s, image: await addFile('frames', `scene-${n}`, await AssetStore.url(s.image)) };
+                if (s.versions) bundled.versions = await Promise.all(s.versions.map(async (v, j) => ({
+                    ...v,
+                    image: await addFile('frames', `scene-${n}-take-${j + 1}`, await AssetStore.url(v.image)),
+                    references: await Promise.all(v.references.map(async (r, k) => addFile('refs', `scene-${n}-take-${j + 1}-ref-${k + 1}`, await AssetStore.url(r)))),
+                })));
+                return bundled;
+            }));
+            const logo = await addFile('refs', 'logo', logoRefImg);
+            const bundledCast = await Promise.all(cast.map(async (m, i) => ({
+                ...m,
+                refs: await Promise.all(m.refs.map(async (r, j) => addFile('refs', `cast-${i + 1}-${j + 1}`, await AssetStore.url(r)))),
+            })));
+            const bundledLocations = await Promise.all(locations.map(async (l, i) => ({
+                ...l,
+                refs: await Promise.all(l.refs.map(async (r, j) => addFile('refs', `location-${i + 1}-${j + 1}`, await AssetStore.url(r)))),
+            })));
+            // A voiceover whose asset was collected is skipped rather than fatal
+            const voiceover = await addFile('audio', 'voiceover', ttsAudioUrl).catch(() => null);
+
+            const project = projects.find(p => p.id === currentProjectId);
+            const name = project?.name || scriptFile || 'UNTITLED PROJECT';
+            const manifest = {
+                format: BUNDLE_FORMAT,
+                version: BUNDLE_VERSION,
+                exportedAt: new Date().toISOString(),
+                project: { name },
+                narrative,
+                directorsVision,
+                cast: bundledCast,
+                locations: bundledLocations,
+                continuityLedger,
+                predicted,
+                scenes: bundledScenes,
+                brandingOutput,
+                logoDescription,
+                reports: { complexityReport, flowReport, assetDescReport, purityReport, viralIdeas, continuityReport },
+                costLedger,
+                config: { visualStyle, aspectRatio: FIXED_ASPECT_RATIO, scriptFile, isBrandingMode, budgetCap, charLock, selectedVoice, stages: stageConfigSnapshot() },
+                files: { logo, voiceover },
+            };
+            files.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2), compress: true });
+
+            const blob = await zipFiles(files);
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = `${name.replace(/[^\w.-]+/g, '_')}_${Date.now()}.zip`;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(a.href), 100);
+            setStatus(`Project bundle exported (${bundledScenes.length} frames, ${formatBytes(blob.size)}).`);
+            AudioEngine.play('success');
+        } catch (e) {
+            setErr(`Bundle Export Error: ${String(e.message || e)}`);
+            setStatus('Failed to export project bundle.');
+            AudioEngine.play('error');
+        }
+    }, [scenes, cast, locations, continuityLedger, logoRefImg, ttsAudioUrl, projects, currentProjectId, scriptFile, narrative, directorsVision, predicted, brandingOutput, logoDescription, complexityReport, flowReport, assetDescReport, purityReport, viralIdeas, continuityReport, costLedger, visualStyle, isBrandingMode, budgetCap, charLock, selectedVoice, stageConfigSnapshot]);
+
+    // Imports become a new project whose first version is the bundled state, then load onto the board
+    const handleImportBundle = useCallback(async (file) => {
+        AudioEngine.play('click');
+        setStatus(`Unpacking ${file.name}...`);
+        setErr(null);
+        try {
+            const files = await unzipFiles(file);
+            if (!files['manifest.json']) throw new Error('manifest.json is missing; this is not a project bundle.');
+            const manifest = JSON.parse(new TextDecoder().decode(files['manifest.json']));
+            if (manifest.format !== BUNDLE_FORMAT) throw new Error('manifest.json is not a project bundle manifest.');
+            if (manifest.version > BUNDLE_VERSION) throw new Error(`Bundle version ${manifest.version} is newer than this app supports (${BUNDLE_VERSION}).`);
+
+            const fileBlob = (path) => {
+                if (!path) return null;
+                if (!files[path]) throw new Error(`Bundle is missing ${path}.`);
+                return new Blob([files[path]], { type: bundleMimeType(path) });
+            };
+            const assetUrl = async (path) => {
+                const blob = fileBlob(path);
+                return blob ? AssetStore.urls[await AssetStore.put(blob)] : null;
+            };
+
+            const restoredScenes = await Promise.all((manifest.scenes || []).map(s => mapSceneImages(s, assetUrl)));
+            const voiceoverBlob = fileBlob(manifest.files?.voiceover);
+            const logo = await assetUrl(manifest.files?.logo);
+            // Bundles made before the cast bible hold a single character reference and its description
+            const legacyCharacter = await assetUrl(manifest.files?.character);
+            const restoredCast = manifest.cast
+                ? await mapLibraryImages(manifest.cast, assetUrl)
+                : (legacyCharacter || manifest.characterSheet)
+                    ? [newCastMember('LEAD CHARACTER', { refs: legacyCharacter ? [legacyCharacter] : [], description: manifest.characterSheet || '', everyScene: true })]
+                    : [];
+            const restoredLocations = await mapLibraryImages(manifest.locations, assetUrl);
+            const config = manifest.config || {};
+            const costLedger = manifest.costLedger || [];
+
+            const now = Date.now();
+            const project = { id: newProjectId(), name: `${manifest.project?.name || file.name} (IMPORTED)`, createdAt: now, updatedAt: now, archived: false };
+            await idb.putProject(project);
+            await idb.addHistory({
+                timestamp: now,
+                projectId: project.id,
+                scenes: await Promise.all(restoredScenes.map(s => mapSceneImages(s, v => AssetStore.toRef(v)))),
+                cost: costLedger.reduce((sum, e) => sum + (e.cost || 0), 0),
+                costLedger,
+                vision: manifest.directorsVision || null,
+                cast: await mapLibraryImages(restoredCast, v => AssetStore.toRef(v)),
+                locations: await mapLibraryImages(restoredLocations, v => AssetStore.toRef(v)),
+                continuityLedger: manifest.continuityLedger || {},
+                branding: manifest.brandingOutput || null,
+                config: {
+                    visualStyle: config.visualStyle, aspectRatio: FIXED_ASPECT_RATIO, scriptFile: config.scriptFile || null,
+                    isBrandingMode: config.isBrandingMode || false, logoRefImg: await AssetStore.toRef(logo), budgetCap: config.budgetCap || 0, stages: config.stages,
+                },
+            });
+
+            const reports = manifest.reports || {};
+            resetUndo();
+            setNarrative(manifest.narrative || manifest.directorsVision?.enhanced_script || '');
+            setDirectorsVision(manifest.directorsVision || null);
+            setCast(restoredCast);
+            setLocations(restoredLocations);
+            setContinuityLedger(manifest.continuityLedger || {});
+            setPredicted(manifest.predicted || null);
+            setScenes(restoredScenes);
+            setCostLedger(costLedger);
+            if (config.visualStyle) setVisualStyle(config.visualStyle);
+            setScriptFile(config.scriptFile || null);
+            setIsBrandingMode(config.isBrandingMode || false);
+            setBudgetCap(config.budgetCap || 0);
+            if (typeof config.charLock === 'boolean') setCharLock(config.charLock);
+            if (config.selectedVoice) setSelectedVoice(config.selectedVoice);
+            setBrandingOutput(manifest.brandingOutput || null);
+            updateLogoRefImg(logo || null, manifest.logoDescription || null);
+            setTtsAudioUrl(voiceoverBlob ? AssetStore.urls[await AssetStore.put(voiceoverBlob)] : null);
+            setComplexityReport(reports.complexityReport || null);
+            setFlowReport(reports.flowReport || null);
+            setAssetDescReport(reports.assetDescReport || null);
+            setPurityReport(reports.purityReport || null);
+            setViralIdeas(reports.viralIdeas || null);
+            setContinuityReport(reports.continuityReport || null);
+            setCurrentProjectId(project.id);
+            await refreshWorkspace();
+            setShowHistoryModal(false);
+            setStatus(`Imported ${project.name} (${restoredScenes.length} frames).`);
+            AudioEngine.play('success');
+        } catch (e) {
+            setErr(`Bundle Import Error: ${String(e.message || e)}`);
+            setStatus('Failed to import project bundle.');
+            AudioEngine.play('error');
+        }
+    }, [refreshWorkspace, resetUndo, updateLogoRefImg]);
 
     // Download Function for TTS
     const handleDownloadAudio = useCallback(() => {
@@ -547,7 +4023,6 @@ export default function App() {
         a.href = ttsAudioUrl;
         a.download = `DN_AI_Voiceover_${Date.now()}.wav`;
         a.click();
-        setTimeout(() => URL.revokeObjectURL(ttsAudioUrl), 100);
     }, [ttsAudioUrl]);
 
     // --- TTS Logic (AI Voiceover Creator) ---
@@ -563,11 +4038,11 @@ export default function App() {
         try {
             const analysisPrompt = `Analyze the tone of the user's script (first 300 characters: '${narrative.slice(0, 300)}...') and create a precise, natural language instruction for a professional voice actor. This instruction MUST be the single sentence starting with 'Say the following script segment with a...' specifying style, tone, pace, and emotional feeling, tailored to the selected voice's characteristics. DO NOT include the script segment itself in this response.`;
             
-            const { text: styleInstruction } = await callText([{ text: analysisPrompt }], "You are a professional film director providing voiceover guidance.", undefined, retryCount, apiKey);
+            const { text: styleInstruction } = await callText([{ text: analysisPrompt }], "You are a professional film director providing voiceover guidance.", undefined, retryCount, apiKey, undefined, routeFor('tts'));
 
             const ttsPrompt = `${styleInstruction} for the following text: '${narrative.slice(0, 300)}...'`;
 
-            const audioUrl = await callTTS(ttsPrompt, selectedVoice, retryCount, apiKey);
+            const audioUrl = await callTTS(ttsPrompt, selectedVoice, retryCount, apiKey, routeFor('tts'));
             
             if (audioRef.current) {
                 audioRef.current.src = audioUrl;
@@ -585,12 +4060,12 @@ export default function App() {
         } finally {
             setTtsLoading(false);
         }
-    }, [narrative, ttsLoading, selectedVoice, apiKey, retryCount, audioRef]);
+    }, [narrative, ttsLoading, selectedVoice, apiKey, retryCount, audioRef, routeFor]);
 
 
     // Function to extract text from multimodal files (PDF, DOCX)
     async function extractScriptFromDocument(file) {
-        setStatus(`Analyzing ${file.name} (Initiating deep-scan sequence, $0.05 charge)...`);
+        setStatus(`Analyzing ${file.name} (Initiating deep-scan sequence, metered per token)...`);
 
         const MAX_FILE_SIZE = 20 * 1024 * 1024;
         if (file.size > MAX_FILE_SIZE) {
@@ -611,7 +4086,7 @@ export default function App() {
         const parts = [{ text: "Extract the full formatted script from this document." }, { inlineData: { mimeType, data: base64Data } }];
 
         try {
-            const { text } = await callText(parts, sys, undefined, retryCount, apiKey);
+            const { text } = await callText(parts, sys, undefined, retryCount, apiKey, undefined, routeFor('ingest'));
             return text;
         } catch (e) {
             console.error("Gemini Document Extraction Failed:", e);
@@ -623,28 +4098,55 @@ export default function App() {
         const file = e.target.files?.[0];
         if (!file) return;
 
-        setScriptFile(file.name);
         setBusy(true);
         setErr(null);
 
         try {
             let extractedContent = '';
-
-            if (file.type.startsWith('text/')) {
+            const extension = fileExtension(file.name);
+
+            if (SCREENPLAY_EXTENSIONS.includes(extension)) {
+                const format = extension === 'fdx' ? 'Final Draft' : 'Fountain';
+                const { title, elements } = extension === 'fdx' ? parseFdx(await file.text()) : parseFountain(await file.text());
+                if (elements.length === 0) throw new Error(`${file.name} contains no screenplay elements.`);
+                const summary = summarizeScreenplay(elements);
+                extractedContent = formatScreenplay(elements);
+                setScreenplay({ format, title, ...summary });
+                setStatus(`${format} parsed locally: ${summary.scenes.length} scenes, ${summary.characters.length} characters, ${summary.dialogue.length} dialogue blocks. No API call made.`);
+            }
+            else if (file.type.startsWith('text/')) {
                 extractedContent = await file.text();
                 if (extractedContent.length === 0) {
                      throw new Error("Text file is empty.");
                 }
             }
-            else if (['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'].includes(file.type)) {
-                extractedContent = await extractScriptFromDocument(file);
-                setCreditsUsed(c => parseFloat((c + 0.05).toFixed(2)));
+            else if (file.type === 'application/pdf' || file.type === DOCX_MIME_TYPE || ['pdf', 'docx'].includes(extension)) {
+                // Local extraction goes to a preview; nothing reaches the board until it is accepted
+                const isPdf = file.type === 'application/pdf' || extension === 'pdf';
+                setStatus(`Extracting text from ${file.name} locally...`);
+                let extracted = { text: '', pages: null, issues: [] };
+                try {
+                    extracted = isPdf ? await extractPdfText(file) : await extractDocxText(file);
+                } catch (error) {
+                    extracted.issues = [`Local extraction failed: ${error.message}`];
+                }
+                const issues = [...(extracted.issues || []), ...(extracted.text ? assessExtractedText(extracted.text, extracted.pages) : [])];
+                if (!extracted.text && !issues.length) issues.push('No text could be extracted locally.');
+                setImportPreview({ fileName: file.name, file, text: extracted.text, method: isPdf ? 'LOCAL PDF TEXT LAYER' : 'LOCAL DOCX', pages: extracted.pages, issues });
+                setStatus(issues.length
+                    ? `Local extraction of ${file.name} needs review: ${issues[0]}`
+                    : `${file.name} extracted locally${extracted.pages ? ` (${extracted.pages} pages)` : ''}. Review the preview to accept. No API call made.`);
+                AudioEngine.play(issues.length ? 'error' : 'success');
+                return;
             } else {
-                throw new Error(`Unsupported file type: ${file.type}. Please use .txt, .pdf, or .docx.`);
+                throw new Error(`Unsupported file type: ${file.type || extension}. Please use .fountain, .fdx, .txt, .pdf, or .docx.`);
             }
 
+            recordUndo(`Load script ${file.name}`);
+            setScriptFile(file.name);
+            if (!SCREENPLAY_EXTENSIONS.includes(extension)) setScreenplay(null);
             setNarrative(extractedContent);
-            setStatus(`Script data stream initialized from ${file.name}.`);
+            if (!SCREENPLAY_EXTENSIONS.includes(extension)) setStatus(`Script data stream initialized from ${file.name}.`);
             AudioEngine.play('success');
 
         } catch (error) {
@@ -659,14 +4161,48 @@ export default function App() {
     }
 
 
+    const importPreviewDiff = useMemo(() => (importPreview?.text ? diffLines(narrative, importPreview.text) : []), [narrative, importPreview]);
+
+    function acceptImportPreview() {
+        if (!importPreview?.text) return;
+        AudioEngine.play('success');
+        recordUndo(`Load script ${importPreview.fileName}`);
+        setScriptFile(importPreview.fileName);
+        setScreenplay(null);
+        setNarrative(importPreview.text);
+        setStatus(`Script data stream initialized from ${importPreview.fileName} (${importPreview.method}).`);
+        setImportPreview(null);
+    }
+
+    // Paid fallback for scanned or garbled documents: the whole file goes to the ingest model
+    async function deepScanImportPreview() {
+        if (!importPreview?.file || busy) return;
+        AudioEngine.play('click');
+        setBusy(true);
+        setErr(null);
+        try {
+            const text = await extractScriptFromDocument(importPreview.file);
+            setImportPreview(prev => prev && { ...prev, text, method: 'AI DEEP-SCAN', issues: [] });
+            setStatus(`Deep-scan of ${importPreview.fileName} complete. Review the preview to accept.`);
+            AudioEngine.play('success');
+        } catch (error) {
+            setErr(String(error.message || 'Deep-scan failed.'));
+            setStatus('Error: Deep-scan failed.');
+            AudioEngine.play('error');
+        } finally {
+            setBusy(false);
+        }
+    }
+
+
     // AI Director: Core Vision Matrix + Auto Enhancement
     async function runAiDirector() {
         AudioEngine.play('click');
         setBusy(true);
         setErr(null);
         setStatus('AI Director: Initiating Deep Script Analysis and Cinematic Enhancement...');
+        recordUndo('AI Director pass');
         setDirectorsVision(null);
-        setCharacterSheet(null);
         setPredicted(null);
         setScenes([]);
         setBrandingOutput(null);
@@ -674,18 +4210,15 @@ export default function App() {
         setFlowReport(null);
         setAssetDescReport(null);
         setPurityReport(null);
+        setContinuityReport(null);
 
         try {
-            let charSheet = null;
-            if (refImg && charLock) {
-                setStatus("Analyzing character reference image using multi-modal sensor...");
-                const sysChar = "You are a forensic artist. Describe the person in this image in extreme detail for a character sheet. Respond in JSON with a single key 'description'.";
-                const schemaChar = { type: 'OBJECT', properties: { description: { type: 'STRING' } }, required: ['description'] };
-                const partsChar = [{ text: 'Describe this person.' }, { inlineData: { mimeType: 'image/jpeg', data: refImg.split(',')[1] } }];
-
-                const { text: charResult } = await callText(partsChar, sysChar, schemaChar, retryCount, apiKey);
-                charSheet = JSON.parse(charResult).description;
-                setCharacterSheet(charSheet);
+            const undescribed = charLock ? cast.filter(m => m.refs.length && !m.description) : [];
+            if (undescribed.length) {
+                setStatus(`Analyzing reference images for ${undescribed.length} cast member(s) using multi-modal sensor...`);
+                const described = {};
+                for (const member of undescribed) described[member.id] = await describeCastRefs(member);
+                setCast(prev => prev.map(m => described[m.id] ? { ...m, description: described[m.id] } : m));
             }
 
             setStatus("Developing Director's Vision Matrix and Auto-Enhancing Script...");
@@ -712,15 +4245,16 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
                 required: ['main_goal', 'core_theme', 'visual_tone', 'cinematography_style', 'enhanced_script']
             };
 
-            const { text: visionResult } = await callText([{ text: narrative }], sysVision, schemaVision, retryCount, apiKey);
+            const { text: visionResult } = await callText([{ text: narrative }], sysVision, schemaVision, retryCount, apiKey, undefined, routeFor('vision'));
             const vision = JSON.parse(visionResult);
-            if (charSheet) vision.character_sheet = charSheet;
 
-            setNarrative(vision.enhanced_script);
-            setDirectorsVision(vision); 
-            
+            // The rewrite is a proposal: every stage keeps reading the original until the reviewed merge is adopted
+            const proposed = { ...vision, enhanced_script: narrative };
+            setDirectorsVision(proposed);
+            setScriptReview({ vision: proposed, original: narrative, enhanced: vision.enhanced_script, decisions: {} });
+
             setShowVisionModal(true);
-            setStatus("Director's Vision and Enhanced Script complete. Awaiting user approval to proceed with scene segmentation.");
+            setStatus("Director's Vision complete. Review the enhanced script changes, then adopt them to proceed with scene segmentation.");
             AudioEngine.play('success');
 
         } catch (e) {
@@ -732,40 +4266,343 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
         }
     }
 
-    // Scene Segmentation and Prompt Generation
-    async function generateScenesFromVision() {
+    // --- Enhanced Script Review (per-hunk accept / reject) ---
+    // Only the review made for the vision on screen applies, so loads, imports and undo retire it implicitly.
+    // Hunks that touch a heading, cue or dialogue start rejected; the audit runs on whatever would be adopted.
+    const enhancementReview = useMemo(() => {
+        if (!scriptReview || scriptReview.vision !== directorsVision) return null;
+        const { segments, flags } = reviewScriptEnhancement(scriptReview.original, scriptReview.enhanced);
+        const hunks = segments.map((_, i) => i).filter(i => segments[i].type === 'change');
+        const isAccepted = (i) => scriptReview.decisions[i] ?? !flags[i].length;
+        const merged = applyDiffDecisions(segments, isAccepted);
+        return {
+            segments,
+            flags,
+            hunks,
+            isAccepted,
+            merged,
+            accepted: hunks.filter(isAccepted).length,
+            flagged: hunks.filter(i => flags[i].length).length,
+            findings: auditScriptIntegrity(scriptReview.original, merged),
+        };
+    }, [scriptReview, directorsVision]);
+
+    function toggleHunk(index) {
         AudioEngine.play('click');
-        setShowVisionModal(false);
-        setBusy(true);
+        setScriptReview(prev => ({ ...prev, decisions: { ...prev.decisions, [index]: !enhancementReview.isAccepted(index) } }));
+    }
+
+    function decideAllHunks(accept) {
+        AudioEngine.play('click');
+        setScriptReview(prev => ({ ...prev, decisions: Object.fromEntries(enhancementReview.hunks.map(i => [i, accept])) }));
+    }
+
+    function adoptReviewedScript() {
+        if (!enhancementReview) return;
+        AudioEngine.play('success');
+        recordUndo('Adopt enhanced script');
+        const { merged, accepted, hunks, findings } = enhancementReview;
+        // The review stays stored: the new vision object retires it, and undoing the adoption brings it back
+        setNarrative(merged);
+        setDirectorsVision(prev => ({ ...prev, enhanced_script: merged }));
+        setStatus(`Enhanced script adopted: ${accepted} of ${hunks.length} change(s) accepted${findings.length ? `, ${findings.length} screenplay change(s) kept deliberately` : ''}. Ready for scene segmentation.`);
+    }
+
+    function keepOriginalScript() {
+        AudioEngine.play('click');
+        setScriptReview(null);
+        setStatus('Enhanced script discarded. The Vision Matrix will work from the original script.');
+    }
+
+    // Typed scene list parsed locally from the enhanced script; every Director stage is sent this model
+    // and answers by scene ID, so prompts, branding plans and reports line up with the same scenes
+    const screenplayModel = useMemo(() => parseScreenplayText(directorsVision?.enhanced_script), [directorsVision]);
+    // Storyboard cards carry the script's own scene numbers; segments of an unheaded script count in order
+    const sceneNumbers = useMemo(() => Object.fromEntries(screenplayModel.scenes.map(sc => [sc.id, sc.number])), [screenplayModel]);
+    const segmentLabel = useCallback((segment, index) => {
+        const number = segment.sceneId && segment.sceneId in sceneNumbers ? sceneNumbers[segment.sceneId] : index + 1;
+        return number ? `${number}. ${segment.sceneHeader}` : segment.sceneHeader;
+    }, [sceneNumbers]);
+
+    // One description from every reference image of a cast member or set, so it does not hang on a single angle
+    const describeReferenceImages = useCallback(async (refs, sys, request) => {
+        const images = (await Promise.all(refs.map(r => AssetStore.dataUrl(r)))).filter(Boolean);
+        const schema = { type: 'OBJECT', properties: { description: { type: 'STRING' } }, required: ['description'] };
+        const parts = [{ text: request }, ...images.map(img => ({ inlineData: splitDataUrl(img) }))];
+        const { text } = await callText(parts, `${sys} Respond in JSON with a single key 'description'.`, schema, retryCount, apiKey, undefined, routeFor('vision'));
+        return JSON.parse(text).description;
+    }, [apiKey, retryCount, routeFor]);
+
+    // --- Cast Bible (per-character references, description and wardrobe) ---
+    const describeCastRefs = useCallback((member) => describeReferenceImages(member.refs,
+        `You are a forensic artist. All of these images show the same person, ${member.name}. Describe them in extreme detail for a character sheet: face, build, age, skin, hair and distinguishing marks. Leave out clothing.`,
+        `Describe ${member.name}.`), [describeReferenceImages]);
+
+    const addCastMember = useCallback(() => {
+        AudioEngine.play('click');
+        recordUndo('Add cast member');
+        setCast(prev => [...prev, newCastMember(`CHARACTER ${prev.length + 1}`)]);
+    }, [recordUndo]);
+
+    const updateCastMember = useCallback((id, patch) => {
+        recordUndo('Edit cast bible', true);
+        setCast(prev => prev.map(m => m.id === id ? { ...m, ...patch } : m));
+    }, [recordUndo]);
+
+    const removeCastMember = useCallback((id) => {
+        AudioEngine.play('click');
+        recordUndo('Remove cast member');
+        setCast(prev => prev.filter(m => m.id !== id));
+    }, [recordUndo]);
+
+    const addCastRefs = useCallback(async (id, files) => {
+        try {
+            const refs = await Promise.all(Array.from(files).map(async f => AssetStore.intern(await fileToBase64(f))));
+            recordUndo('Add character reference');
+            setCast(prev => prev.map(m => m.id === id ? { ...m, refs: [...m.refs, ...refs.filter(r => !m.refs.includes(r))] } : m));
+            AudioEngine.play('success');
+        } catch (e) {
+            setErr(`Reference Upload Error: ${String(e.message || e)}`);
+            AudioEngine.play('error');
+        }
+    }, [recordUndo]);
+
+    const removeCastRef = useCallback((id, ref) => {
+        AudioEngine.play('click');
+        recordUndo('Remove character reference');
+        setCast(prev => prev.map(m => m.id === id ? { ...m, refs: m.refs.filter(r => r !== ref) } : m));
+    }, [recordUndo]);
+
+    // Adds every speaking role in the script that is not in the bible yet
+    const syncCastFromScript = useCallback(() => {
+        AudioEngine.play('click');
+        const model = directorsVision ? screenplayModel : parseScreenplayText(narrative);
+        const known = new Set(cast.map(m => m.name));
+        const added = model.characters.filter(c => !known.has(c.name)).map(c => newCastMember(c.name));
+        if (!added.length) return setStatus('Cast bible already lists every speaking role in the script.');
+        recordUndo('Sync cast from script');
+        setCast(prev => [...prev, ...added]);
+        setStatus(`Added ${added.length} speaking role(s) to the cast bible: ${added.map(m => m.name).join(', ')}.`);
+    }, [directorsVision, screenplayModel, narrative, cast, recordUndo]);
+
+    const describeCastMember = useCallback(async (member) => {
+        AudioEngine.play('click');
+        setDescribingCastId(member.id);
         setErr(null);
-        setStatus('Generating scene prompts based on Vision and Style Matrix...');
+        setStatus(`Analyzing ${member.refs.length} reference image(s) of ${member.name}...`);
         try {
-            if (!directorsVision) throw new Error("Director's Vision Matrix is missing.");
+            const description = await describeCastRefs(member);
+            recordUndo(`Describe ${member.name}`);
+            setCast(prev => prev.map(m => m.id === member.id ? { ...m, description } : m));
+            setStatus(`${member.name}: forensic description updated.`);
+            AudioEngine.play('success');
+        } catch (e) {
+            setErr(`Character Analysis Error: ${String(e.message || e)}`);
+            setStatus(`Failed to describe ${member.name}.`);
+            AudioEngine.play('error');
+        } finally {
+            setDescribingCastId(null);
+        }
+    }, [describeCastRefs, recordUndo]);
 
-            const visionContext = `MAIN GOAL: ${directorsVision.main_goal}. Theme: ${directorsVision.core_theme}, Tone: ${directorsVision.visual_tone}, Cinematography: ${directorsVision.cinematography_style}${directorsVision.character_sheet ? ` Main Character (${directorsVision.main_character}) Appearance: ${directorsVision.character_sheet}` : ''}`;
+    // --- Location Bible (per-set references, description, lighting and time-of-day notes) ---
+    // Sets named in the scene headings, with the times of day each is shot at
+    const scriptSets = useMemo(() => scriptLocations(directorsVision ? screenplayModel : parseScreenplayText(narrative)), [directorsVision, screenplayModel, narrative]);
 
-            const schema = {
-                type: 'ARRAY',
-                items: {
-                    type: 'OBJECT',
-                    properties: { sceneHeader: { type: 'STRING' }, prompt: { type: 'STRING' } },
-                    required: ['sceneHeader', 'prompt']
-                }
-            };
+    const addLocation = useCallback(() => {
+        AudioEngine.play('click');
+        recordUndo('Add location');
+        setLocations(prev => [...prev, newLocation(`LOCATION ${prev.length + 1}`)]);
+    }, [recordUndo]);
+
+    const updateLocation = useCallback((id, patch) => {
+        recordUndo('Edit location bible', true);
+        setLocations(prev => prev.map(l => l.id === id ? { ...l, ...patch } : l));
+    }, [recordUndo]);
 
-            const sys = `You are a storyboard artist. Use the ENHANCED SCRIPT (which contains shot descriptions) and strictly adhere to the DIRECTOR'S VISION to create production-grade image prompts. The vision is paramount. If the main character is mentioned, their appearance MUST match the character sheet. URGENT AND MANDATORY: All images must be rendered in a "${visualStyle}" style and have an exact aspect ratio of "${FIXED_ASPECT_RATIO}". Respond in JSON only.`;
+    const removeLocation = useCallback((id) => {
+        AudioEngine.play('click');
+        recordUndo('Remove location');
+        setLocations(prev => prev.filter(l => l.id !== id));
+    }, [recordUndo]);
+
+    const addLocationRefs = useCallback(async (id, files) => {
+        try {
+            const refs = await Promise.all(Array.from(files).map(async f => AssetStore.intern(await fileToBase64(f))));
+            recordUndo('Add location reference');
+            setLocations(prev => prev.map(l => l.id === id ? { ...l, refs: [...l.refs, ...refs.filter(r => !l.refs.includes(r))] } : l));
+            AudioEngine.play('success');
+        } catch (e) {
+            setErr(`Reference Upload Error: ${String(e.message || e)}`);
+            AudioEngine.play('error');
+        }
+    }, [recordUndo]);
+
+    const removeLocationRef = useCallback((id, ref) => {
+        AudioEngine.play('click');
+        recordUndo('Remove location reference');
+        setLocations(prev => prev.map(l => l.id === id ? { ...l, refs: l.refs.filter(r => r !== ref) } : l));
+    }, [recordUndo]);
+
+    // A generated frame becomes a reference of the set its scene heading names, adding the set if needed
+    const promoteFrameToLocation = useCallback((scene) => {
+        const set = headingSet(scene.sceneHeader);
+        if (!scene.image || !set.name) return;
+        const label = locationLabel(set);
+        AudioEngine.play('success');
+        recordUndo(`Use frame as ${label} reference`);
+        setLocations(prev => {
+            const entry = sceneLocation(prev, scene);
+            return entry
+                ? prev.map(l => l.id === entry.id && !l.refs.includes(scene.image) ? { ...l, refs: [...l.refs, scene.image] } : l)
+                : [...prev, newLocation(set.name, { intExt: set.intExt, refs: [scene.image] })];
+        });
+        setStatus(`Frame added as a reference for ${label}. Every scene set there now uses it.`);
+    }, [recordUndo]);
+
+    const syncLocationsFromScript = useCallback(() => {
+        AudioEngine.play('click');
+        const added = scriptSets.filter(set => !findLocation(locations, set)).map(set => newLocation(set.name, { intExt: set.intExt }));
+        if (!added.length) return setStatus('Location bible already lists every set in the scene headings.');
+        recordUndo('Sync locations from script');
+        setLocations(prev => [...prev, ...added]);
+        setStatus(`Added ${added.length} location(s) to the location bible: ${added.map(locationLabel).join(', ')}.`);
+    }, [scriptSets, locations, recordUndo]);
+
+    const describeLocation = useCallback(async (location) => {
+        AudioEngine.play('click');
+        setDescribingLocationId(location.id);
+        setErr(null);
+        setStatus(`Analyzing ${location.refs.length} reference image(s) of ${locationLabel(location)}...`);
+        try {
+            const description = await describeReferenceImages(location.refs,
+                `You are a production designer. All of these images show the same film set, ${locationLabel(location)}. Describe it as a canonical set description: architecture, layout, materials, colour palette, set dressing and practical light sources. Leave out people and the current time of day.`,
+                `Describe ${locationLabel(location)}.`);
+            recordUndo(`Describe ${locationLabel(location)}`);
+            setLocations(prev => prev.map(l => l.id === location.id ? { ...l, description } : l));
+            setStatus(`${locationLabel(location)}: set description updated.`);
+            AudioEngine.play('success');
+        } catch (e) {
+            setErr(`Location Analysis Error: ${String(e.message || e)}`);
+            setStatus(`Failed to describe ${locationLabel(location)}.`);
+            AudioEngine.play('error');
+        } finally {
+            setDescribingLocationId(null);
+        }
+    }, [describeReferenceImages, recordUndo]);
+
+    // --- Continuity Ledger (wardrobe and prop states per scene) ---
+    // Keyed like the frames it applies to: by screenplay scene, or by segment when the script has no
+    // headings and the segments are the model's own shots
+    const ledgerScenes = useMemo(() => (hasSceneStructure(screenplayModel)
+        ? screenplayModel.scenes.map(sc => ({ id: sc.id, number: sc.number, heading: sc.heading }))
+        : (predicted || []).map((s, i) => ({ id: sceneKey(s), number: i + 1, heading: s.sceneHeader }))), [screenplayModel, predicted]);
+
+    const addLedgerEntry = useCallback((sceneId, kind = 'wardrobe') => {
+        AudioEngine.play('click');
+        recordUndo('Add ledger entry');
+        setContinuityLedger(prev => ({ ...prev, [sceneId]: [...(prev[sceneId] || []), { kind, subject: '', state: '' }] }));
+    }, [recordUndo]);
 
-            const { text } = await callText([{ text: `Enhanced Script: \n\n${directorsVision.enhanced_script}\n\n${visionContext}` }], sys, schema, retryCount, apiKey);
+    const updateLedgerEntry = useCallback((sceneId, index, patch) => {
+        recordUndo('Edit continuity ledger', true);
+        setContinuityLedger(prev => ({ ...prev, [sceneId]: prev[sceneId].map((e, i) => i === index ? { ...e, ...patch } : e) }));
+    }, [recordUndo]);
 
-            const parsed = JSON.parse(text);
+    const removeLedgerEntry = useCallback((sceneId, index) => {
+        AudioEngine.play('click');
+        recordUndo('Remove ledger entry');
+        setContinuityLedger(prev => ({ ...prev, [sceneId]: prev[sceneId].filter((e, i) => i !== index) }));
+    }, [recordUndo]);
+
+    // Flagged frames by segment key, for the badge on each frame card; a newer take clears the flag
+    const continuityFlags = useMemo(() => Object.fromEntries((continuityReport || [])
+        .filter(entry => entry.issues.length)
+        .map(entry => [entry.sceneId, entry])), [continuityReport]);
 
-            setPredicted(parsed.map((s, i) => ({ id: i, ...s })));
-            setStatus(`Generated ${parsed.length} visual segment prompts. Ready for Frame Synthesis.`);
+    // Scene Segmentation and Prompt Generation
+    async function generateScenesFromVision() {
+        AudioEngine.play('click');
+        setShowVisionModal(false);
+        setBusy(true);
+        setErr(null);
+        setStatus('Generating scene prompts based on Vision and Style Matrix...');
+        try {
+            if (!directorsVision) throw new Error("Director's Vision Matrix is missing.");
+            recordUndo('Segment scenes');
+            const structured = hasSceneStructure(screenplayModel);
+
+            const visionContext = `MAIN GOAL: ${directorsVision.main_goal}. Theme: ${directorsVision.core_theme}, Tone: ${directorsVision.visual_tone}, Cinematography: ${directorsVision.cinematography_style}${cast.length ? ` CAST BIBLE: ${castPromptContext(cast)}` : ''}`;
+
+            const properties = structured
+                ? { sceneId: { type: 'STRING', enum: screenplayModel.scenes.map(sc => sc.id) }, prompt: { type: 'STRING' } }
+                : { sceneHeader: { type: 'STRING' }, prompt: { type: 'STRING' } };
+            if (cast.length) properties.characters = { type: 'ARRAY', items: { type: 'STRING', enum: cast.map(m => m.name) } };
+            const schema = { type: 'ARRAY', items: { type: 'OBJECT', properties, required: [structured ? 'sceneId' : 'sceneHeader', 'prompt'] } };
+
+            const segmenting = structured
+                ? 'Write exactly one prompt per [SCENE id] tag and return that id unchanged as sceneId.'
+                : 'The script has no scene headings: split it into its distinct visual shots and give each a short sceneHeader.';
+            const sys = `You are a storyboard artist. Use the ENHANCED SCRIPT (which contains shot descriptions) and strictly adhere to the DIRECTOR'S VISION to create production-grade image prompts. ${segmenting} The vision is paramount. ${cast.length ? 'List every CAST BIBLE character who appears on screen in the scene as characters, and make their appearance and wardrobe match their cast entry. ' : ''}URGENT AND MANDATORY: All images must be rendered in a "${visualStyle}" style and have an exact aspect ratio of "${FIXED_ASPECT_RATIO}". Respond in JSON only.`;
+
+            const scriptText = structured ? screenplayPromptText(screenplayModel) : directorsVision.enhanced_script;
+            const { text } = await callText([{ text: `Enhanced Script: \n\n${scriptText}\n\n${visionContext}` }], sys, schema, retryCount, apiKey, undefined, routeFor('segmentation'));
+
+            // With scene headings the model decides the prompts, never the scene list: answers are keyed
+            // back onto the parsed scenes. Without them its shots are the segments.
+            const prompts = {};
+            const tagged = {};
+            let missing = [];
+            let parsed;
+            // A scene's cast is its speakers, the members its text names and anyone the model saw on screen.
+            // Model tags come back as names and are stored as ids.
+            const castIdsIn = (text, speakers = [], tags = []) => cast
+                .filter(m => speakers.includes(m.name) || tags.includes(m.name) || mentionsCharacter(text, m.name))
+                .map(m => m.id);
+            if (structured) {
+                JSON.parse(text).forEach(item => {
+                    if (!item?.sceneId || prompts[item.sceneId]) return;
+                    prompts[item.sceneId] = item.prompt;
+                    tagged[item.sceneId] = item.characters || [];
+                });
+                missing = screenplayModel.scenes.filter(sc => !prompts[sc.id]);
+                parsed = screenplayModel.scenes.map((sc, i) => ({
+                    id: i,
+                    sceneId: sc.id,
+                    sceneHeader: sc.heading,
+                    characters: sc.characters,
+                    castIds: castIdsIn([sc.heading, ...sc.blocks.map(b => b.text)].join('\n'), sc.characters, tagged[sc.id]),
+                    prompt: prompts[sc.id] || [sc.heading, ...sc.blocks.filter(b => b.type === 'action').map(b => b.text)].join('. '),
+                }));
+            } else {
+                parsed = JSON.parse(text).map((s, i) => ({
+                    id: i,
+                    sceneHeader: s.sceneHeader,
+                    characters: [],
+                    castIds: castIdsIn(`${s.sceneHeader}\n${s.prompt}`, [], s.characters || []),
+                    prompt: s.prompt,
+                }));
+            }
+            if (!parsed.length) throw new Error('The enhanced script contains no scenes to segment.');
+
+            // Every set in the headings gets a bible entry, ready for references and notes, and each
+            // segment keeps the id of its set's entry
+            const newSets = scriptLocations(screenplayModel).filter(set => !findLocation(locations, set)).map(set => newLocation(set.name, { intExt: set.intExt }));
+            const bible = [...locations, ...newSets];
+            parsed = parsed.map(s => ({ ...s, locationId: sceneLocation(bible, s)?.id || null }));
+            setPredicted(parsed);
+            if (newSets.length) setLocations(prev => [...prev, ...newSets]);
+            setStatus(missing.length
+                ? `Generated ${parsed.length} visual segment prompts; ${missing.length} scene(s) had no prompt returned and use their action lines. Ready for Frame Synthesis.`
+                : `Generated ${parsed.length} visual segment prompts. Ready for Frame Synthesis.`);
 
             if (autoExecute) {
-                setTimeout(() => {
+                setTimeout(async () => {
+                    if (!(await claimQueue())) {
+                        setBusy(false);
+                        return;
+                    }
                     const initialScenes = parsed.map((s, i) => ({ ...s, status: 'queued', image: null, error: null }));
-                    setCreditsUsed(c => parseFloat((c + initialScenes.length * 0.10).toFixed(2)));
                     setScenes(initialScenes);
                     generateAllImagesContinuity(initialScenes);
                 }, 100);
@@ -783,13 +4620,15 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
     }
     
     // --- FIX: Scene Regeneration ---
-    function regenerateScene(sceneId) {
+    async function regenerateScene(sceneId) {
         AudioEngine.play('click');
         const sceneIndex = scenes.findIndex(x => x.id === sceneId);
-        if (sceneIndex === -1) return;
+        if (sceneIndex === -1 || !(await claimQueue())) return;
 
         setBusy(true);
+        setSynthesizing(true);
         setStatus(`Retrying scene ${sceneIndex + 1} generation...`);
+        recordUndo(`Retry scene ${sceneIndex + 1}`);
 
         // 1. Mark scene as queued immediately
         setScenes(prev => prev.map(scene =>
@@ -797,7 +4636,7 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
         ));
         
         // 2. Determine the continuity reference for the retry
-        let refForRetry = (charLock && refImg) ? refImg : null;
+        let refForRetry = null;
         if (sceneIndex > 0) {
             const prevScene = scenes[sceneIndex - 1];
             if (prevScene.image && prevScene.status === 'success') {
@@ -809,7 +4648,10 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
         const currentSceneDataCopy = [...scenes]; 
         
         // 4. Push the task to the queue
-        queueRef.current.push(() => runGenerationTaskContinuity(sceneIndex, refForRetry, currentSceneDataCopy));
+        const task = () => runGenerationTaskContinuity(sceneIndex, refForRetry, currentSceneDataCopy);
+        task.estimate = frameEstimate();
+        task.sceneId = sceneId;
+        queueRef.current.push(task);
     }
 
 
@@ -826,22 +4668,38 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
             });
         };
 
+        const sceneData = sceneDataArray[sceneIndex];
+        const sceneSet = sceneLocation(locations, sceneData);
+        const ledgerEntries = continuityLedger[sceneKey(sceneData)] || [];
+
         let currentRef = initialRef;
         if (sceneIndex > 0) {
             const prevScene = sceneDataArray[sceneIndex - 1];
-            if (prevScene.image && prevScene.status === 'success') {
-                currentRef = prevScene.image;
-            } else if (charLock && refImg) {
-                currentRef = refImg;
-            } else {
-                currentRef = null;
-            }
-        } else if (!charLock) {
-            currentRef = null;
+            currentRef = (prevScene.image && prevScene.status === 'success') ? prevScene.image : null;
+            // A set with its own references is matched to them rather than to the last frame of another set
+            if (sceneSet?.refs.length && sceneLocation(locations, prevScene)?.id !== sceneSet.id) currentRef = null;
         }
 
-        let attempt = 0, ok = false, imageUrl = null, errorMsg = '';
-        const sceneData = sceneDataArray[sceneIndex];
+        // Bible references travel with the frame, labelled in the order they are attached: the
+        // characters in this scene while the character lock is on, then the set. Over MAX_SCENE_REFS,
+        // second references go before any character or the set loses its first.
+        const sceneCast = sceneCastMembers(cast, sceneData);
+        const candidates = [
+            ...(charLock ? sceneCast.flatMap(m => m.refs.slice(0, CAST_REFS_PER_CHARACTER).map((ref, rank) => ({ ref, rank, label: m.name }))) : []),
+            ...(sceneSet?.refs || []).slice(0, LOCATION_REFS_PER_SCENE).map((ref, rank) => ({ ref, rank, label: `SET ${locationLabel(sceneSet)}` })),
+        ];
+        const kept = new Set([...candidates].sort((a, b) => a.rank - b.rank).slice(0, MAX_SCENE_REFS - (currentRef ? 1 : 0)));
+        const attached = candidates.filter(c => kept.has(c));
+        const sceneRefs = attached.map(c => c.ref);
+        const sceneRefLabels = attached.map(c => c.label);
+
+        // Registered so the card's cancel button and CANCEL ALL can abort this scene's in-flight calls
+        const controller = new AbortController();
+        abortersRef.current.set(sceneData.id, controller);
+        const markCancelled = () => {
+            updateScene({ status: 'cancelled', error: null });
+            abortersRef.current.delete(sceneData.id);
+        };
 
         let ultraRefinedPrompt = sceneData.prompt;
 
@@ -855,12 +4713,13 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
                 
             const optimizationSys = `You are an AI Prompt Engineer. Synthesize a single, hyper-detailed, technical image generation prompt from the RAW SCENE PROMPT. The final prompt MUST strictly enforce the visual style, aspect ratio (${FIXED_ASPECT_RATIO}), character consistency, and ${isBrandingMode ? 'subtle brand placement' : 'narrative details'} derived from the context. Make the language descriptive and cinematic. DO NOT include any JSON, only the final prompt string.`;
 
-            const optimizationContext = `RAW SCENE PROMPT: ${sceneData.prompt} | VISUAL STYLE: ${visualStyle} | CORE VIDEO GOAL: ${directorsVision?.main_goal || 'N/A'} | CINEMATIC VISION: ${JSON.stringify(directorsVision)} | CONTINUITY REF IMAGE USED: ${currentRef ? 'YES' : 'NO'}${logoAnalysisContext}`;
+            const optimizationContext = `RAW SCENE PROMPT: ${sceneData.prompt} | VISUAL STYLE: ${visualStyle} | CORE VIDEO GOAL: ${directorsVision?.main_goal || 'N/A'} | CINEMATIC VISION: ${JSON.stringify(directorsVision)} | CONTINUITY REF IMAGE USED: ${currentRef ? 'YES' : 'NO'}${sceneCast.length ? ` | CAST IN SCENE (MATCH EXACTLY): ${castPromptContext(sceneCast)}` : ''}${sceneSet ? ` | LOCATION (MATCH THE SET): ${locationPromptContext(sceneSet)}` : ''}${ledgerEntries.length ? ` | CONTINUITY LEDGER (WARDROBE AND PROPS MUST BE IN EXACTLY THIS STATE): ${ledgerPromptContext(ledgerEntries)}` : ''}${logoAnalysisContext}`;
 
-            const { text: refinedPrompt } = await callText([{ text: optimizationContext }], optimizationSys, undefined, retryCount, apiKey);
+            const { text: refinedPrompt } = await callText([{ text: optimizationContext }], optimizationSys, undefined, retryCount, apiKey, undefined, routeFor('optimizer'), controller.signal);
 
             // 3. BRANDING INTEGRATION (MANDATORY if enabled)
-            const brandingData = brandingOutput ? brandingOutput.find(b => b.sceneHeader === sceneData.sceneHeader) : null;
+            // Plans saved before scene IDs existed only carry the header text
+            const brandingData = brandingOutput ? brandingOutput.find(b => (b.sceneId ? b.sceneId === sceneKey(sceneData) : b.sceneHeader === sceneData.sceneHeader)) : null;
 
             if (isBrandingMode && brandingData) {
                 const brandAssets = brandingData.brand_assets.map(a => `${a.asset_name}: Placement: ${a.placement}, Material: ${a.material_finish}, Notes: ${a.continuity_notes}`).join('; ');
@@ -875,69 +4734,155 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
             updateScene({ prompt: ultraRefinedPrompt, status: 'starting' });
 
         } catch (e) {
+            if (controller.signal.aborted) return markCancelled();
             console.warn("Prompt Optimization Failed, using original prompt:", e);
             setStatus(`Warning: Prompt optimization failed for Scene ${sceneIndex}. Using original prompt.`);
             ultraRefinedPrompt = `[CINEMATIC FRAMING: HORIZONTAL WIDESCREEN 16x9 ASPECT RATIO, FILM STILL] ${sceneData.prompt}`;
         }
 
-        // 4. Start Image Generation Loop
+        // 4. Generate the frame (safeFetchWithRetry owns retries, so this is a single call)
         try {
-            while (attempt <= retryCount && !ok) {
-                attempt++;
-                if (attempt > 1) incrementCredits();
-
-                updateScene({ status: attempt > 1 ? `retrying ${attempt - 1}/${retryCount}` : 'generating' });
-
-                try {
-                    const img = await callImage(ultraRefinedPrompt, currentRef, 0, apiKey);
-                    imageUrl = img;
-                    ok = true;
-                } catch (err) {
-                    errorMsg = String(err.message || err);
-                    if (attempt <= retryCount) await new Promise(r => setTimeout(r, 1500));
-                }
-            }
-
-            const patch = { status: ok ? 'success' : 'error', image: imageUrl, error: ok ? null : errorMsg };
-            updateScene(patch);
-            AudioEngine.play(ok ? 'success' : 'error');
-
-            if (!ok) throw new Error(errorMsg);
+            updateScene({ status: 'generating' });
+            const route = routeFor('image');
+            const imagePrompt = sceneRefs.length
+                ? `${ultraRefinedPrompt} [REFERENCE IMAGES${currentRef ? ', AFTER THE CONTINUITY FRAME' : ''}: ${sceneRefLabels.map((label, i) => `#${i + 1} ${label}`).join(', ')}. KEEP EACH CHARACTER'S FACE AND BUILD, AND THE SET'S LAYOUT AND DRESSING, IDENTICAL TO THEIR REFERENCES.]`
+                : ultraRefinedPrompt;
+            const imageUrl = await AssetStore.intern(await callImage(imagePrompt, currentRef, retryCount, apiKey, route, controller.signal, sceneRefs));
+
+            abortersRef.current.delete(sceneData.id);
+            const take = { image: imageUrl, prompt: imagePrompt, scenePrompt: ultraRefinedPrompt, editInstruction: null, references: await internAll([currentRef, ...sceneRefs]), provider: route.provider, model: routeModel(route, 'image'), at: Date.now() };
+            sceneDataArray[sceneIndex].image = imageUrl;
+            setScenes(prev => prev.map(s => s.id === sceneData.id ? addFrameTake({ ...s, status: 'success', error: null }, take) : s));
+            AudioEngine.play('success');
 
         } catch (err) {
-            updateScene({ status: 'error', error: String(err.message || err) });
+            if (controller.signal.aborted) return markCancelled();
+            abortersRef.current.delete(sceneData.id);
+            const message = String(err.message || err);
+            updateScene({ status: 'error', error: err instanceof SafetyBlockError ? `SAFETY BLOCK: ${message}` : message });
             AudioEngine.play('error');
             throw err;
         }
-    }, [charLock, refImg, retryCount, visualStyle, apiKey, incrementCredits, directorsVision, FIXED_ASPECT_RATIO, isBrandingMode, brandingOutput, logoDescription]);
+    }, [charLock, cast, locations, continuityLedger, retryCount, visualStyle, apiKey, directorsVision, FIXED_ASPECT_RATIO, isBrandingMode, brandingOutput, logoDescription, routeFor]);
 
     const generateAllImagesContinuity = (initialScenes) => {
         setBusy(true);
+        setSynthesizing(true);
         setStatus('Starting sequential continuity synthesis...');
         let sceneData = initialScenes;
 
-        const createTask = (sceneIndex, continuityRef) => () => runGenerationTaskContinuity(sceneIndex, continuityRef, sceneData);
+        const estimate = frameEstimate();
+        const createTask = (sceneIndex, continuityRef) => {
+            const task = () => runGenerationTaskContinuity(sceneIndex, continuityRef, sceneData);
+            task.estimate = estimate;
+            task.sceneId = sceneData[sceneIndex].id;
+            return task;
+        };
 
-        const tasks = sceneData.map((scene, index) => {
-            if (index === 0) {
-                return createTask(index, (charLock && refImg) ? refImg : null);
-            }
-            return createTask(index, null);
-        });
+        const tasks = sceneData.map((scene, index) => createTask(index, null));
 
         tasks.forEach(task => queueRef.current.push(task));
     };
 
-    function generateAllImages() {
-        if (!predicted?.length) return;
+    // Re-queues the scenes an interrupted run left unfinished; finished frames are kept as they are
+    async function resumeSynthesis() {
+        AudioEngine.play('click');
+        // An interrupted scene may already carry its optimized prompt, so each restarts from its raw segment prompt
+        const sceneData = scenes.map((s, i) => isSceneActive(s.status)
+            ? { ...s, status: 'queued', error: null, prompt: predicted?.[i]?.prompt ?? s.prompt }
+            : s);
+        const pending = sceneData.map((s, i) => isSceneActive(s.status) ? i : -1).filter(i => i >= 0);
+        if (!pending.length) {
+            setResumeOffer(null);
+            return;
+        }
+        if (!(await claimQueue())) return;
+        setResumeOffer(null);
+
+        setScenes(sceneData);
+        setBusy(true);
+        setSynthesizing(true);
+        setStatus(`Resuming synthesis: ${pending.length} unfinished scene(s) re-queued.`);
+        const estimate = frameEstimate();
+        pending.forEach(index => {
+            const task = () => runGenerationTaskContinuity(index, null, sceneData);
+            task.estimate = estimate;
+            task.sceneId = sceneData[index].id;
+            queueRef.current.push(task);
+        });
+    }
+
+    function discardResume() {
+        AudioEngine.play('click');
+        setResumeOffer(null);
+        setScenes(prev => prev.map(s => isSceneActive(s.status) ? { ...s, status: 'cancelled', error: 'Interrupted before synthesis finished.' } : s));
+        setStatus('Unfinished scenes discarded. Finished frames were kept.');
+    }
+
+    async function generateAllImages() {
+        if (!predicted?.length || !(await claimQueue())) return;
 
         const initialScenes = predicted.map((s, i) => ({ ...s, status: 'queued', image: null, error: null, id: i }));
 
-        setCreditsUsed(c => parseFloat((c + initialScenes.length * 0.10).toFixed(2)));
+        recordUndo('Synthesize frames');
         setScenes(initialScenes);
 
         generateAllImagesContinuity(initialScenes);
     }
+
+    // --- Synthesis Controls (pause / resume / cancel) ---
+    function toggleSynthesisPause() {
+        AudioEngine.play('click');
+        if (synthPaused) {
+            queueRef.current.resume();
+            setSynthPaused(false);
+            setStatus('Frame synthesis resumed.');
+        } else {
+            queueRef.current.pause();
+            setSynthPaused(true);
+            setStatus('Frame synthesis paused. In-flight frames will finish; queued frames wait.');
+        }
+    }
+
+    function cancelScene(sceneId) {
+        AudioEngine.play('click');
+        setScenes(prev => prev.map(s => s.id === sceneId && isSceneActive(s.status) ? { ...s, status: 'cancelled', error: null } : s));
+        abortersRef.current.get(sceneId)?.abort();
+        queueRef.current.remove(t => t.sceneId === sceneId);
+    }
+
+    function cancelSynthesis() {
+        AudioEngine.play('click');
+        setScenes(prev => prev.map(s => isSceneActive(s.status) ? { ...s, status: 'cancelled', error: null } : s));
+        abortersRef.current.forEach(c => c.abort());
+        queueRef.current.clear();
+        setStatus('Frame synthesis cancelled. Remaining scenes were not generated.');
+    }
+
+    // --- Pre-flight Estimates ---
+    function openPreflight(title, lines, onConfirm, note) {
+        AudioEngine.play('click');
+        const total = lines.reduce((sum, l) => sum + l.cost, 0);
+        setPreflight({ title, lines, total, note, onConfirm });
+    }
+
+    function confirmFrameSynthesis() {
+        if (!predicted?.length) return;
+        openPreflight('FRAME SYNTHESIS', [
+            { label: `${predicted.length} x ${stageLabel('optimizer')}`, cost: predicted.length * estimateStage('optimizer') },
+            { label: `${predicted.length} x ${stageLabel('image')}`, cost: predicted.length * estimateStage('image') },
+        ], generateAllImages);
+    }
+
+    function confirmAiDirector() {
+        // Vision output is the full enhanced script, so size both sides from the narrative (~4 chars per token)
+        const scriptTokens = Math.ceil(narrative.length / 4);
+        const lines = [{ label: stageLabel('vision'), cost: estimateStage('vision', { inputTokens: scriptTokens + 600, outputTokens: Math.ceil(scriptTokens * 1.4) + 300 }) }];
+        const undescribed = charLock ? cast.filter(m => m.refs.length && !m.description).length : 0;
+        if (undescribed) lines.unshift({ label: `${undescribed} x CAST REFERENCE ANALYSIS`, cost: undescribed * estimateStage('vision', { inputTokens: 400, outputTokens: 300 }) });
+        openPreflight('AI DIRECTOR VISION MATRIX', lines, runAiDirector,
+            autoExecute ? 'AUTO-EXECUTE is ON: segmentation and frame synthesis follow without confirmation. The budget cap pauses synthesis if reached.' : null);
+    }
     
     // --- Image Editing ---
     async function handleEditImage() {
@@ -945,7 +4890,6 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
         if (!editingScene || !editPrompt) return;
         setIsEditing(true);
         setErr(null);
-        incrementCredits();
         
         const refForCall = editRefImg || editingScene.image;
         
@@ -955,13 +4899,14 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
                 : '';
             
             const fullEditPrompt = `Based on the attached image, apply this change: ${editPrompt}. Maintain the visual style and aspect ratio. ${logoContext} CRITICAL: Do not add any text overlays.`;
-            const newImageUrl = await callImage(fullEditPrompt, refForCall, retryCount, apiKey);
-
-            setScenes(prev => prev.map(s => s.id === editingScene.id ? {
-                ...s,
-                image: newImageUrl,
-                prompt: `${s.prompt}\n\n[USER EDIT: ${editPrompt}]`
-            } : s));
+            const route = routeFor('edit');
+            const newImageUrl = await AssetStore.intern(await callImage(fullEditPrompt, refForCall, retryCount, apiKey, route));
+            const take = { image: newImageUrl, prompt: fullEditPrompt, editInstruction: editPrompt, references: await internAll([refForCall]), provider: route.provider, model: routeModel(route, 'image'), at: Date.now() };
+
+            recordUndo(`Edit scene ${scenes.findIndex(s => s.id === editingScene.id) + 1}`);
+            setScenes(prev => prev.map(s => s.id === editingScene.id
+                ? addFrameTake(s, { ...take, scenePrompt: `${s.prompt}\n\n[USER EDIT: ${editPrompt}]` })
+                : s));
             setEditingScene(null);
             setEditPrompt('');
             setEditRefImg(null);
@@ -975,6 +4920,43 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
         }
     }
 
+    // --- Frame Takes (version history, A/B compare, promote) ---
+    const takesView = useMemo(() => {
+        const scene = scenes.find(s => s.id === takesSceneId);
+        if (!scene) return null;
+        const takes = scene.versions || [];
+        return {
+            scene,
+            takes,
+            takeA: takes.find(v => v.id === compareTakes.a),
+            takeB: takes.find(v => v.id === compareTakes.b),
+            currentId: scene.versionId || takes[takes.length - 1]?.id,
+        };
+    }, [scenes, takesSceneId, compareTakes]);
+
+    function openTakes(scene) {
+        AudioEngine.play('click');
+        const takes = scene.versions || [];
+        const current = takes.find(v => v.id === scene.versionId) || takes[takes.length - 1];
+        const previous = takes.filter(v => v !== current).pop();
+        setTakesSceneId(scene.id);
+        setCompareTakes({ a: previous?.id || null, b: current?.id || null });
+        setCompareSplit(50);
+    }
+
+    function promoteTake(sceneId, versionId) {
+        const index = scenes.findIndex(s => s.id === sceneId);
+        const takes = scenes[index]?.versions || [];
+        const version = takes.find(v => v.id === versionId);
+        if (!version) return;
+        AudioEngine.play('click');
+        recordUndo(`Promote take on scene ${index + 1}`);
+        setScenes(prev => prev.map(s => s.id === sceneId
+            ? { ...s, image: version.image, prompt: version.scenePrompt ?? s.prompt, versionId, status: 'success', error: null }
+            : s));
+        setStatus(`Scene ${index + 1}: take ${takes.indexOf(version) + 1} promoted to the current frame.`);
+    }
+
     // --- MATRIX TOOL: Script Purity Filter (NEW) ---
     async function runScriptPurityFilter() {
         AudioEngine.play('click');
@@ -989,11 +4971,11 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
         setStatus('Executing Purity Filter: Analyzing script structure, dialogue, and pacing...');
 
         try {
-            const sys = `You are a script purity expert and dialogue coach. Analyze the provided script for structural weaknesses, clichés, weak dialogue, and pacing issues. Provide actionable feedback in a structured Markdown report. Identify 3-5 specific points of weakness and provide a clear, concise suggestion for improvement for each. Output must be a single Markdown document (no JSON).`;
+            const sys = `You are a script purity expert and dialogue coach. Analyze the provided script for structural weaknesses, clichés, weak dialogue, and pacing issues. Provide actionable feedback in a structured Markdown report. Identify 3-5 specific points of weakness and provide a clear, concise suggestion for improvement for each. Cite the [SCENE id] tag of every scene you discuss. Output must be a single Markdown document (no JSON).`;
 
             const context = `Director\'s Vision: ${JSON.stringify(directorsVision)}`;
-            const parts = [{ text: `Enhanced Script for structural and purity analysis: ${directorsVision.enhanced_script}\n\n${context}` }];
-            const { text: reportText } = await callText(parts, sys, undefined, retryCount, apiKey);
+            const parts = [{ text: `Enhanced Script for structural and purity analysis: ${screenplayPromptText(screenplayModel)}\n\n${context}` }];
+            const { text: reportText } = await callText(parts, sys, undefined, retryCount, apiKey, undefined, routeFor('matrix'));
 
             setPurityReport(reportText);
             setShowPurityModal(true);
@@ -1022,27 +5004,31 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
         setStatus('Executing Complexity Cipher: Quantifying scene production costs...');
 
         try {
-            const sys = `You are a Line Producer. Analyze the script and identify 4-6 scenes. For each scene, assign a complexity score (1-10, 10=Most Complex/Expensive) for VFX, Location, and Dialogue/Action. Output must be a JSON array of objects.`;
+            const sys = `You are a Line Producer. Analyze the script and pick the 4-6 most demanding scenes, identified by their [SCENE id] tags. For each scene, assign a complexity score (1-10, 10=Most Complex/Expensive) for VFX, Location, and Dialogue/Action. Output must be a JSON array of objects.`;
 
             const schema = {
                 type: 'ARRAY',
                 items: {
                     type: 'OBJECT',
                     properties: {
-                        scene: { type: 'STRING', description: 'The scene header' },
+                        sceneId: { type: 'STRING', enum: screenplayModel.scenes.map(sc => sc.id) },
                         vfx_complexity: { type: 'NUMBER', description: 'VFX Complexity score (1-10)' },
                         location_difficulty: { type: 'NUMBER', description: 'Location difficulty score (1-10)' },
                         action_density: { type: 'NUMBER', description: 'Dialogue/Action density score (1-10)' },
                         summary: { type: 'STRING', description: 'Brief explanation of complexity drivers' }
                     },
-                    required: ['scene', 'vfx_complexity', 'location_difficulty', 'action_density', 'summary']
+                    required: ['sceneId', 'vfx_complexity', 'location_difficulty', 'action_density', 'summary']
                 }
             };
 
-            const parts = [{ text: `Enhanced Script to analyze: ${directorsVision.enhanced_script}` }];
-            const { text: reportJson } = await callText(parts, sys, schema, retryCount, apiKey);
+            const parts = [{ text: `Enhanced Script to analyze: ${screenplayPromptText(screenplayModel)}` }];
+            const { text: reportJson } = await callText(parts, sys, schema, retryCount, apiKey, undefined, routeFor('matrix'));
 
-            setComplexityReport(JSON.parse(reportJson));
+            // Headers come from the parsed model so the report names scenes exactly as the storyboard does
+            const byId = Object.fromEntries(screenplayModel.scenes.map(sc => [sc.id, sc]));
+            setComplexityReport(JSON.parse(reportJson)
+                .filter(item => byId[item.sceneId])
+                .map(item => ({ ...item, scene: sceneLabel(byId[item.sceneId]) })));
             setShowComplexityModal(true);
             setStatus('Scene Complexity Cipher complete. Budget metrics available.');
             AudioEngine.play('success');
@@ -1069,11 +5055,11 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
         setStatus('Executing Narrative Flow Auditor: Checking scene transitions and arc integrity...');
 
         try {
-            const sys = `You are a master story editor and dramaturg. Analyze the script focusing on the narrative continuity. Identify 4-6 key transitions/arcs. For each, describe the dramatic transition and assess its effectiveness, noting any logical jumps or pacing issues. Output should be a single Markdown document (no JSON).`;
+            const sys = `You are a master story editor and dramaturg. Analyze the script focusing on the narrative continuity. Identify 4-6 key transitions/arcs. For each, describe the dramatic transition and assess its effectiveness, noting any logical jumps or pacing issues. Name each transition by the [SCENE id] tags it spans. Output should be a single Markdown document (no JSON).`;
             
             const context = `Director\'s Vision: ${JSON.stringify(directorsVision)}`;
-            const parts = [{ text: `Enhanced Script for narrative flow audit: ${directorsVision.enhanced_script}\n\n${context}` }];
-            const { text: reportText } = await callText(parts, sys, undefined, retryCount, apiKey);
+            const parts = [{ text: `Enhanced Script for narrative flow audit: ${screenplayPromptText(screenplayModel)}\n\n${context}` }];
+            const { text: reportText } = await callText(parts, sys, undefined, retryCount, apiKey, undefined, routeFor('matrix'));
 
             setFlowReport(reportText);
             setShowFlowModal(true);
@@ -1088,6 +5074,130 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
         }
     }
 
+    // --- MATRIX TOOL: Continuity Ledger Extraction ---
+    // Replaces the whole ledger; hand edits made before it stay one undo away
+    async function extractContinuityLedger() {
+        AudioEngine.play('click');
+        if (!directorsVision?.enhanced_script) {
+            setErr("Continuity Ledger requires the Director's Vision (with Enhanced Script) to be generated first.");
+            return;
+        }
+        if (!ledgerScenes.length) {
+            setErr('This script has no scene headings. Segment it into scenes first so the ledger can follow the segments.');
+            return;
+        }
+        const structured = hasSceneStructure(screenplayModel);
+
+        setBusy(true);
+        setErr(null);
+        setStatus('Extracting Continuity Ledger: Tracking wardrobe and prop states scene by scene...');
+
+        try {
+            const sys = `You are a script supervisor. For every [SCENE id] in the script, record the wardrobe state of each character on screen (costume, helmet or mask on/off, injuries, dirt, damage) and the state of each key prop (where it is, on/off, glowing or not, broken or whole). A state holds until the script changes it, so repeat it in every later scene where that character or prop appears. Keep each state short and visual.${cast.length ? ` Name characters exactly as in the cast list: ${cast.map(m => m.name).join(', ')}.` : ''} Output must be a JSON array with one object per scene.`;
+
+            const schema = {
+                type: 'ARRAY',
+                items: {
+                    type: 'OBJECT',
+                    properties: {
+                        sceneId: { type: 'STRING', enum: ledgerScenes.map(sc => sc.id) },
+                        entries: {
+                            type: 'ARRAY',
+                            items: {
+                                type: 'OBJECT',
+                                properties: { kind: { type: 'STRING', enum: LEDGER_KINDS }, subject: { type: 'STRING' }, state: { type: 'STRING' } },
+                                required: ['kind', 'subject', 'state']
+                            }
+                        }
+                    },
+                    required: ['sceneId', 'entries']
+                }
+            };
+
+            const scriptText = structured ? screenplayPromptText(screenplayModel)
+                : predicted.map(sg => `[SCENE ${sceneKey(sg)}] ${sg.sceneHeader}\n${sg.prompt}`).join('\n\n');
+            const parts = [{ text: `Enhanced Script to track: ${scriptText}` }];
+            const { text: ledgerJson } = await callText(parts, sys, schema, retryCount, apiKey, undefined, routeFor('matrix'));
+
+            const ledger = {};
+            JSON.parse(ledgerJson).forEach(item => {
+                if (!item?.sceneId || ledger[item.sceneId]) return;
+                ledger[item.sceneId] = (item.entries || []).filter(e => LEDGER_KINDS.includes(e.kind) && e.subject && e.state)
+                    .map(e => ({ kind: e.kind, subject: e.subject.toUpperCase(), state: e.state }));
+            });
+            recordUndo('Extract continuity ledger');
+            setContinuityLedger(ledger);
+            setShowLedgerModal(true);
+            const count = Object.values(ledger).reduce((sum, entries) => sum + entries.length, 0);
+            setStatus(`Continuity Ledger extracted: ${count} wardrobe and prop states across ${Object.keys(ledger).length} scenes.`);
+            AudioEngine.play('success');
+        } catch (e) {
+            setErr(`Continuity Ledger Error: ${String(e.message)}`);
+            setStatus('Continuity ledger extraction failed.');
+            AudioEngine.play('error');
+        } finally {
+            setBusy(false);
+        }
+    }
+
+    // --- MATRIX TOOL: Continuity Report ---
+    // Every finished frame with ledger entries is checked on its own, so one failed check does not sink the report
+    async function runContinuityReport() {
+        AudioEngine.play('click');
+        const checks = scenes
+            .map((s, index) => ({ s, index, entries: continuityLedger[sceneKey(s)] || [] }))
+            .filter(({ s, entries }) => s.image && s.status === 'success' && entries.length);
+        if (!checks.length) {
+            setErr('Continuity Report needs generated frames for scenes that have continuity ledger entries.');
+            return;
+        }
+
+        setBusy(true);
+        setContinuityReport(null);
+        setErr(null);
+
+        const sys = `You are a script supervisor checking one storyboard frame against the continuity ledger for its scene. List every ledger entry the frame visibly contradicts (a helmet worn that should be off, a missing injury, a prop in the wrong state). Ignore entries the frame does not show. Respond in JSON with an empty issues array when nothing contradicts the ledger.`;
+        const schema = {
+            type: 'OBJECT',
+            properties: {
+                issues: {
+                    type: 'ARRAY',
+                    items: { type: 'OBJECT', properties: { subject: { type: 'STRING' }, expected: { type: 'STRING' }, observed: { type: 'STRING' } }, required: ['subject', 'expected', 'observed'] }
+                }
+            },
+            required: ['issues']
+        };
+
+        try {
+            const report = [];
+            for (const { s, index, entries } of checks) {
+                setStatus(`Continuity Report: checking frame ${report.length + 1} of ${checks.length}...`);
+                const entry = { sceneId: sceneKey(s), scene: segmentLabel(s, index), versionId: s.versionId || null, issues: [], error: null };
+                try {
+                    const parts = [{ text: `LEDGER FOR ${s.sceneHeader}: ${ledgerPromptContext(entries)}` }, { inlineData: splitDataUrl(await AssetStore.dataUrl(s.image)) }];
+                    const { text } = await callText(parts, sys, schema, retryCount, apiKey, undefined, routeFor('matrix'));
+                    entry.issues = JSON.parse(text).issues || [];
+                } catch (e) {
+                    entry.error = String(e.message || e);
+                }
+                report.push(entry);
+            }
+
+            const flagged = report.filter(entry => entry.issues.length).length;
+            const failed = report.filter(entry => entry.error).length;
+            setContinuityReport(report);
+            setShowContinuityReportModal(true);
+            setStatus(`Continuity Report complete: ${flagged} of ${report.length} frame(s) contradict the ledger${failed ? `, ${failed} could not be checked` : ''}.`);
+            AudioEngine.play(failed === report.length ? 'error' : 'success');
+        } catch (e) {
+            setErr(`Continuity Report Error: ${String(e.message || e)}`);
+            setStatus('Continuity report failed.');
+            AudioEngine.play('error');
+        } finally {
+            setBusy(false);
+        }
+    }
+
     // --- MATRIX TOOL: Visual Asset Descriptor ---
     async function runAssetDescriptor() {
         AudioEngine.play('click');
@@ -1105,7 +5215,7 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
             const sys = `You are a master conceptual designer. Take the user\'s simple request for a prop/asset and generate an extremely detailed, technical specification manifest suitable for a 3D modeler or prop fabricator. Focus on materials, texture, dimensions (relative or specific), wear/damage, and interaction properties. Output must be a single Markdown document (no JSON).`;
             
             const parts = [{ text: `Generate technical specs for this asset: ${assetDescPrompt}. Use the visual style: ${visualStyle}` }];
-            const { text: reportText } = await callText(parts, sys, undefined, retryCount, apiKey);
+            const { text: reportText } = await callText(parts, sys, undefined, retryCount, apiKey, undefined, routeFor('matrix'));
 
             setAssetDescReport(reportText);
             setShowAssetDescModal(true);
@@ -1133,6 +5243,7 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
         }
 
         setBusy(true);
+        recordUndo('Branding Architect');
         setBrandingOutput(null);
         setErr(null);
         
@@ -1149,11 +5260,9 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
                     required: ['color', 'shape', 'materials']
                 };
 
-                const [meta, b64] = logoRefImg.split(',');
-                const mimeType = meta.split(':')[1].split(';')[0] || 'image/jpeg';
-                const partsLogo = [{ text: "Analyze this logo image." }, { inlineData: { mimeType, data: b64 } }];
+                const partsLogo = [{ text: "Analyze this logo image." }, { inlineData: splitDataUrl(await AssetStore.dataUrl(logoRefImg)) }];
 
-                const { text: logoResult } = await callText(partsLogo, sysLogo, schemaLogo, retryCount, apiKey);
+                const { text: logoResult } = await callText(partsLogo, sysLogo, schemaLogo, retryCount, apiKey, undefined, routeFor('matrix'));
                 logoDesc = JSON.parse(logoResult);
                 setLogoDescription(logoDesc);
             }
@@ -1165,17 +5274,20 @@ MANDATORY OUTPUT FIELDS (Respond STRICTLY in JSON only):
 
             const sys = `You are the Brand Placement Director. ${logoContext} Your task is to integrate one or two subtle, realistic, and PHYSICAL brand assets into each scene using the available assets: [${BRANDING_ASSETS.join(', ')}].
 The integration MUST be subtle, realistic, and physical (no overlay text).
-For each scene, generate a detailed integration plan, tailoring the material_finish based on the LOGO DETAILS provided.
+For each scene, generate a detailed integration plan, tailoring the material_finish based on the LOGO DETAILS provided, and copy its sceneId exactly.
 SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the specified schema.`;
 
-            const sceneData = predicted.map(s => ({ sceneHeader: s.sceneHeader, basePrompt: s.prompt }));
+            const sceneData = predicted.map(s => ({ sceneId: sceneKey(s), sceneHeader: s.sceneHeader, basePrompt: s.prompt }));
             const context = `Director\'s Vision: ${JSON.stringify(directorsVision)}`;
             
             const parts = [{ text: `Scene Prompts to integrate branding into: ${JSON.stringify(sceneData)}\n\n${context}` }];
 
-            const { text: generatedJson } = await callText(parts, sys, BRANDING_SCHEMA, retryCount, apiKey);
+            const { text: generatedJson } = await callText(parts, sys, BRANDING_SCHEMA, retryCount, apiKey, undefined, routeFor('matrix'));
 
-            const parsedBranding = JSON.parse(generatedJson);
+            const byId = Object.fromEntries(predicted.map(s => [sceneKey(s), s]));
+            const parsedBranding = JSON.parse(generatedJson)
+                .filter(plan => byId[plan.sceneId])
+                .map(plan => ({ ...plan, sceneHeader: byId[plan.sceneId].sceneHeader }));
             setBrandingOutput(parsedBranding);
             setShowBrandingModal(true);
             setStatus('Branding Architect complete. Integration plan ready.');
@@ -1217,7 +5329,8 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                 undefined, 
                 retryCount, 
                 apiKey,
-                [{ "google_search": {} }]
+                [{ "google_search": {} }],
+                routeFor('viral')
             );
 
             setStatus('Viral Architect: Structured data conversion in progress...');
@@ -1230,7 +5343,9 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                 sysConverter,
                 VIRAL_SCHEMA,
                 retryCount,
-                apiKey
+                apiKey,
+                undefined,
+                routeFor('viral')
             );
             
             const parsedIdeas = JSON.parse(generatedJson);
@@ -1265,7 +5380,7 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
         try {
             const fullPrompt = `[VISUAL STYLE: ${visualStyle}, ASPECT RATIO: ${FIXED_ASPECT_RATIO}] ${prompt}`;
             
-            const imageUrl = await callImage(fullPrompt, null, retryCount, apiKey);
+            const imageUrl = await callImage(fullPrompt, null, retryCount, apiKey, routeFor('image'));
             
             setViralIdeas(prev => prev.map(i => i.id === ideaId ? {...i, frameImage: imageUrl, frameStatus: 'success'} : i));
             AudioEngine.play('success');
@@ -1275,14 +5390,14 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
             console.error("Viral Frame Generation Failed:", e);
             AudioEngine.play('error');
         }
-    }, [apiKey, visualStyle, FIXED_ASPECT_RATIO, retryCount]);
+    }, [apiKey, visualStyle, FIXED_ASPECT_RATIO, retryCount, routeFor]);
 
 
     const AnimatedWait = () => {
         const [tagline, setTagline] = useState('Conjuring Pixels...');
         const taglines = ['Directing Photons...', 'Weaving Narratives...', 'Synthesizing Vision...', 'Orchestrating Creativity...', 'Painting with Light...', 'Executing Quantum Tasks...', 'Loading Neural Network...'];
 
-        const completedCount = scenes.filter(s => ['success', 'error'].includes(s.status)).length;
+        const completedCount = scenes.filter(s => SCENE_DONE_STATUSES.includes(s.status)).length;
         const totalScenes = scenes.length;
         const progress = totalScenes > 0 ? Math.round((completedCount / totalScenes) * 100) : 0;
 
@@ -1294,6 +5409,25 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
 
         if (!busy) return null;
 
+        // Frame synthesis docks a control bar instead of blocking the board, so cards stay reachable
+        if (synthesizing) {
+            return (
+                <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[90] glass-pane rounded-xl px-4 py-3 flex items-center gap-4 font-mono border-cyan-400/60 shadow-2xl">
+                    <div className="loader-orb w-8 h-8" />
+                    <div className="w-56">
+                        <div className="text-xs text-cyan-300">{synthPaused ? 'PAUSED' : tagline} <span className="text-slate-400">({completedCount}/{totalScenes})</span></div>
+                        <div className="w-full h-2 bg-slate-900/70 rounded-full overflow-hidden mt-1 border border-cyan-500/50">
+                            <div className="h-full bg-gradient-to-r from-cyan-400 to-blue-500 transition-all duration-300 ease-in-out" style={{ width: `${progress}%` }}></div>
+                        </div>
+                    </div>
+                    <button onClick={toggleSynthesisPause}
+                        className="premium-button px-3 py-1.5 text-xs font-bold rounded-lg bg-yellow-900/50 border border-yellow-500/40 text-yellow-300">{synthPaused ? 'RESUME' : 'PAUSE'}</button>
+                    <button onClick={cancelSynthesis}
+                        className="premium-button px-3 py-1.5 text-xs font-bold rounded-lg bg-red-900/50 border border-red-500/40 text-red-300">CANCEL ALL</button>
+                </div>
+            );
+        }
+
         return (
             <div className="fixed inset-0 z-[100] bg-black/95 backdrop-blur-md flex flex-col items-center justify-center font-sans">
                 <div className="loader-orb" />
@@ -1426,21 +5560,50 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                         <h1 className="text-3xl font-extrabold text-transparent bg-clip-text bg-gradient-to-r from-cyan-300 to-blue-500 tracking-widest text-shadow-neon">
                             DN AI <span className="text-lg text-slate-300 font-medium">| FILM LAB: QUANTUM STUDIO</span>
                         </h1>
-                        <p className="text-xs text-cyan-500/80 font-mono tracking-widest">V3000 QUANTUM EDITION ONLINE</p>
+                        <p className="text-xs text-cyan-500/80 font-mono tracking-widest">V3000 QUANTUM EDITION ONLINE{lastAutosave && <span className="text-slate-500"> | AUTOSAVED {new Date(lastAutosave).toLocaleTimeString()}</span>}</p>
                     </div>
                     <div className="flex items-center gap-4">
                          <button onClick={handleSaveState} disabled={busy || scenes.length === 0}
                             className="premium-button flex items-center gap-2 text-xs px-3 py-2 rounded-lg bg-green-900/40 hover:bg-green-800/60 border border-green-500/30 font-bold disabled:opacity-50">
                             <Save size={14} /> SAVE STATE
                         </button>
-                        <div className="flex items-center gap-2 text-green-400 font-extrabold bg-green-900/30 px-3 py-1.5 rounded-full text-sm border border-green-500/50">
+                        <button onClick={handleExportBundle} disabled={busy || scenes.length === 0}
+                            className="premium-button flex items-center gap-2 text-xs px-3 py-2 rounded-lg bg-cyan-900/40 hover:bg-cyan-800/60 border border-cyan-500/30 font-bold disabled:opacity-50">
+                            <Download size={14} /> EXPORT BUNDLE
+                        </button>
+                        <div className="flex items-center rounded-lg border border-cyan-500/30 bg-slate-900/40">
+                            <button onClick={() => travelUndo(1)} disabled={busy || undoHistory.past.length === 0}
+                                title={undoHistory.past.length ? `Undo ${undoHistory.past[undoHistory.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+                                className="p-2 hover:bg-slate-700/60 rounded-l-lg disabled:opacity-40"><Undo2 size={14} /></button>
+                            <button onClick={() => travelUndo(-1)} disabled={busy || undoHistory.future.length === 0}
+                                title={undoHistory.future.length ? `Redo ${undoHistory.future[undoHistory.future.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                                className="p-2 hover:bg-slate-700/60 disabled:opacity-40"><Redo2 size={14} /></button>
+                            <button onClick={() => { AudioEngine.play('click'); setShowUndoPanel(true); }} title="Action history"
+                                className="p-2 hover:bg-slate-700/60 rounded-r-lg"><History size={14} /></button>
+                        </div>
+                        {!queueLockRef.current && runningQueues.has(TabSync.queueName(currentProjectId)) && (
+                            <div className="text-xs font-mono font-extrabold px-3 py-1.5 rounded-full bg-amber-900/40 text-amber-300 border border-amber-500/50 animate-pulse"
+                                title="Frames update here as the other tab saves them">GENERATING IN ANOTHER TAB</div>
+                        )}
+                        {proxyConfig.enabled && (
+                            <div className="text-xs font-mono font-extrabold px-3 py-1.5 rounded-full bg-emerald-900/40 text-emerald-300 border border-emerald-500/50">
+                                PROXY{proxyConfig.user ? `: ${proxyConfig.user.toUpperCase()}` : ''}
+                            </div>
+                        )}
+                        {mockConfig.mode !== 'off' && (
+                            <div className="text-xs font-mono font-extrabold px-3 py-1.5 rounded-full bg-fuchsia-900/40 text-fuchsia-300 border border-fuchsia-500/50 animate-pulse">
+                                MOCK: {mockConfig.mode.toUpperCase()}
+                            </div>
+                        )}
+                        <button onClick={() => { AudioEngine.play('click'); setCostView({ title: 'CURRENT PROJECT', ledger: costLedger }); }} title="Cost breakdown"
+                            className="flex items-center gap-2 text-green-400 font-extrabold bg-green-900/30 px-3 py-1.5 rounded-full text-sm border border-green-500/50 hover:bg-green-800/40">
                             <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="lucide lucide-dollar-sign"><line x1="12" x2="12" y1="2" y2="22"/><path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"/></svg>
-                            {creditsUsed.toFixed(2)} CREDITS
-                        </div>
+                            {creditsUsed.toFixed(3)}{budgetCap > 0 && <span className={cn(creditsUsed >= budgetCap * 0.9 ? 'text-red-400' : 'text-green-600')}>/ {budgetCap.toFixed(2)}</span>} CREDITS
+                        </button>
 
                         <button onClick={() => { AudioEngine.play('click'); setShowHistoryModal(true); }}
                             className="premium-button flex items-center gap-2 text-xs px-3 py-2 rounded-lg bg-slate-900/80 hover:bg-cyan-900/60 border border-cyan-500/30 font-bold">
-                            <Clock size={14} /> HISTORY LOG
+                            <FolderOpen size={14} /> {projects.find(p => p.id === currentProjectId)?.name || 'PROJECTS'}
                         </button>
 
                         <button onClick={() => { AudioEngine.play('click'); setShowSettings(true); }}
@@ -1500,12 +5663,25 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                         
                         {/* Continuity Lock */}
                         <div className="mt-4 border-t border-slate-700/50 pt-4">
-                            <label className="block text-xs text-gray-400 mb-1 font-mono">Reference Character Image (Continuity Lock)</label>
-                            <input type="file" accept="image/*" onChange={async e => {
-                                if (e.target.files?.[0]) setRefImg(await fileToBase64(e.target.files[0]));
-                            }}
-                                className="w-full text-xs file:mr-2 file:py-1 file:px-2 file:rounded-full file:border-0 file:text-xs
-                                       file:bg-cyan-700/50 hover:file:bg-cyan-600/70 file:text-white cursor-pointer"/>
+                            <label className="block text-xs text-gray-400 mb-1 font-mono">Cast and Location Bibles (Continuity Lock)</label>
+                            <div className="flex items-center justify-between gap-2">
+                                <p className="text-xs font-mono text-cyan-400 truncate" title={cast.map(m => `${m.name} (${m.refs.length} refs)`).join(', ')}>
+                                    {cast.length ? `${cast.length} CHARACTER(S) · ${libraryImageValues(cast).length} REFERENCE IMAGE(S)` : 'NO CHARACTERS YET'}
+                                </p>
+                                <button onClick={() => { AudioEngine.play('click'); setShowCastModal(true); }}
+                                    className="premium-button flex items-center gap-1 px-2 py-1 text-xs bg-cyan-700/50 rounded-full hover:bg-cyan-600/70 font-bold shrink-0">
+                                    <Users size={12} /> OPEN CAST BIBLE
+                                </button>
+                            </div>
+                            <div className="mt-2 flex items-center justify-between gap-2">
+                                <p className="text-xs font-mono text-cyan-400 truncate" title={locations.map(l => `${l.name} (${l.refs.length} refs)`).join(', ')}>
+                                    {locations.length ? `${locations.length} LOCATION(S) · ${libraryImageValues(locations).length} REFERENCE IMAGE(S)` : 'NO LOCATIONS YET'}
+                                </p>
+                                <button onClick={() => { AudioEngine.play('click'); setShowLocationModal(true); }}
+                                    className="premium-button flex items-center gap-1 px-2 py-1 text-xs bg-cyan-700/50 rounded-full hover:bg-cyan-600/70 font-bold shrink-0">
+                                    <MapIcon size={12} /> OPEN LOCATION BIBLE
+                                </button>
+                            </div>
                             <div className="mt-2 flex items-center gap-2 text-sm">
                                 <input id="charLock" type="checkbox" checked={charLock} onChange={e => setCharLock(e.target.checked)}
                                     className="h-4 w-4 rounded bg-slate-700 text-cyan-500 border-none focus:ring-0 cursor-pointer" />
@@ -1517,7 +5693,8 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                         <div className="mt-4 border-t border-slate-700/50 pt-4">
                             <label className="block text-xs text-gray-400 mb-1 font-mono">Reference LOGO Image (Brand Lock)</label>
                             <input type="file" accept="image/*" onChange={async e => {
-                                if (e.target.files?.[0]) setLogoRefImg(await fileToBase64(e.target.files[0]));
+                                if (!e.target.files?.[0]) return;
+                                updateLogoRefImg(await fileToBase64(e.target.files[0]));
                             }}
                                 className="w-full text-xs file:mr-2 file:py-1 file:px-2 file:rounded-full file:border-0 file:text-xs
                                         file:bg-red-700/50 hover:file:bg-red-600/70 file:text-white cursor-pointer"/>
@@ -1526,7 +5703,7 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                                     <p className="text-xs text-red-500 truncate font-mono">
                                         LOGO STATUS: {logoDescription ? `ANALYSIS COMPLETE (${logoDescription.shape})` : 'READY FOR ANALYSIS'}
                                     </p>
-                                    <button onClick={() => { AudioEngine.play('click'); setLogoRefImg(null); setLogoDescription(null); }} className='text-xs text-red-500 hover:text-red-300 font-mono'>[CLEAR LOGO]</button>
+                                    <button onClick={() => { AudioEngine.play('click'); updateLogoRefImg(null); }} className='text-xs text-red-500 hover:text-red-300 font-mono'>[CLEAR LOGO]</button>
                                 </div>
                             )}
                         </div>
@@ -1535,18 +5712,35 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                     <div className="glass-pane rounded-xl p-4 border-cyan-400/40">
                         <h2 className="font-extrabold mb-2 text-cyan-300 flex items-center gap-2"><FileText size={16} /> DATA STREAM INGEST</h2>
 
-                        <label className="block text-xs text-gray-400 mb-1 font-mono">Upload PDF/DOCX/TXT (AI DEEP-SCAN $0.05)</label>
-                        <input type="file" accept=".pdf, .docx, .txt, application/pdf, application/vnd.openxmlformats-officedocument.wordprocessingml.document, text/plain" onChange={handleScriptUpload}
+                        <label className="block text-xs text-gray-400 mb-1 font-mono">Upload FOUNTAIN/FDX/PDF/DOCX/TXT (EXTRACTED LOCALLY; AI DEEP-SCAN OFFERED FOR SCANNED PDFS)</label>
+                        <input type="file" accept=".fountain, .spmd, .fdx, .pdf, .docx, .txt, application/pdf, application/vnd.openxmlformats-officedocument.wordprocessingml.document, text/plain" onChange={handleScriptUpload}
                             className="w-full text-xs file:mr-2 file:py-1 file:px-2 file:rounded-full file:border-0 file:text-xs
                                file:bg-blue-600 hover:file:bg-blue-500 file:text-white cursor-pointer"/>
                         {scriptFile && <p className="text-xs text-slate-500 mt-1 truncate font-mono">SOURCE: {scriptFile}</p>}
+                        {screenplay && (
+                            <VisionDetail title={`${screenplay.format.toUpperCase()} STRUCTURE${screenplay.title ? `: ${screenplay.title}` : ''}`}>
+                                <p className="text-xs font-mono text-slate-400">{screenplay.scenes.length} SCENES | {screenplay.characters.length} CHARACTERS | {screenplay.dialogue.length} DIALOGUE BLOCKS</p>
+                                <p className="text-xs font-mono text-cyan-400 mt-1 truncate" title={screenplay.characters.map(c => `${c.name} (${c.lines})`).join(', ')}>
+                                    {screenplay.characters.slice(0, 6).map(c => `${c.name} (${c.lines})`).join(', ')}{screenplay.characters.length > 6 ? ', ...' : ''}
+                                </p>
+                            </VisionDetail>
+                        )}
 
 
                         <label className="block text-xs text-gray-400 mt-3 mb-1 font-mono">NARRATIVE INPUT (Auto-Enhanced)</label>
-                        <textarea value={narrative}
-                            onChange={e => setNarrative(e.target.value)} rows={8}
+                        <textarea value={narrative} data-undo="app"
+                            onChange={e => { recordUndo('Edit narrative', true); setNarrative(e.target.value); }} rows={8}
                             className="w-full bg-slate-900/70 border border-cyan-700 rounded-md p-2 text-sm font-mono text-cyan-300 focus:ring-cyan-500 focus:border-cyan-500 input-active-glow
                                      animate-[subtlePulse_4s_ease-in-out_infinite]"></textarea>
+                        <div className="mt-1 flex items-center gap-1 text-xs font-mono">
+                            <span className="text-gray-400 mr-auto">EXPORT SCRIPT:</span>
+                            {[['fountain', 'FOUNTAIN'], ['fdx', 'FINAL DRAFT'], ['pdf', 'PDF']].map(([format, label]) => (
+                                <button key={format} onClick={() => handleExportScript(format)} disabled={!narrative.trim()}
+                                    className="premium-button flex items-center gap-1 px-2 py-1 rounded bg-slate-800 hover:bg-slate-700 border border-cyan-700/50 text-cyan-300 font-bold disabled:opacity-40">
+                                    <Download size={12} /> {label}
+                                </button>
+                            ))}
+                        </div>
 
                         {/* TTS Voice Selector */}
                         <div className='mt-3'>
@@ -1583,11 +5777,17 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
 
                     <div className="glass-pane rounded-xl p-4 border-cyan-400/40">
                         <h2 className="font-extrabold mb-3 text-cyan-300 flex items-center gap-2"><BrainCircuit size={16} /> CORE DIRECTOR MODULES</h2>
-                        <button onClick={runAiDirector} disabled={!narrative || busy}
+                        <button onClick={confirmAiDirector} disabled={!narrative || busy}
                             className="premium-button w-full px-2 py-2 text-sm font-bold rounded-lg bg-gradient-to-r from-blue-600 to-cyan-600 text-white shadow-lg hover:from-blue-500 hover:to-cyan-500 disabled:bg-slate-700/50 disabled:cursor-not-allowed
                                          animate-[subtlePulse_4s_ease-in-out_infinite_1s]">
                             <span className="flex items-center gap-2"><BrainCircuit size={16} /> INITIATE VISION MATRIX</span>
                         </button>
+                        {enhancementReview && !showVisionModal && (
+                            <button onClick={() => { AudioEngine.play('click'); setShowVisionModal(true); }}
+                                className="premium-button w-full px-2 py-2 text-xs font-bold rounded-lg bg-yellow-700/60 text-yellow-100 hover:bg-yellow-600/60">
+                                REVIEW ENHANCED SCRIPT ({enhancementReview.hunks.length} CHANGES PENDING)
+                            </button>
+                        )}
 
                         {/* Branding Architect Button */}
                         <button onClick={runBrandingArchitect} disabled={!isBrandingMode || !predicted?.length || busy}
@@ -1611,6 +5811,10 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                                     className="premium-button px-2 py-2 text-xs font-semibold rounded-lg bg-teal-900/50 border border-teal-500/30 hover:bg-teal-800/60 disabled:opacity-40 disabled:cursor-not-allowed flex items-center justify-center gap-1">
                                     <BookOpen size={12} /> SCRIPT PURITY FILTER
                                 </button>
+                                <button onClick={() => { AudioEngine.play('click'); setShowLedgerModal(true); }} disabled={!directorsVision || busy}
+                                    className="premium-button px-2 py-2 text-xs font-semibold rounded-lg bg-orange-900/50 border border-orange-500/30 hover:bg-orange-800/60 disabled:opacity-40 disabled:cursor-not-allowed flex items-center justify-center gap-1">
+                                    <ClipboardCheck size={12} /> CONTINUITY LEDGER
+                                </button>
                             </div>
 
                             {/* Asset Descriptor (requires input) */}
@@ -1619,7 +5823,7 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                                     className="w-full bg-slate-900/70 border border-yellow-700 rounded-md p-2 text-xs font-mono text-yellow-300 focus:ring-yellow-500 focus:border-yellow-500 input-active-glow"/>
                                 <button onClick={runAssetDescriptor} disabled={!assetDescPrompt || busy}
                                     className="premium-button w-full px-2 py-2 text-xs font-semibold rounded-lg bg-yellow-900/50 border border-yellow-500/30 hover:bg-yellow-800/60 disabled:opacity-40 disabled:cursor-not-allowed flex items-center justify-center gap-1 mt-2">
-                                    <Map size={12} /> VISUAL ASSET DESCRIPTOR
+                                    <MapIcon size={12} /> VISUAL ASSET DESCRIPTOR
                                 </button>
                             </div>
                         </div>
@@ -1669,27 +5873,33 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                     {scenes.length > 0 ? (
                         // Displaying Generated Scenes
                         <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
-                            {scenes.map(s => (
+                            {scenes.map((s, index) => (
                                 <div key={s.timestamp || s.id} className="glass-pane rounded-xl overflow-hidden flex flex-col shadow-2xl border-cyan-400/30 hover:border-cyan-200/50 transition-all duration-300">
                                     <div className="px-3 py-2 border-b border-cyan-500/40 flex items-center justify-between bg-slate-900/70">
-                                        <div className="text-sm font-bold truncate pr-2 text-cyan-200">{s.sceneHeader}</div>
+                                        <div className="text-sm font-bold truncate pr-2 text-cyan-200">{segmentLabel(s, index)}</div>
+                                        {continuityFlags[sceneKey(s)]?.versionId === (s.versionId || null) && (
+                                            <button onClick={() => { AudioEngine.play('click'); setShowContinuityReportModal(true); }}
+                                                title={continuityFlags[sceneKey(s)].issues.map(i => `${i.subject}: expected ${i.expected}, frame shows ${i.observed}`).join('\n')}
+                                                className="text-xs px-2 py-0.5 mr-1 rounded-full font-bold font-mono bg-orange-600/30 text-orange-300 border border-orange-500 shrink-0">CONTINUITY</button>
+                                        )}
                                         <span className={cn('text-xs px-2 py-0.5 rounded-full font-bold font-mono',
                                             s.status === 'success' && 'bg-green-600/30 text-green-300 border border-green-500',
                                             s.status === 'error' && 'bg-red-600/30 text-red-300 border border-red-500',
                                             s.status === 'queued' && 'bg-slate-700/30 text-slate-300 border border-slate-500',
-                                            (s.status === 'generating' || s.status === 'starting' || String(s.status).startsWith('retrying') || s.status === 'optimizing') && 'bg-blue-600/30 text-blue-300 animate-pulse border border-blue-500'
+                                            s.status === 'cancelled' && 'bg-amber-600/20 text-amber-300 border border-amber-500',
+                                            (s.status === 'generating' || s.status === 'starting' || s.status === 'optimizing') && 'bg-blue-600/30 text-blue-300 animate-pulse border border-blue-500'
                                         )}
-                                        >{String(s.status).includes('retrying') ? 'RETRY' : s.status.toUpperCase()}</span>
+                                        >{s.status.toUpperCase()}</span>
                                     </div>
                                     <div className={cn('relative bg-black/90 transition-all duration-300', aspectRatioClass)}>
-                                        {["generating", "starting", "optimizing"].includes(s.status) || String(s.status).startsWith('retrying') ? (
+                                        {["generating", "starting", "optimizing"].includes(s.status) ? (
                                             <div className="absolute inset-0 flex items-center justify-center">
                                                 <div className="loader-orb w-16 h-16" />
                                             </div>
                                         ) : s.image ? (
                                             <img src={s.image} alt={s.sceneHeader} className="w-full h-full object-cover transition-opacity duration-500" />
                                         ) : (
-                                            <div className="absolute inset-0 flex items-center justify-center text-slate-500 text-xs p-2 text-center bg-slate-900/80 font-mono">{s.status === 'error' ? (s.error || 'ERROR: FRAME DATA CORRUPTED') : 'QUEUED... AWAITING EXECUTION.'}</div>
+                                            <div className="absolute inset-0 flex items-center justify-center text-slate-500 text-xs p-2 text-center bg-slate-900/80 font-mono">{s.status === 'error' ? (s.error || 'ERROR: FRAME DATA CORRUPTED') : s.status === 'cancelled' ? (s.error || 'CANCELLED. RETRY TO SYNTHESIZE.') : 'QUEUED... AWAITING EXECUTION.'}</div>
                                         )}
                                     </div>
                                     <div className="p-3 border-t border-cyan-500/20">
@@ -1699,6 +5909,12 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                                     <div className="px-3 py-2 border-t border-cyan-500/20 flex items-center justify-end gap-2 bg-slate-900/70">
                                         {s.image && <button onClick={() => { AudioEngine.play('click'); setEditingScene(s); setEditRefImg(null); }} 
                                             className="premium-button p-2 rounded-lg bg-slate-700/50 hover:bg-yellow-900/50 border border-yellow-400/40" title="Edit Frame"><svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="lucide lucide-wand-2 text-yellow-400"><path d="m21.7 4.3-1.9 1.9"/><path d="m18.2 8.8-1.9 1.9"/><path d="M16.7 13.3 15 15l-1.9-1.9"/><path d="M9.6 15.6.8 2.8C.2 2.2-.2 1.4 0 .9c.2-.5.8-.8 1.4-1.1L14.2 14.4c.5.5.9 1 1 1.6s-.3 1.2-.8 1.4c-.5.2-1.3-.2-1.8-.8l-12.8-12.8Z"/><path d="M7 7.5 1 1.5"/><path d="m14 14.5 6 6"/></svg></button>}
+                                        {s.image && headingSet(s.sceneHeader).name && <button onClick={() => promoteFrameToLocation(s)}
+                                            className="premium-button p-2 rounded-lg bg-slate-700/50 hover:bg-teal-900/50 border border-teal-400/40" title="Use as Location Reference"><MapIcon size={14} className='text-teal-400'/></button>}
+                                        {s.versions?.length > 1 && <button onClick={() => openTakes(s)}
+                                            className="premium-button flex items-center gap-1 px-2 py-1.5 rounded-lg bg-slate-700/50 hover:bg-purple-900/50 border border-purple-400/40 text-xs font-mono text-purple-300" title="Frame Takes"><Layers size={14} /> {s.versions.length}</button>}
+                                        {synthesizing && isSceneActive(s.status) && <button onClick={() => cancelScene(s.id)}
+                                            className="premium-button p-2 rounded-lg bg-slate-700/50 hover:bg-red-900/50 border border-red-400/40" title="Cancel Scene"><X size={14} className='text-red-400'/></button>}
                                         <button onClick={() => regenerateScene(s.id)} disabled={busy}
                                             className="premium-button p-2 rounded-lg bg-slate-700/50 hover:bg-orange-900/50 border border-orange-400/40 disabled:opacity-50" title="Retry"><RotateCw size={14} className='text-orange-400'/></button>
                                         {s.image && <button onClick={() => {
@@ -1718,11 +5934,11 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                             <h2 className="font-extrabold text-xl text-cyan-300 border-b-2 border-cyan-500/50 pb-2 mb-4">SEGMENTATION PROTOCOL READY</h2>
                             <p className="text-sm text-slate-400 mb-4 font-mono">DIRECTOR MODULE CONFIRMED {predicted.length} VISUAL SEGMENTS. INITIATE QUANTUM SYNTHESIS BELOW.</p>
                             <ol className="divide-y divide-slate-800 space-y-3">
-                                {predicted.map(s => (
+                                {predicted.map((s, index) => (
                                     <li key={s.id} className="py-3">
                                         <div className="text-sm font-bold text-cyan-300 flex items-center gap-2">
                                             <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="lucide lucide-film text-blue-400"><rect width="20" height="20" x="2" y="2" rx="2.18" ry="2.18"/><line x1="7" x2="7" y1="2" y2="22"/><line x1="17" x2="17" y1="2" y2="22"/><line x1="2" x2="22" y1="12" y2="12"/></svg>
-                                            {s.sceneHeader}
+                                            {segmentLabel(s, index)}
                                         </div>
                                         <textarea value={s.prompt} readOnly
                                             className="mt-1 w-full bg-slate-900/70 border border-cyan-700 rounded-md p-2 text-xs h-24 cursor-default resize-none text-cyan-400 font-mono"></textarea>
@@ -1730,9 +5946,9 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                                 ))}
                             </ol>
                             <div className="mt-6">
-                                <button onClick={generateAllImages} disabled={busy}
+                                <button onClick={confirmFrameSynthesis} disabled={busy}
                                     className="premium-button w-full px-3 py-3 text-lg font-bold rounded-lg bg-gradient-to-r from-green-500 to-teal-600 text-black shadow-xl hover:from-green-400 hover:to-teal-500 disabled:bg-slate-700/50 disabled:opacity-50 border border-white">
-                                    EXECUTE FRAME SYNTHESIS (${(predicted.length * 0.10).toFixed(2)})
+                                    EXECUTE FRAME SYNTHESIS (~${(predicted.length * frameEstimate()).toFixed(2)})
                                 </button>
                             </div>
                         </div>
@@ -1754,22 +5970,70 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
             {/* 1. Director's Vision Modal */}
             {showVisionModal && directorsVision && (
                 <div className="fixed inset-0 z-[60] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setShowVisionModal(false)}>
-                    <div className="glass-pane rounded-xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col border-yellow-400/40" onClick={e => e.stopPropagation()}>
+                    <div className={`glass-pane rounded-xl shadow-2xl w-full ${enhancementReview ? 'max-w-5xl' : 'max-w-3xl'} max-h-[90vh] flex flex-col border-yellow-400/40`} onClick={e => e.stopPropagation()}>
                         <div className="p-4 border-b-2 border-cyan-500/50"><h2 className="font-extrabold text-2xl text-yellow-400 flex items-center gap-2"><BrainCircuit size={24} /> DIRECTOR'S VISION MATRIX V.3.1</h2></div>
                         <div className="p-4 overflow-y-auto space-y-4 text-sm">
                             <VisionDetail title="CORE THEME">{directorsVision.core_theme}</VisionDetail>
                             <VisionDetail title="VISUAL TONE">{directorsVision.visual_tone}</VisionDetail>
                             <VisionDetail title="CINEMATOGRAPHY">{directorsVision.cinematography_style}</VisionDetail>
                             <VisionDetail title="MAIN NARRATIVE GOAL">{directorsVision.main_goal}</VisionDetail>
-                            {characterSheet && <VisionDetail title={`CHARACTER SHEET (${directorsVision.main_character})`}>{characterSheet}</VisionDetail>}
-                            <VisionDetail title="CINEMATICALLY ENHANCED SCRIPT (Snippet)">{String(directorsVision.enhanced_script).slice(0, 300)}...</VisionDetail>
+                            {cast.some(m => m.description) && (
+                                <VisionDetail title={`CAST BIBLE (${cast.length} CHARACTERS)`}>
+                                    {cast.filter(m => m.description).map(m => `${m.name}: ${m.description}${m.wardrobe ? `\nWARDROBE: ${m.wardrobe}` : ''}`).join('\n\n')}
+                                </VisionDetail>
+                            )}
+                            {locations.some(l => l.description || l.lighting) && (
+                                <VisionDetail title={`LOCATION BIBLE (${locations.length} SETS)`}>
+                                    {locations.filter(l => l.description || l.lighting).map(l => `${l.name}: ${[l.description, l.lighting && `LIGHTING: ${l.lighting}`].filter(Boolean).join('\n')}`).join('\n\n')}
+                                </VisionDetail>
+                            )}
+                            {enhancementReview ? (
+                                <div className="space-y-2">
+                                    <div className="flex flex-wrap justify-between items-center gap-2">
+                                        <h3 className="font-extrabold text-cyan-300 uppercase font-mono">ENHANCED SCRIPT REVIEW:</h3>
+                                        <div className="flex gap-2 text-xs">
+                                            <button onClick={() => decideAllHunks(true)} className="premium-button px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 font-bold">ACCEPT ALL</button>
+                                            <button onClick={() => decideAllHunks(false)} className="premium-button px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 font-bold">REJECT ALL</button>
+                                        </div>
+                                    </div>
+                                    <p className="text-xs font-mono text-slate-400">
+                                        {enhancementReview.hunks.length} CHANGE(S) · <span className="text-green-400">{enhancementReview.accepted} ACCEPTED</span> · <span className="text-yellow-400">{enhancementReview.flagged} TOUCH DIALOGUE, CHARACTERS OR HEADINGS (REJECTED BY DEFAULT)</span>
+                                    </p>
+                                    {enhancementReview.findings.length > 0 ? (
+                                        <div className="text-xs font-mono p-2 rounded-lg border border-yellow-600/60 bg-yellow-900/20 text-yellow-300 space-y-0.5">
+                                            <p className="font-bold">THE SCRIPT AS IT WOULD BE ADOPTED CHANGES THE SCREENPLAY:</p>
+                                            {enhancementReview.findings.map(finding => <p key={finding}>⚠ {finding}</p>)}
+                                        </div>
+                                    ) : (
+                                        <p className="text-xs font-mono text-green-400">✓ DIALOGUE, CHARACTER NAMES AND SCENE HEADINGS MATCH THE ORIGINAL.</p>
+                                    )}
+                                    {enhancementReview.hunks.length
+                                        ? <DiffView segments={enhancementReview.segments} flags={enhancementReview.flags} isAccepted={enhancementReview.isAccepted} onToggle={toggleHunk} />
+                                        : <p className="text-xs font-mono text-slate-400">THE ENHANCED SCRIPT IS IDENTICAL TO THE ORIGINAL.</p>}
+                                </div>
+                            ) : (
+                                <VisionDetail title="CINEMATICALLY ENHANCED SCRIPT (Snippet)">{String(directorsVision.enhanced_script).slice(0, 300)}...</VisionDetail>
+                            )}
+                            <VisionDetail title={`SCENE BREAKDOWN (${screenplayModel.scenes.length} SCENES, ${screenplayModel.characters.length} SPEAKING ROLES)`}>
+                                {screenplayModel.scenes.map(sc => `${sc.number ? `${sc.number}. ` : ''}${[sc.intExt, sc.location, sc.timeOfDay].filter(Boolean).join(' · ') || sc.heading}${sc.characters.length ? ` — ${sc.characters.join(', ')}` : ''}`).join('\n')}
+                            </VisionDetail>
                         </div>
                         <div className="p-4 mt-auto border-t-2 border-cyan-500/50 bg-slate-900/50">
                             <button onClick={() => { AudioEngine.play('click'); setShowVisionModal(false); }} className="premium-button px-4 py-2 text-sm bg-slate-700 hover:bg-slate-600 rounded-lg font-bold">DISMISS</button>
-                            <button onClick={generateScenesFromVision} disabled={busy}
-                                className="premium-button px-4 py-2 text-sm bg-cyan-600 hover:bg-cyan-500 rounded-lg disabled:opacity-50 font-bold border border-white">
-                                {autoExecute ? 'ACCEPT & AUTO-EXECUTE' : 'PROCEED TO SEGMENTATION'}
-                            </button>
+                            {enhancementReview ? (
+                                <>
+                                    <button onClick={keepOriginalScript} className="premium-button px-4 py-2 text-sm bg-slate-700 hover:bg-slate-600 rounded-lg font-bold">KEEP ORIGINAL</button>
+                                    <button onClick={adoptReviewedScript}
+                                        className="premium-button px-4 py-2 text-sm bg-yellow-600 hover:bg-yellow-500 text-black rounded-lg font-bold border border-white">
+                                        ADOPT REVIEWED SCRIPT ({enhancementReview.accepted}/{enhancementReview.hunks.length})
+                                    </button>
+                                </>
+                            ) : (
+                                <button onClick={generateScenesFromVision} disabled={busy}
+                                    className="premium-button px-4 py-2 text-sm bg-cyan-600 hover:bg-cyan-500 rounded-lg disabled:opacity-50 font-bold border border-white">
+                                    {autoExecute ? 'ACCEPT & AUTO-EXECUTE' : 'PROCEED TO SEGMENTATION'}
+                                </button>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -1804,13 +6068,74 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                                 className="premium-button px-4 py-2 text-sm bg-slate-700 rounded-lg hover:bg-slate-600 font-bold">CANCEL</button>
                             <button onClick={handleEditImage} disabled={isEditing || !editPrompt}
                                 className="premium-button px-4 py-2 text-sm bg-yellow-600 rounded-lg hover:bg-yellow-500 disabled:opacity-50 text-black font-extrabold border border-black">
-                                {isEditing ? <Loader2 size={16} className="animate-spin text-black" /> : 'APPLY EDIT ($0.10)'}
+                                {isEditing ? <Loader2 size={16} className="animate-spin text-black" /> : `APPLY EDIT (~$${estimateStage('edit').toFixed(2)})`}
                             </button>
                         </div>
                     </div>
                 </div>
             )}
             
+            {/* 2b. Frame Takes Modal */}
+            {takesView && (
+                <div className="fixed inset-0 z-[60] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setTakesSceneId(null)}>
+                    <div className="glass-pane rounded-xl w-full max-w-5xl max-h-[90vh] flex flex-col border-purple-400/40" onClick={e => e.stopPropagation()}>
+                        <div className="p-4 flex justify-between items-center border-b-2 border-cyan-500/50">
+                            <h2 className="font-extrabold text-xl text-purple-300 flex items-center gap-2"><Layers size={20} /> FRAME TAKES: {takesView.scene.sceneHeader}</h2>
+                            <button onClick={() => { AudioEngine.play('click'); setTakesSceneId(null); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+                        </div>
+                        <div className="p-4 overflow-y-auto grid grid-cols-1 lg:grid-cols-5 gap-4">
+                            <div className="lg:col-span-3 space-y-2">
+                                <div className={cn('relative bg-black/90 rounded-lg overflow-hidden border border-slate-700 select-none', aspectRatioClass)}>
+                                    {takesView.takeB && <img src={takesView.takeB.image} alt="Take B" className="absolute inset-0 w-full h-full object-cover" />}
+                                    {takesView.takeA && <img src={takesView.takeA.image} alt="Take A" className="absolute inset-0 w-full h-full object-cover"
+                                        style={{ clipPath: `inset(0 ${100 - compareSplit}% 0 0)` }} />}
+                                    {takesView.takeA && takesView.takeB && <div className="absolute inset-y-0 w-0.5 bg-purple-300 pointer-events-none" style={{ left: `${compareSplit}%` }} />}
+                                    <span className="absolute top-2 left-2 text-xs font-mono font-bold px-2 py-0.5 rounded bg-black/70 text-purple-300">A: {takesView.takeA ? `TAKE ${takesView.takes.indexOf(takesView.takeA) + 1}` : '-'}</span>
+                                    <span className="absolute top-2 right-2 text-xs font-mono font-bold px-2 py-0.5 rounded bg-black/70 text-cyan-300">B: {takesView.takeB ? `TAKE ${takesView.takes.indexOf(takesView.takeB) + 1}` : '-'}</span>
+                                </div>
+                                <input type="range" min={0} max={100} value={compareSplit} onChange={e => setCompareSplit(Number(e.target.value))}
+                                    disabled={!takesView.takeA || !takesView.takeB} className="w-full accent-purple-400 disabled:opacity-40" />
+                                <p className="text-xs text-slate-500 font-mono">DRAG TO WIPE BETWEEN TAKE A (LEFT) AND TAKE B (RIGHT). PICK TAKES WITH THE A / B BUTTONS.</p>
+                            </div>
+                            <div className="lg:col-span-2 space-y-2">
+                                {[...takesView.takes].reverse().map(v => {
+                                    const n = takesView.takes.indexOf(v) + 1;
+                                    return (
+                                        <div key={v.id} className={cn('p-2 rounded-lg border text-xs font-mono space-y-1', v.id === takesView.currentId ? 'border-green-500/60 bg-green-900/20' : 'border-slate-700 bg-slate-900/50')}>
+                                            <div className="flex gap-2">
+                                                <img src={v.image} alt={`Take ${n}`} className="w-20 h-12 object-cover rounded border border-slate-700" />
+                                                <div className="flex-1 min-w-0">
+                                                    <p className="font-extrabold text-cyan-300">TAKE {n}{v.id === takesView.currentId && <span className="ml-2 text-green-400">CURRENT</span>}</p>
+                                                    <p className="text-slate-500 truncate">{v.at ? new Date(v.at).toLocaleString() : 'BEFORE TAKE TRACKING'}{v.model ? ` | ${v.model}` : ''}</p>
+                                                    <p className="text-slate-400 truncate">{v.editInstruction ? `EDIT: ${v.editInstruction}` : v.provider ? 'SYNTHESIS' : 'ORIGINAL'}</p>
+                                                </div>
+                                                {v.references.length > 0 && (
+                                                    <div className="flex flex-wrap gap-1 justify-end max-w-[6.5rem]">
+                                                        {v.references.map((r, i) => <img key={i} src={r} alt={`Reference ${i + 1}`} title="Reference image sent with the prompt" className="w-8 h-8 object-cover rounded border border-slate-700 opacity-70" />)}
+                                                    </div>
+                                                )}
+                                            </div>
+                                            <details>
+                                                <summary className="cursor-pointer text-slate-500 hover:text-cyan-300">PROMPT</summary>
+                                                <p className="mt-1 text-slate-400 whitespace-pre-wrap break-words">{v.prompt}</p>
+                                            </details>
+                                            <div className="flex gap-1">
+                                                <button onClick={() => { AudioEngine.play('click'); setCompareTakes(c => ({ ...c, a: v.id })); }}
+                                                    className={cn('px-2 py-0.5 rounded font-bold border', compareTakes.a === v.id ? 'bg-purple-700 border-purple-400' : 'bg-slate-700/50 border-slate-600 hover:bg-slate-600')}>A</button>
+                                                <button onClick={() => { AudioEngine.play('click'); setCompareTakes(c => ({ ...c, b: v.id })); }}
+                                                    className={cn('px-2 py-0.5 rounded font-bold border', compareTakes.b === v.id ? 'bg-cyan-700 border-cyan-400' : 'bg-slate-700/50 border-slate-600 hover:bg-slate-600')}>B</button>
+                                                <button onClick={() => promoteTake(takesView.scene.id, v.id)} disabled={busy || v.id === takesView.currentId}
+                                                    className="premium-button ml-auto px-2 py-0.5 rounded bg-green-800/60 hover:bg-green-700/60 font-bold disabled:opacity-40">PROMOTE</button>
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* 3. Branding Report Modal */}
             {showBrandingModal && brandingOutput && (
                 <div className="fixed inset-0 z-[60] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setShowBrandingModal(false)}>
@@ -1914,7 +6239,7 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                 <div className="fixed inset-0 z-[60] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setShowAssetDescModal(false)}>
                     <div className="glass-pane rounded-xl w-full max-w-4xl max-h-[90vh] flex flex-col border-yellow-400/40" onClick={e => e.stopPropagation()}>
                         <div className="p-4 flex justify-between items-center border-b-2 border-cyan-500/50">
-                            <h2 className="font-extrabold text-xl text-yellow-400 flex items-center gap-2"><Map size={20}/> VISUAL ASSET DESCRIPTOR</h2>
+                            <h2 className="font-extrabold text-xl text-yellow-400 flex items-center gap-2"><MapIcon size={20}/> VISUAL ASSET DESCRIPTOR</h2>
                             <button onClick={() => { AudioEngine.play('click'); setShowAssetDescModal(false); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
                         </div>
                         <div className="p-4 overflow-y-auto">
@@ -1952,28 +6277,217 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
             {/* 8. Settings Modal */}
             {showSettings && (
                 <div className="fixed inset-0 z-[60] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setShowSettings(false)}>
-                    <div className="glass-pane rounded-xl w-full max-w-lg border-cyan-400/40" onClick={e => e.stopPropagation()}>
+                    <div className="glass-pane rounded-xl w-full max-w-lg max-h-[90vh] flex flex-col border-cyan-400/40" onClick={e => e.stopPropagation()}>
                         <div className="p-4 flex justify-between items-center border-b-2 border-cyan-500/50">
                             <h2 className="font-extrabold text-xl text-cyan-400 flex items-center gap-2"><Settings size={20}/> SYSTEM CONSOLE (V.3000)</h2>
                             <button onClick={() => { AudioEngine.play('click'); setShowSettings(false); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
                         </div>
-                        <div className="p-4 space-y-4">
+                        <div className="p-4 space-y-4 overflow-y-auto">
                             <VisionDetail title="EXTERNAL API KEY (PERSISTED LOCALLY)">
-                                <input
-                                    type="password"
-                                    value={apiKey}
-                                    onChange={e => setApiKey(e.target.value)}
-                                    placeholder="Enter your Google AI Studio API Key"
-                                    className="w-full bg-slate-800/70 border-cyan-700 rounded-md p-2 text-sm font-mono text-white focus:ring-cyan-500 focus:border-cyan-500 input-active-glow"
-                                />
+                                {vaultLocked ? (
+                                    <button onClick={() => { AudioEngine.play('click'); setShowUnlock(true); }}
+                                        className="premium-button w-full px-4 py-2 text-sm bg-amber-700 hover:bg-amber-600 rounded-lg font-bold flex items-center justify-center gap-2">
+                                        <Lock size={14} /> KEY LOCKED — UNLOCK
+                                    </button>
+                                ) : (
+                                    <input
+                                        type="password"
+                                        value={apiKey}
+                                        onChange={e => updateApiKey(e.target.value)}
+                                        placeholder="Enter your Google AI Studio API Key"
+                                        className="w-full bg-slate-800/70 border-cyan-700 rounded-md p-2 text-sm font-mono text-white focus:ring-cyan-500 focus:border-cyan-500 input-active-glow"
+                                    />
+                                )}
+                                <p className="text-xs text-slate-500 mt-2 font-mono">
+                                    {keyVault
+                                        ? 'KEY IS ENCRYPTED (AES-GCM) IN LOCAL INDEXEDDB STORAGE AND SENT IN A REQUEST HEADER.'
+                                        : 'KEY IS AUTO-SAVED TO LOCAL INDEXEDDB STORAGE UPON INPUT.'}
+                                </p>
+                            </VisionDetail>
+                            <VisionDetail title="KEY ENCRYPTION AT REST (SHARED MACHINES)">
+                                {keyVault ? (
+                                    <div className="space-y-2">
+                                        <div className="flex items-center justify-between gap-2">
+                                            <span className="text-xs text-slate-400">LOCK AFTER IDLE (MINUTES, 0 = NEVER)</span>
+                                            <input type="number" min={0} step={1} value={idleLockMinutes} onChange={e => updateIdleLockMinutes(e.target.value)}
+                                                className="w-20 bg-slate-800/70 border-cyan-700 rounded-md p-1 text-xs font-mono text-white input-active-glow" />
+                                        </div>
+                                        <div className="flex gap-2">
+                                            <button onClick={() => { AudioEngine.play('click'); lockVault(); }} disabled={vaultLocked}
+                                                className="premium-button flex-1 px-3 py-1.5 text-xs bg-slate-700 hover:bg-slate-600 rounded-lg font-bold disabled:opacity-50">LOCK NOW</button>
+                                            <button onClick={disableKeyEncryption} disabled={vaultLocked}
+                                                className="premium-button flex-1 px-3 py-1.5 text-xs bg-red-800 hover:bg-red-700 rounded-lg font-bold disabled:opacity-50">DISABLE ENCRYPTION</button>
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <div className="space-y-2">
+                                        <input type="password" value={vaultPass} onChange={e => setVaultPass(e.target.value)} placeholder="Passphrase (min. 8 characters)"
+                                            className="w-full bg-slate-800/70 border-cyan-700 rounded-md p-1.5 text-xs font-mono text-white input-active-glow" />
+                                        <input type="password" value={vaultPassConfirm} onChange={e => setVaultPassConfirm(e.target.value)} placeholder="Confirm passphrase"
+                                            className="w-full bg-slate-800/70 border-cyan-700 rounded-md p-1.5 text-xs font-mono text-white input-active-glow" />
+                                        <button onClick={enableKeyEncryption} disabled={!vaultPass || !(apiKey || SEALED_SECRETS.providerSettings.get(providerSettings) || SEALED_SECRETS.proxyConfig.get(proxyConfig))}
+                                            className="premium-button w-full px-3 py-1.5 text-xs bg-cyan-700 hover:bg-cyan-600 rounded-lg font-bold disabled:opacity-50">ENCRYPT API KEYS</button>
+                                        <p className="text-xs text-slate-500 font-mono">
+                                            THE OPENAI-COMPATIBLE KEY AND PROXY TOKEN ARE SEALED WITH IT. THE PASSPHRASE IS NEVER STORED. IF IT IS LOST, FORGET THE KEY FROM THE UNLOCK PROMPT AND RE-ENTER IT.
+                                        </p>
+                                    </div>
+                                )}
+                            </VisionDetail>
+                            <VisionDetail title="PROXY MODE (SHARED TEAM KEY)">
+                                <div className="space-y-2">
+                                    <label className="flex items-center gap-2 text-xs text-emerald-300 cursor-pointer">
+                                        <input type="checkbox" checked={proxyConfig.enabled} onChange={e => updateProxyConfig({ enabled: e.target.checked })} />
+                                        ROUTE GEMINI CALLS THROUGH THE PROXY (NO KEY IN THE BROWSER)
+                                    </label>
+                                    {[
+                                        { key: 'baseUrl', label: 'PROXY URL (BLANK = THIS DEV SERVER)', placeholder: 'http://localhost:8787' },
+                                        { key: 'user', label: 'USER NAME', placeholder: 'alice' },
+                                        { key: 'token', label: 'USER TOKEN', secret: true },
+                                    ].map(f => (
+                                        <div key={f.key}>
+                                            <label className="block text-[10px] text-slate-500 mb-0.5">{f.label}</label>
+                                            <input type={f.secret ? 'password' : 'text'} value={proxyConfig[f.key]} placeholder={f.secret && vaultLocked ? 'UNLOCK TO EDIT' : f.placeholder}
+                                                disabled={f.secret && vaultLocked}
+                                                onChange={e => updateProxyConfig({ [f.key]: e.target.value })}
+                                                className="w-full bg-slate-800/70 border-cyan-700 rounded-md p-1.5 text-xs font-mono text-white focus:ring-cyan-500 focus:border-cyan-500 input-active-glow" />
+                                        </div>
+                                    ))}
+                                    <div className="flex items-center justify-between gap-2">
+                                        <button onClick={handleCheckProxyUsage}
+                                            className="premium-button px-3 py-1 text-xs rounded-md bg-emerald-900/50 border border-emerald-500/40 font-bold">CHECK USAGE</button>
+                                        {proxyUsage && (proxyUsage.error
+                                            ? <span className="text-[10px] text-red-400 truncate" title={proxyUsage.error}>{proxyUsage.error}</span>
+                                            : <span className="text-[10px] text-emerald-300">
+                                                {proxyUsage.user}: {proxyUsage.requestsToday}{proxyUsage.quota.dailyRequests ? `/${proxyUsage.quota.dailyRequests}` : ''} REQ TODAY · {proxyUsage.tokensMonth.toLocaleString()}{proxyUsage.quota.monthlyTokens ? `/${proxyUsage.quota.monthlyTokens.toLocaleString()}` : ''} TOKENS THIS MONTH
+                                            </span>
+                                        )}
+                                    </div>
+                                    <p className="text-xs text-slate-500 font-mono">
+                                        START WITH GEMINI_API_KEY=... NPM RUN DEV (OR NPM RUN PROXY). USERS AND QUOTAS LIVE IN SERVER/PROXY.CONFIG.JSON. THE PROXY SERVES GEMINI ONLY: STAGES ROUTED TO THE OPENAI-COMPATIBLE PROVIDER ARE REFUSED WHILE IT IS ON.
+                                    </p>
+                                </div>
+                            </VisionDetail>
+                            <VisionDetail title="STAGE ROUTING, MODELS & SAMPLING">
+                                <div className="space-y-3">
+                                    {PIPELINE_STAGES.map(stage => {
+                                        const provider = stageProviders[stage.id];
+                                        const tunable = MODEL_PROVIDERS[provider]?.tunable?.[stage.kind] || [];
+                                        const defaultModel = routeModel({ provider, settings: providerSettings[provider] }, stage.kind) || 'PROVIDER DEFAULT';
+                                        return (
+                                            <div key={stage.id} className="space-y-1">
+                                                <div className="flex items-center justify-between gap-2">
+                                                    <span className="text-xs text-cyan-300">{stage.label}</span>
+                                                    <select value={provider} onChange={e => updateStageProvider(stage.id, e.target.value)}
+                                                        className="w-52 bg-slate-800/70 border border-cyan-700 rounded-md px-2 py-1 text-xs font-mono text-white input-active-glow">
+                                                        {Object.entries(MODEL_PROVIDERS).filter(([, p]) => p.capabilities.includes(stage.kind)).map(([id, p]) => (
+                                                            <option key={id} value={id}>{p.label}</option>
+                                                        ))}
+                                                    </select>
+                                                </div>
+                                                <div className="flex items-center gap-1">
+                                                    <input type="text" value={stageParams[stage.id]?.model || ''} placeholder={defaultModel} title="Model (blank = provider default)"
+                                                        onChange={e => updateStageParam(stage.id, 'model', e.target.value.trim())}
+                                                        className="flex-1 min-w-0 bg-slate-800/70 border-cyan-700 rounded-md p-1 text-[10px] font-mono text-white input-active-glow" />
+                                                    {GENERATION_PARAMS.filter(p => tunable.includes(p.key)).map(p => (
+                                                        <input key={p.key} type="number" min={p.min} max={p.max} step={p.step} value={stageParams[stage.id]?.[p.key] ?? ''}
+                                                            placeholder={p.label} title={`${p.label} (blank = provider default)`}
+                                                            onChange={e => updateStageParam(stage.id, p.key, e.target.value)}
+                                                            className="w-16 bg-slate-800/70 border-cyan-700 rounded-md p-1 text-[10px] font-mono text-white input-active-glow" />
+                                                    ))}
+                                                </div>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                                <p className="text-xs text-slate-500 mt-2 font-mono">
+                                    BLANK FIELDS USE THE PROVIDER DEFAULT. SETTINGS ARE SAVED WITH EACH HISTORY ENTRY.
+                                </p>
+                            </VisionDetail>
+                            {Object.entries(MODEL_PROVIDERS).filter(([, p]) => p.fields.length > 0).map(([id, p]) => (
+                                <VisionDetail key={id} title={`${p.label} ENDPOINT`}>
+                                    <div className="space-y-2">
+                                        {p.fields.map(f => (
+                                            <div key={f.key}>
+                                                <label className="block text-[10px] text-slate-500 mb-0.5">{f.label}</label>
+                                                <input type={f.secret ? 'password' : 'text'} value={providerSettings[id]?.[f.key] || ''}
+                                                    disabled={f.secret && vaultLocked} placeholder={f.secret && vaultLocked ? 'UNLOCK TO EDIT' : undefined}
+                                                    onChange={e => updateProviderSetting(id, f.key, e.target.value)}
+                                                    className="w-full bg-slate-800/70 border-cyan-700 rounded-md p-1.5 text-xs font-mono text-white focus:ring-cyan-500 focus:border-cyan-500 input-active-glow" />
+                                            </div>
+                                        ))}
+                                    </div>
+                                </VisionDetail>
+                            ))}
+                            <VisionDetail title="PROJECT BUDGET CAP (USD, 0 = UNLIMITED)">
+                                <input type="number" min={0} step="0.5" value={budgetCap} onChange={e => updateBudgetCap(e.target.value)}
+                                    className="w-full bg-slate-800/70 border-cyan-700 rounded-md p-2 text-sm font-mono text-white focus:ring-cyan-500 focus:border-cyan-500 input-active-glow" />
                                 <p className="text-xs text-slate-500 mt-2 font-mono">
-                                    KEY IS AUTO-SAVED TO LOCAL INDEXEDDB STORAGE UPON INPUT.
+                                    FRAME SYNTHESIS PAUSES BEFORE ANY TASK THAT WOULD EXCEED THE CAP. SAVED WITH EACH HISTORY ENTRY.
                                 </p>
                             </VisionDetail>
-                            <VisionDetail title="CORE AI MODEL STATUS">
-                                <p className="font-mono text-xs text-cyan-400">TEXT/VISION: gemini-2.5-flash-preview-05-20</p>
-                                <p className="font-mono text-xs text-cyan-400">IMAGE/EDIT/CONTINUITY: gemini-2.5-flash-image-preview</p>
-                                <p className="font-mono text-xs text-cyan-400">VOICEOVER: gemini-2.5-flash-preview-tts</p>
+                            <VisionDetail title="PRICE TABLE (USD / 1M TOKENS, FLAT PER IMAGE OR CLIP)">
+                                <div className="space-y-1">
+                                    <div className="grid grid-cols-12 gap-1 text-[10px] text-slate-500">
+                                        <span className="col-span-6">MODEL</span><span className="col-span-2">INPUT</span><span className="col-span-2">OUTPUT</span><span className="col-span-2">FLAT</span>
+                                    </div>
+                                    {Object.entries(priceTable).map(([model, price]) => (
+                                        <div key={model} className="grid grid-cols-12 gap-1 items-center">
+                                            <span className="col-span-6 text-[10px] text-cyan-300 truncate" title={model}>{model}</span>
+                                            {['input', 'output', 'perUnit'].map(field => (
+                                                <input key={field} type="number" min={0} step="0.01" value={price[field]} onChange={e => updatePrice(model, field, e.target.value)}
+                                                    className="col-span-2 bg-slate-800/70 border-cyan-700 rounded-md p-1 text-[10px] font-mono text-white input-active-glow" />
+                                            ))}
+                                        </div>
+                                    ))}
+                                    <div className="flex gap-2 pt-1">
+                                        <input type="text" value={newPriceModel} onChange={e => setNewPriceModel(e.target.value)} placeholder="Add model name..."
+                                            className="flex-1 bg-slate-800/70 border-cyan-700 rounded-md p-1 text-xs font-mono text-white input-active-glow" />
+                                        <button onClick={() => { if (newPriceModel.trim()) { updatePrice(newPriceModel.trim()); setNewPriceModel(''); } }}
+                                            className="premium-button px-2 py-1 text-xs rounded-md bg-green-900/50 border border-green-500/40">ADD</button>
+                                        <button onClick={resetPriceTable} className="premium-button px-2 py-1 text-xs rounded-md bg-slate-700/70 border border-slate-500/40">RESET</button>
+                                    </div>
+                                </div>
+                            </VisionDetail>
+                            <VisionDetail title="MOCK BACKEND (OFFLINE RECORD / REPLAY)">
+                                <div className="space-y-2">
+                                    <div className="flex items-center justify-between gap-2">
+                                        <select value={mockConfig.mode} onChange={e => updateMockConfig({ mode: e.target.value })}
+                                            className="flex-1 bg-slate-800/70 border border-fuchsia-700 rounded-md px-2 py-1 text-xs font-mono text-white input-active-glow">
+                                            <option value="off">OFF (LIVE NETWORK)</option>
+                                            <option value="record">RECORD (LIVE + CAPTURE FIXTURES)</option>
+                                            <option value="replay">REPLAY (NO NETWORK)</option>
+                                        </select>
+                                        <span className="text-xs text-fuchsia-300">{mockFixtureCount} FIXTURES</span>
+                                    </div>
+                                    <div className="flex flex-wrap gap-2">
+                                        <button onClick={handleExportFixtures} disabled={mockFixtureCount === 0}
+                                            className="premium-button px-2 py-1 text-xs rounded-md bg-fuchsia-900/50 border border-fuchsia-500/40 disabled:opacity-40">EXPORT FIXTURES</button>
+                                        <label className="premium-button px-2 py-1 text-xs rounded-md bg-fuchsia-900/50 border border-fuchsia-500/40 cursor-pointer">
+                                            LOAD FIXTURES
+                                            <input type="file" accept=".json,application/json" onChange={handleImportFixtures} className="hidden" />
+                                        </label>
+                                        <button onClick={() => { AudioEngine.play('click'); MockBackend.reset(); setStatus('Mock replay rewound to the first fixture.'); }}
+                                            className="premium-button px-2 py-1 text-xs rounded-md bg-slate-700/70 border border-slate-500/40">REWIND</button>
+                                        <button onClick={handleClearFixtures} disabled={mockFixtureCount === 0}
+                                            className="premium-button px-2 py-1 text-xs rounded-md bg-red-900/50 border border-red-500/40 disabled:opacity-40">CLEAR</button>
+                                    </div>
+                                    <p className="text-[10px] text-slate-500">FAULT INJECTION (% OF CALLS, SEEDED)</p>
+                                    <div className="grid grid-cols-4 gap-2">
+                                        {[['rateLimit', '429'], ['emptyCandidates', 'EMPTY'], ['timeout', 'TIMEOUT']].map(([key, label]) => (
+                                            <div key={key}>
+                                                <label className="block text-[10px] text-slate-500 mb-0.5">{label}</label>
+                                                <input type="number" min={0} max={100} value={Math.round(mockConfig.faults[key] * 100)}
+                                                    onChange={e => updateMockConfig({ faults: { [key]: Math.min(100, Math.max(0, Number(e.target.value) || 0)) / 100 } })}
+                                                    className="w-full bg-slate-800/70 border-cyan-700 rounded-md p-1 text-xs font-mono text-white input-active-glow" />
+                                            </div>
+                                        ))}
+                                        <div>
+                                            <label className="block text-[10px] text-slate-500 mb-0.5">SEED</label>
+                                            <input type="number" value={mockConfig.seed} onChange={e => updateMockConfig({ seed: Number(e.target.value) || 0 })}
+                                                className="w-full bg-slate-800/70 border-cyan-700 rounded-md p-1 text-xs font-mono text-white input-active-glow" />
+                                        </div>
+                                    </div>
+                                </div>
                             </VisionDetail>
                         </div>
                         <div className="p-4 mt-auto border-t-2 border-cyan-500/50 bg-slate-900/50">
@@ -1984,54 +6498,198 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                 </div>
             )}
 
-            {/* 9. History Log Modal */}
+            {/* 9. Project Workspace / History Log Modal */}
             {showHistoryModal && (
                 <div className="fixed inset-0 z-[60] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setShowHistoryModal(false)}>
                     <div className="glass-pane rounded-xl w-full max-w-3xl max-h-[90vh] flex flex-col border-cyan-400/40" onClick={e => e.stopPropagation()}>
                         <div className="p-4 flex justify-between items-center border-b-2 border-cyan-500/50">
-                            <h2 className="font-extrabold text-xl text-cyan-400 flex items-center gap-2"><Clock size={20}/> PROJECT HISTORY LOG</h2>
-                            <button onClick={() => { AudioEngine.play('click'); setShowHistoryModal(false); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+                            <h2 className="font-extrabold text-xl text-cyan-400 flex items-center gap-2"><Clock size={20}/> PROJECT WORKSPACE</h2>
+                            <div className="flex items-center gap-3">
+                                <label className="flex items-center gap-1 text-xs text-slate-400 cursor-pointer">
+                                    <input type="checkbox" checked={showArchived} onChange={e => setShowArchived(e.target.checked)} /> ARCHIVED
+                                </label>
+                                <button onClick={createProject}
+                                    className="premium-button flex items-center gap-1 text-xs px-3 py-1.5 rounded-lg bg-cyan-700/50 hover:bg-cyan-600/70 border border-cyan-500/50 font-bold">
+                                    <FolderPlus size={12} /> NEW PROJECT
+                                </button>
+                                <label className="premium-button flex items-center gap-1 text-xs px-3 py-1.5 rounded-lg bg-slate-700/50 hover:bg-slate-600/70 border border-cyan-500/30 font-bold cursor-pointer">
+                                    <Upload size={12} /> IMPORT BUNDLE
+                                    <input type="file" accept=".zip,application/zip" className="hidden" onChange={e => {
+                                        const file = e.target.files?.[0];
+                                        e.target.value = '';
+                                        if (file) handleImportBundle(file);
+                                    }} />
+                                </label>
+                                <button onClick={() => { AudioEngine.play('click'); setShowHistoryModal(false); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+                            </div>
                         </div>
-                        <div className="p-4 overflow-y-auto space-y-4">
-                            {historyItems.length === 0 ? (
-                                <p className="text-slate-400 text-center py-8 font-mono">LOG EMPTY. GENERATE A PROJECT TO SAVE STATE.</p>
-                            ) : (
-                                <div className="divide-y divide-slate-800">
-                                    {historyItems.map((item) => (
-                                        <div key={item.timestamp} className="py-3 px-3 hover:bg-slate-900/50 rounded-lg transition duration-150 group flex justify-between items-start">
-                                            <div className='flex-1 pr-4'>
-                                                <div className='flex justify-between items-center'>
-                                                    <h3 className="text-sm font-extrabold text-cyan-300">
-                                                        {item.config.scriptFile || `PROJECT ID: ${new Date(item.timestamp).getTime().toString().slice(-6)}`}
+                        <div className="px-4 py-3 space-y-2 border-b border-cyan-500/30 bg-slate-900/40 text-xs">
+                            <input type="text" value={historyFilters.query} onChange={e => setHistoryFilters(f => ({ ...f, query: e.target.value }))}
+                                placeholder="Search script name, theme or scene header..."
+                                className="w-full bg-slate-800/70 border-cyan-700 rounded-md p-1.5 font-mono text-white input-active-glow" />
+                            <div className="flex flex-wrap items-center gap-2 text-slate-400">
+                                <span>FROM</span>
+                                <input type="date" value={historyFilters.from} onChange={e => setHistoryFilters(f => ({ ...f, from: e.target.value }))}
+                                    className="bg-slate-800/70 border-cyan-700 rounded-md p-1 font-mono text-white" />
+                                <span>TO</span>
+                                <input type="date" value={historyFilters.to} onChange={e => setHistoryFilters(f => ({ ...f, to: e.target.value }))}
+                                    className="bg-slate-800/70 border-cyan-700 rounded-md p-1 font-mono text-white" />
+                                <select value={historyFilters.style} onChange={e => setHistoryFilters(f => ({ ...f, style: e.target.value }))}
+                                    className="bg-slate-800/70 border border-cyan-700 rounded-md p-1 font-mono text-white">
+                                    <option value="">ANY STYLE</option>
+                                    {historyStyles.map(style => <option key={style} value={style}>{style}</option>)}
+                                </select>
+                                <select value={historyFilters.branding} onChange={e => setHistoryFilters(f => ({ ...f, branding: e.target.value }))}
+                                    className="bg-slate-800/70 border border-cyan-700 rounded-md p-1 font-mono text-white">
+                                    <option value="any">ANY BRANDING</option>
+                                    <option value="on">BRANDED</option>
+                                    <option value="off">UNBRANDED</option>
+                                </select>
+                                <span>COST $</span>
+                                <input type="number" min={0} step="0.01" value={historyFilters.minCost} placeholder="MIN" onChange={e => setHistoryFilters(f => ({ ...f, minCost: e.target.value }))}
+                                    className="w-16 bg-slate-800/70 border-cyan-700 rounded-md p-1 font-mono text-white" />
+                                <input type="number" min={0} step="0.01" value={historyFilters.maxCost} placeholder="MAX" onChange={e => setHistoryFilters(f => ({ ...f, maxCost: e.target.value }))}
+                                    className="w-16 bg-slate-800/70 border-cyan-700 rounded-md p-1 font-mono text-white" />
+                                <label className="flex items-center gap-1 cursor-pointer">
+                                    <input type="checkbox" checked={historyFilters.pinnedOnly} onChange={e => setHistoryFilters(f => ({ ...f, pinnedOnly: e.target.checked }))} /> PINNED
+                                </label>
+                                {historyFiltersActive && (
+                                    <button onClick={() => { AudioEngine.play('click'); setHistoryFilters(DEFAULT_HISTORY_FILTERS); }} className="underline hover:text-cyan-300">CLEAR</button>
+                                )}
+                            </div>
+                            {selectedVersions.length > 0 && (
+                                <div className="flex items-center gap-2">
+                                    <span className="text-cyan-300">{selectedVersions.length} SELECTED</span>
+                                    {confirmBulkDelete ? (
+                                        <button onClick={() => deleteVersions(selectedVersions)} onMouseLeave={() => setConfirmBulkDelete(false)}
+                                            className="premium-button px-2 py-1 rounded bg-red-700 hover:bg-red-600 font-bold">CONFIRM DELETE {selectedVersions.length}</button>
+                                    ) : (
+                                        <button onClick={() => { AudioEngine.play('click'); setConfirmBulkDelete(true); }}
+                                            className="premium-button flex items-center gap-1 px-2 py-1 rounded bg-red-900/60 hover:bg-red-800 border border-red-500/40 font-bold"><Trash2 size={12} /> DELETE SELECTED</button>
+                                    )}
+                                    <button onClick={() => setSelectedVersions([])} className="underline text-slate-400 hover:text-cyan-300">CLEAR SELECTION</button>
+                                </div>
+                            )}
+                        </div>
+                        <div className="p-4 overflow-y-auto space-y-3">
+                            {workspaceView.length === 0 ? (
+                                <p className="text-slate-400 text-center py-8 font-mono">{historyFiltersActive ? 'NO SAVED VERSIONS MATCH THESE FILTERS.' : 'NO PROJECTS. CREATE ONE OR SAVE STATE TO START A PROJECT.'}</p>
+                            ) : workspaceView.map(({ project, versions, total, number }) => {
+                                const expanded = expandedProjectId === project.id || historyFiltersActive;
+                                return (
+                                    <div key={project.id} className={cn('rounded-lg border', project.id === currentProjectId ? 'border-cyan-400/70 bg-cyan-950/20' : 'border-slate-800', project.archived && 'opacity-60')}>
+                                        <div className="flex items-center gap-2 p-3">
+                                            <button onClick={() => { AudioEngine.play('click'); setExpandedProjectId(expandedProjectId === project.id ? null : project.id); }} className="text-cyan-400">
+                                                {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                                            </button>
+                                            <div className="flex-1 min-w-0">
+                                                {renamingProject?.id === project.id ? (
+                                                    <input autoFocus value={renamingProject.name}
+                                                        onChange={e => setRenamingProject({ id: project.id, name: e.target.value })}
+                                                        onBlur={() => renameProject(project.id, renamingProject.name)}
+                                                        onKeyDown={e => { if (e.key === 'Enter') e.target.blur(); if (e.key === 'Escape') setRenamingProject(null); }}
+                                                        className="w-full bg-slate-800/70 border-cyan-700 rounded-md px-2 py-1 text-sm font-extrabold text-cyan-200 input-active-glow" />
+                                                ) : (
+                                                    <h3 className="text-sm font-extrabold text-cyan-300 truncate">
+                                                        {project.name}{project.archived && <span className="ml-2 text-[10px] text-amber-400">ARCHIVED</span>}
                                                     </h3>
-                                                    <p className="text-xs text-slate-500 font-mono">
-                                                        {new Date(item.timestamp).toLocaleDateString()}
-                                                    </p>
-                                                </div>
-                                                <p className="text-xs text-slate-400 mt-1 font-mono">
-                                                    <span className="font-semibold text-cyan-500">THEME:</span> {item.vision?.core_theme || 'N/A'} | <span className="font-semibold text-cyan-500">FRAMES:</span> {item.scenes.length} | <span className="font-semibold text-cyan-500">COST:</span> ${item.cost.toFixed(2)}
+                                                )}
+                                                <p className="text-xs text-slate-500 font-mono">
+                                                    {historyFiltersActive ? `${versions.length} OF ${total}` : total} VERSION{total === 1 ? '' : 'S'} | UPDATED {new Date(project.updatedAt).toLocaleDateString()}
                                                 </p>
-                                                <div className="mt-2 flex space-x-2 overflow-x-auto pb-1">
-                                                    {item.scenes.slice(0, 5).map((s, i) => (
-                                                        <img key={i} src={s.image || `https://placehold.co/60x34/0f172a/707070?text=${s.status.slice(0,1)}`} 
-                                                            alt={`Scene ${i}`} 
-                                                            className="w-16 h-9 object-cover rounded-md border border-slate-700 group-hover:border-cyan-400/50" />
-                                                    ))}
-                                                    {item.scenes.length > 5 && <span className="text-xs text-slate-500 self-center pl-2 font-mono">+{item.scenes.length - 5}</span>}
-                                                </div>
                                             </div>
-                                            <button onClick={() => { AudioEngine.play('click'); loadHistoryItem(item); }} 
-                                                className="premium-button flex-shrink-0 text-xs px-3 py-1.5 rounded-lg bg-cyan-700/50 hover:bg-cyan-600/70 border border-cyan-500/50 self-center font-bold">
-                                                <span className='flex items-center gap-1'><RotateCw size={12}/> RELOAD STATE</span>
-                                            </button>
+                                            <div className="flex items-center gap-1 text-slate-400">
+                                                <button title="Rename" onClick={() => { AudioEngine.play('click'); setRenamingProject({ id: project.id, name: project.name }); }} className="p-1.5 rounded hover:bg-slate-700 hover:text-cyan-300"><Pencil size={14} /></button>
+                                                <button title="Duplicate" onClick={() => duplicateProject(project)} className="p-1.5 rounded hover:bg-slate-700 hover:text-cyan-300"><Copy size={14} /></button>
+                                                <button title={project.archived ? 'Restore' : 'Archive'} onClick={() => toggleArchiveProject(project)} className="p-1.5 rounded hover:bg-slate-700 hover:text-amber-300">
+                                                    {project.archived ? <ArchiveRestore size={14} /> : <Archive size={14} />}
+                                                </button>
+                                                {confirmDeleteProjectId === project.id ? (
+                                                    <button onClick={() => deleteProject(project)} onMouseLeave={() => setConfirmDeleteProjectId(null)}
+                                                        className="premium-button text-[10px] px-2 py-1 rounded bg-red-700 hover:bg-red-600 font-bold">CONFIRM DELETE</button>
+                                                ) : (
+                                                    <button title="Delete project and all versions" onClick={() => { AudioEngine.play('click'); setConfirmDeleteProjectId(project.id); }} className="p-1.5 rounded hover:bg-slate-700 hover:text-red-400"><Trash2 size={14} /></button>
+                                                )}
+                                            </div>
                                         </div>
-                                    ))}
+                                        {expanded && (
+                                            <div className="divide-y divide-slate-800 border-t border-slate-800">
+                                                {versions.length === 0 && <p className="text-xs text-slate-500 text-center py-4 font-mono">NO VERSIONS YET. SAVE STATE WHILE THIS PROJECT IS ACTIVE.</p>}
+                                                {versions.map((item) => (
+                                                    <div key={item.timestamp} className={cn('py-3 px-3 hover:bg-slate-900/50 transition duration-150 group flex justify-between items-start gap-3', selectedVersions.includes(item.timestamp) && 'bg-cyan-950/40')}>
+                                                        <input type="checkbox" className="mt-1" checked={selectedVersions.includes(item.timestamp)} onChange={() => toggleVersionSelected(item.timestamp)} />
+                                                        <div className='flex-1 pr-4'>
+                                                            <div className='flex justify-between items-center'>
+                                                                <h3 className="text-sm font-extrabold text-cyan-300 flex items-center gap-2">
+                                                                    V{number[item.timestamp]}
+                                                                    <button title={item.pinned ? 'Unpin' : 'Pin as favorite'} onClick={() => togglePinVersion(item)}
+                                                                        className={cn('text-base leading-none', item.pinned ? 'text-yellow-400' : 'text-slate-600 hover:text-yellow-300')}>{item.pinned ? '★' : '☆'}</button>
+                                                                </h3>
+                                                                <p className="text-xs text-slate-500 font-mono">
+                                                                    {new Date(item.timestamp).toLocaleString()}
+                                                                </p>
+                                                            </div>
+                                                            <p className="text-xs text-slate-400 mt-1 font-mono">
+                                                                <span className="font-semibold text-cyan-500">THEME:</span> {item.vision?.core_theme || 'N/A'} | <span className="font-semibold text-cyan-500">STYLE:</span> {item.config.visualStyle}{item.config.isBrandingMode ? ' (BRANDED)' : ''} | <span className="font-semibold text-cyan-500">FRAMES:</span> {item.scenes.length} | <span className="font-semibold text-cyan-500">COST:</span> <button onClick={() => { AudioEngine.play('click'); setCostView({ title: `${project.name} V${number[item.timestamp]}`, ledger: historyLedger(item) }); }} className="underline decoration-dotted hover:text-green-300">${item.cost.toFixed(3)}</button>
+                                                            </p>
+                                                            <div className="mt-2 flex space-x-2 overflow-x-auto pb-1">
+                                                                {item.scenes.slice(0, 5).map((s, i) => (
+                                                                    <AssetImg key={i} src={s.image || `https://placehold.co/60x34/0f172a/707070?text=${s.status.slice(0,1)}`} 
+                                                                        alt={`Scene ${i}`} 
+                                                                        className="w-16 h-9 object-cover rounded-md border border-slate-700 group-hover:border-cyan-400/50" />
+                                                                ))}
+                                                                {item.scenes.length > 5 && <span className="text-xs text-slate-500 self-center pl-2 font-mono">+{item.scenes.length - 5}</span>}
+                                                            </div>
+                                                        </div>
+                                                        <div className="flex flex-col gap-2 self-center flex-shrink-0">
+                                                            <button onClick={() => { AudioEngine.play('click'); loadHistoryItem(item); }} 
+                                                                className="premium-button text-xs px-3 py-1.5 rounded-lg bg-cyan-700/50 hover:bg-cyan-600/70 border border-cyan-500/50 font-bold">
+                                                                <span className='flex items-center gap-1'><RotateCw size={12}/> RELOAD STATE</span>
+                                                            </button>
+                                                            {confirmDeleteVersion === item.timestamp ? (
+                                                                <button onClick={() => deleteVersions([item.timestamp])} onMouseLeave={() => setConfirmDeleteVersion(null)}
+                                                                    className="premium-button text-xs px-3 py-1 rounded-lg bg-red-700 hover:bg-red-600 font-bold">CONFIRM DELETE</button>
+                                                            ) : (
+                                                                <button onClick={() => { AudioEngine.play('click'); setConfirmDeleteVersion(item.timestamp); }}
+                                                                    className="premium-button text-xs px-3 py-1 rounded-lg bg-slate-800 hover:bg-red-900/70 border border-slate-600 font-bold text-slate-400 hover:text-red-300">
+                                                                    <span className='flex items-center gap-1 justify-center'><Trash2 size={12}/> DELETE</span>
+                                                                </button>
+                                                            )}
+                                                        </div>
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <div className="p-4 mt-auto border-t-2 border-cyan-500/50 bg-slate-900/50 space-y-3">
+                            {storageEstimate && (
+                                <div className="text-xs font-mono space-y-1">
+                                    <div className="flex justify-between text-slate-400">
+                                        <span>BROWSER STORAGE{storageEstimate.persisted ? ' (PERSISTENT)' : ''}</span>
+                                        <span className={cn(storageEstimate.usage / storageEstimate.quota > STORAGE_WARN_RATIO && 'text-red-400 font-bold')}>
+                                            {formatBytes(storageEstimate.usage)} / {formatBytes(storageEstimate.quota)}
+                                        </span>
+                                    </div>
+                                    <div className="text-slate-500">
+                                        {storageEstimate.assets.count} UNIQUE ASSETS ({formatBytes(storageEstimate.assets.bytes)}), SHARED ACROSS ALL VERSIONS
+                                    </div>
+                                    <div className="h-1.5 rounded-full bg-slate-800 overflow-hidden">
+                                        <div className={cn('h-full', storageEstimate.usage / storageEstimate.quota > STORAGE_WARN_RATIO ? 'bg-red-500' : 'bg-cyan-500')}
+                                            style={{ width: `${Math.min(100, storageEstimate.usage / storageEstimate.quota * 100)}%` }} />
+                                    </div>
+                                    {storageEstimate.usage / storageEstimate.quota > STORAGE_WARN_RATIO && (
+                                        <p className="text-red-400">STORAGE NEARLY FULL. DELETE OLD VERSIONS BEFORE THE BROWSER EVICTS SAVED PROJECTS.</p>
+                                    )}
+                                    {!storageEstimate.persisted && (
+                                        <button onClick={requestPersistentStorage} className="underline text-slate-400 hover:text-cyan-300">REQUEST PERSISTENT STORAGE (PREVENTS EVICTION)</button>
+                                    )}
                                 </div>
                             )}
-                        </div>
-                        <div className="p-4 mt-auto border-t-2 border-cyan-500/50 bg-slate-900/50">
                             <button onClick={() => {AudioEngine.play('click'); setShowHistoryModal(false);}} 
-                                className="premium-button w-full px-4 py-2 text-sm bg-slate-700 hover:bg-slate-600 rounded-lg font-bold">CLOSE LOG</button>
+                                className="premium-button w-full px-4 py-2 text-sm bg-slate-700 hover:bg-slate-600 rounded-lg font-bold">CLOSE WORKSPACE</button>
                         </div>
                     </div>
                 </div>
@@ -2115,7 +6773,7 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                                                         </>
                                                     ) : (
                                                         <span className="text-xs text-green-400 font-mono italic">
-                                                            {idea.frameStatus === 'error' ? 'SYNTHESIS ERROR. CLICK TO RETRY.' : 'FRAME SYNTHESIS PENDING. CLICK TO GENERATE ($0.10).'} 
+                                                            {idea.frameStatus === 'error' ? 'SYNTHESIS ERROR. CLICK TO RETRY.' : `FRAME SYNTHESIS PENDING. CLICK TO GENERATE (~$${estimateStage('image').toFixed(2)}).`} 
                                                         </span>
                                                     )}
                                                 </div>
@@ -2132,10 +6790,522 @@ SAFETY CHECKS ARE PARAMOUNT. Respond STRICTLY in JSON array format using the spe
                     </div>
                 </div>
             )}
+
+            {/* 11. Cost Breakdown Modal */}
+            {costView && (
+                <div className="fixed inset-0 z-[70] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setCostView(null)}>
+                    <div className="glass-pane rounded-xl w-full max-w-3xl max-h-[90vh] flex flex-col border-green-400/40" onClick={e => e.stopPropagation()}>
+                        <div className="p-4 flex justify-between items-center border-b-2 border-cyan-500/50">
+                            <h2 className="font-extrabold text-xl text-green-400 flex items-center gap-2">$ COST BREAKDOWN: {costView.title}</h2>
+                            <button onClick={() => { AudioEngine.play('click'); setCostView(null); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+                        </div>
+                        <div className="p-4 overflow-y-auto">
+                            {costView.ledger.length === 0 ? (
+                                <p className="text-slate-400 text-center py-8 font-mono">NO METERED CALLS RECORDED.</p>
+                            ) : (
+                                <table className="w-full text-xs font-mono">
+                                    <thead>
+                                        <tr className="text-left text-slate-500 border-b border-slate-700">
+                                            <th className="py-2">STAGE</th><th>CALLS</th><th>INPUT TOK</th><th>OUTPUT TOK</th><th>FLAT UNITS</th><th className="text-right">COST (USD)</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {summarizeCost(costView.ledger).map(row => (
+                                            <tr key={row.stage} className="border-b border-slate-800 text-cyan-300">
+                                                <td className="py-2">{stageLabel(row.stage)}{row.unpriced > 0 && <span className="ml-2 text-yellow-400" title="Calls whose model is missing from the price table were counted at $0">({row.unpriced} UNPRICED)</span>}{row.mock > 0 && <span className="ml-2 text-purple-300" title="Calls answered from mock replay fixtures were counted at $0">({row.mock} REPLAYED)</span>}</td>
+                                                <td>{row.calls}</td>
+                                                <td>{row.inputTokens.toLocaleString()}</td>
+                                                <td>{row.outputTokens.toLocaleString()}</td>
+                                                <td>{row.units}</td>
+                                                <td className="text-right text-green-300">${row.cost.toFixed(4)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                    <tfoot>
+                                        <tr className="text-green-400 font-extrabold">
+                                            <td className="py-2" colSpan={5}>TOTAL</td>
+                                            <td className="text-right">${costView.ledger.reduce((sum, e) => sum + e.cost, 0).toFixed(4)}</td>
+                                        </tr>
+                                    </tfoot>
+                                </table>
+                            )}
+                        </div>
+                        <div className="p-4 mt-auto border-t-2 border-cyan-500/50 bg-slate-900/50 flex gap-3">
+                            <button onClick={() => handleExportCostCsv(costView.ledger, costView.title)} disabled={costView.ledger.length === 0}
+                                className="premium-button flex-1 px-4 py-2 text-sm bg-green-800/60 hover:bg-green-700/60 rounded-lg font-bold disabled:opacity-40">EXPORT CSV</button>
+                            <button onClick={() => { AudioEngine.play('click'); setCostView(null); }}
+                                className="premium-button flex-1 px-4 py-2 text-sm bg-slate-700 hover:bg-slate-600 rounded-lg font-bold">CLOSE</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* 12. Pre-flight Estimate Modal */}
+            {preflight && (
+                <div className="fixed inset-0 z-[70] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setPreflight(null)}>
+                    <div className="glass-pane rounded-xl w-full max-w-lg border-green-400/40" onClick={e => e.stopPropagation()}>
+                        <div className="p-4 border-b-2 border-cyan-500/50"><h2 className="font-extrabold text-xl text-green-400">PRE-FLIGHT ESTIMATE: {preflight.title}</h2></div>
+                        <div className="p-4 space-y-2 text-xs font-mono">
+                            {preflight.lines.map(l => (
+                                <div key={l.label} className="flex justify-between text-cyan-300"><span>{l.label}</span><span>~${l.cost.toFixed(4)}</span></div>
+                            ))}
+                            <div className="flex justify-between text-green-400 font-extrabold border-t border-slate-700 pt-2"><span>ESTIMATED TOTAL</span><span>~${preflight.total.toFixed(4)}</span></div>
+                            <div className="flex justify-between text-slate-400"><span>SPENT SO FAR</span><span>${creditsUsed.toFixed(4)}</span></div>
+                            <div className="flex justify-between text-slate-400"><span>BUDGET CAP</span><span>{budgetCap > 0 ? `$${budgetCap.toFixed(2)}` : 'UNLIMITED'}</span></div>
+                            {budgetCap > 0 && creditsUsed + preflight.total > budgetCap && (
+                                <p className="text-red-400 font-extrabold pt-2">PROJECTED SPEND ${(creditsUsed + preflight.total).toFixed(2)} EXCEEDS THE CAP. SYNTHESIS WILL PAUSE WHEN THE CAP IS REACHED.</p>
+                            )}
+                            {preflight.note && <p className="text-yellow-400 pt-2">{preflight.note}</p>}
+                        </div>
+                        <div className="p-4 flex justify-end gap-3 bg-slate-900/50 border-t-2 border-cyan-500/50">
+                            <button onClick={() => { AudioEngine.play('click'); setPreflight(null); }}
+                                className="premium-button px-4 py-2 text-sm bg-slate-700 rounded-lg hover:bg-slate-600 font-bold">CANCEL</button>
+                            <button onClick={() => { const run = preflight.onConfirm; setPreflight(null); run(); }}
+                                className="premium-button px-4 py-2 text-sm bg-green-600 rounded-lg hover:bg-green-500 text-black font-extrabold border border-black">PROCEED</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* 13. Budget Hold Modal (sits above the synthesis overlay) */}
+            {budgetHold && (
+                <div className="fixed inset-0 z-[110] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4">
+                    <div className="glass-pane rounded-xl w-full max-w-lg border-red-400/60">
+                        <div className="p-4 border-b-2 border-red-500/50"><h2 className="font-extrabold text-xl text-red-400">BUDGET CAP REACHED: SYNTHESIS PAUSED</h2></div>
+                        <div className="p-4 space-y-2 text-xs font-mono">
+                            <div className="flex justify-between text-slate-300"><span>SPENT</span><span>${creditsUsed.toFixed(4)}</span></div>
+                            <div className="flex justify-between text-slate-300"><span>CAP</span><span>${budgetCap.toFixed(2)}</span></div>
+                            <div className="flex justify-between text-slate-300"><span>NEXT FRAME (EST.)</span><span>~${budgetHold.nextEstimate.toFixed(4)}</span></div>
+                            <div className="flex justify-between text-slate-300"><span>{budgetHold.queuedCount} QUEUED FRAMES (EST.)</span><span>~${budgetHold.remaining.toFixed(4)}</span></div>
+                            <label className="block text-slate-400 pt-2">RAISE CAP TO (USD)</label>
+                            <input type="number" min={0} step="0.5" value={budgetHold.raiseTo} onChange={e => setBudgetHold(h => ({ ...h, raiseTo: e.target.value }))}
+                                className="w-full bg-slate-800/70 border-red-700 rounded-md p-2 text-sm font-mono text-white input-active-glow" />
+                        </div>
+                        <div className="p-4 flex justify-end gap-3 bg-slate-900/50 border-t-2 border-red-500/50">
+                            <button onClick={stopAfterBudgetHold}
+                                className="premium-button px-4 py-2 text-sm bg-slate-700 rounded-lg hover:bg-slate-600 font-bold">STOP SYNTHESIS</button>
+                            <button onClick={() => resumeAfterBudgetHold(Number(budgetHold.raiseTo) || 0)}
+                                className="premium-button px-4 py-2 text-sm bg-red-600 rounded-lg hover:bg-red-500 text-white font-extrabold border border-white">RAISE CAP & RESUME</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* 14. API Key Unlock Modal */}
+            {showUnlock && keyVault && (
+                <div className="fixed inset-0 z-[120] bg-black/95 backdrop-blur-lg flex items-center justify-center p-4">
+                    <div className="glass-pane rounded-xl w-full max-w-md border-amber-400/60">
+                        <div className="p-4 border-b-2 border-amber-500/50">
+                            <h2 className="font-extrabold text-xl text-amber-400 flex items-center gap-2"><Lock size={20} /> API KEY LOCKED</h2>
+                        </div>
+                        <form className="p-4 space-y-2" onSubmit={e => { e.preventDefault(); handleUnlock(); }}>
+                            <p className="text-xs text-slate-400 font-mono">ENTER YOUR PASSPHRASE TO DECRYPT THE STORED API KEY FOR THIS SESSION.</p>
+                            <input type="password" autoFocus value={unlockPass} onChange={e => setUnlockPass(e.target.value)} placeholder="Passphrase"
+                                className="w-full bg-slate-800/70 border-amber-700 rounded-md p-2 text-sm font-mono text-white input-active-glow" />
+                            {unlockErr && <p className="text-xs text-red-400 font-mono">{unlockErr}</p>}
+                            <button type="submit" disabled={!unlockPass}
+                                className="premium-button w-full px-4 py-2 text-sm bg-amber-600 hover:bg-amber-500 rounded-lg font-extrabold disabled:opacity-50">UNLOCK</button>
+                        </form>
+                        <div className="p-4 flex justify-between gap-3 bg-slate-900/50 border-t-2 border-amber-500/50">
+                            <button onClick={forgetEncryptedKey}
+                                className="premium-button px-3 py-1.5 text-xs bg-red-800 rounded-lg hover:bg-red-700 font-bold">FORGET KEY</button>
+                            <button onClick={() => { AudioEngine.play('click'); setShowUnlock(false); }}
+                                className="premium-button px-3 py-1.5 text-xs bg-slate-700 rounded-lg hover:bg-slate-600 font-bold">CONTINUE LOCKED</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* 15. Action History (Undo / Redo) Modal */}
+            {showUndoPanel && (
+                <div className="fixed inset-0 z-[70] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setShowUndoPanel(false)}>
+                    <div className="glass-pane rounded-xl w-full max-w-lg max-h-[90vh] flex flex-col border-cyan-400/40" onClick={e => e.stopPropagation()}>
+                        <div className="p-4 flex justify-between items-center border-b-2 border-cyan-500/50">
+                            <h2 className="font-extrabold text-xl text-cyan-400 flex items-center gap-2"><History size={20} /> ACTION HISTORY</h2>
+                            <button onClick={() => { AudioEngine.play('click'); setShowUndoPanel(false); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+                        </div>
+                        <div className="p-4 overflow-y-auto space-y-1 text-xs font-mono">
+                            {undoHistory.past.length === 0 && undoHistory.future.length === 0 && (
+                                <p className="text-slate-400 text-center py-8">NO ACTIONS RECORDED THIS SESSION.</p>
+                            )}
+                            {undoHistory.future.map((entry, i) => (
+                                <button key={entry.id} onClick={() => travelUndo(-(undoHistory.future.length - i))} disabled={busy}
+                                    className="w-full flex justify-between items-center px-3 py-2 rounded-md bg-slate-900/40 text-slate-500 line-through hover:bg-slate-800/60 disabled:opacity-40">
+                                    <span>{entry.label}</span><span>{new Date(entry.at).toLocaleTimeString()}</span>
+                                </button>
+                            ))}
+                            {[...undoHistory.past].reverse().map((entry, i) => (
+                                <button key={entry.id} onClick={() => travelUndo(i + 1)} disabled={busy}
+                                    className={`w-full flex justify-between items-center px-3 py-2 rounded-md hover:bg-slate-800/60 disabled:opacity-40 ${i === 0 ? 'bg-cyan-900/40 text-cyan-300 border border-cyan-500/40' : 'bg-slate-900/40 text-cyan-300'}`}>
+                                    <span>{entry.label}</span><span>{new Date(entry.at).toLocaleTimeString()}</span>
+                                </button>
+                            ))}
+                        </div>
+                        <p className="px-4 pb-2 text-xs text-slate-500 font-mono">CLICK AN ACTION TO UNDO IT AND EVERYTHING AFTER IT, OR A STRUCK-OUT ACTION TO REDO UP TO IT. KEEPS THE LAST {UNDO_LIMIT}.</p>
+                        <div className="p-4 mt-auto border-t-2 border-cyan-500/50 bg-slate-900/50 flex gap-3">
+                            <button onClick={() => travelUndo(1)} disabled={busy || undoHistory.past.length === 0}
+                                className="premium-button flex-1 flex items-center justify-center gap-2 px-4 py-2 text-sm bg-cyan-800/60 hover:bg-cyan-700/60 rounded-lg font-bold disabled:opacity-40"><Undo2 size={14} /> UNDO</button>
+                            <button onClick={() => travelUndo(-1)} disabled={busy || undoHistory.future.length === 0}
+                                className="premium-button flex-1 flex items-center justify-center gap-2 px-4 py-2 text-sm bg-cyan-800/60 hover:bg-cyan-700/60 rounded-lg font-bold disabled:opacity-40"><Redo2 size={14} /> REDO</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* 16. Resume Interrupted Synthesis Modal */}
+            {resumeOffer && !showUnlock && (
+                <div className="fixed inset-0 z-[110] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4">
+                    <div className="glass-pane rounded-xl w-full max-w-md border-cyan-400/60">
+                        <div className="p-4 border-b-2 border-cyan-500/50">
+                            <h2 className="font-extrabold text-xl text-cyan-400 flex items-center gap-2"><RotateCw size={20} /> RESUME SYNTHESIS?</h2>
+                        </div>
+                        <div className="p-4 space-y-2 text-xs font-mono text-slate-400">
+                            <p>THE LAST SESSION STOPPED MID-SYNTHESIS (AUTOSAVED {new Date(resumeOffer.savedAt).toLocaleString()}).</p>
+                            <p><span className="text-green-400 font-bold">{resumeOffer.total - resumeOffer.pending}</span> OF {resumeOffer.total} FRAMES ARE FINISHED AND KEPT. <span className="text-yellow-400 font-bold">{resumeOffer.pending}</span> SCENE(S) NEVER COMPLETED.</p>
+                            <p>RESUMING RE-QUEUES ONLY THE UNFINISHED SCENES (~${(resumeOffer.pending * frameEstimate()).toFixed(2)}).</p>
+                        </div>
+                        <div className="p-4 flex justify-end gap-3 bg-slate-900/50 border-t-2 border-cyan-500/50">
+                            <button onClick={discardResume}
+                                className="premium-button px-4 py-2 text-sm bg-slate-700 rounded-lg hover:bg-slate-600 font-bold">DISCARD UNFINISHED</button>
+                            <button onClick={resumeSynthesis}
+                                className="premium-button px-4 py-2 text-sm bg-cyan-600 rounded-lg hover:bg-cyan-500 font-extrabold">RESUME</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* 17. Document Import Preview Modal */}
+            {importPreview && (
+                <div className="fixed inset-0 z-[70] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4">
+                    <div className="glass-pane rounded-xl w-full max-w-4xl max-h-[90vh] flex flex-col border-cyan-400/40">
+                        <div className="p-4 flex justify-between items-center border-b-2 border-cyan-500/50">
+                            <h2 className="font-extrabold text-xl text-cyan-400 flex items-center gap-2"><FileText size={20} /> IMPORT PREVIEW: {importPreview.fileName}</h2>
+                            <button onClick={() => { AudioEngine.play('click'); setImportPreview(null); }} disabled={busy} className="p-1 rounded-full hover:bg-slate-700 disabled:opacity-40"><X size={20} /></button>
+                        </div>
+                        <div className="px-4 pt-3 space-y-2 text-xs font-mono">
+                            <p className="text-slate-400">
+                                METHOD: <span className="text-cyan-300 font-bold">{importPreview.method}</span>
+                                {importPreview.pages ? <> · {importPreview.pages} PAGE(S)</> : null}
+                                {' '}· {importPreview.text.length.toLocaleString()} CHARACTERS
+                                {importPreview.method !== 'AI DEEP-SCAN' && <span className="text-green-400"> · NOTHING LEFT THIS MACHINE</span>}
+                            </p>
+                            {importPreview.issues.map(issue => (
+                                <p key={issue} className="text-yellow-400">⚠ {issue}</p>
+                            ))}
+                            <p className="text-slate-500">CHANGES AGAINST THE CURRENT SCRIPT: <span className="text-red-400">REMOVED</span> / <span className="text-green-400">ADDED</span>.</p>
+                        </div>
+                        <div className="p-4 overflow-y-auto flex-1 min-h-0">
+                            {importPreview.text
+                                ? <DiffView segments={importPreviewDiff} />
+                                : <p className="text-slate-400 text-center py-8 text-xs font-mono">NO TEXT WAS EXTRACTED LOCALLY.</p>}
+                        </div>
+                        <div className="p-4 mt-auto border-t-2 border-cyan-500/50 bg-slate-900/50 flex flex-wrap justify-end gap-3">
+                            {importPreview.issues.length > 0 && (
+                                <button onClick={deepScanImportPreview} disabled={busy}
+                                    className="premium-button flex items-center gap-2 px-4 py-2 text-sm bg-fuchsia-700 rounded-lg hover:bg-fuchsia-600 font-bold disabled:opacity-40">
+                                    {busy ? <Loader2 size={14} className="animate-spin" /> : <BrainCircuit size={14} />} AI DEEP-SCAN (~${estimateStage('ingest').toFixed(2)}, UPLOADS FILE)
+                                </button>
+                            )}
+                            <button onClick={() => { AudioEngine.play('click'); setImportPreview(null); }} disabled={busy}
+                                className="premium-button px-4 py-2 text-sm bg-slate-700 rounded-lg hover:bg-slate-600 font-bold disabled:opacity-40">CANCEL</button>
+                            <button onClick={acceptImportPreview} disabled={busy || !importPreview.text}
+                                className="premium-button px-4 py-2 text-sm bg-cyan-600 rounded-lg hover:bg-cyan-500 font-extrabold disabled:opacity-40">REPLACE SCRIPT</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* 18. Cast Bible Modal */}
+            {showCastModal && (
+                <div className="fixed inset-0 z-[60] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setShowCastModal(false)}>
+                    <div className="glass-pane rounded-xl w-full max-w-4xl max-h-[90vh] flex flex-col border-cyan-400/40" onClick={e => e.stopPropagation()}>
+                        <div className="p-4 flex justify-between items-center border-b-2 border-cyan-500/50">
+                            <h2 className="font-extrabold text-xl text-cyan-400 flex items-center gap-2"><Users size={20} /> CAST BIBLE</h2>
+                            <button onClick={() => { AudioEngine.play('click'); setShowCastModal(false); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+                        </div>
+                        <p className="px-4 pt-3 text-xs font-mono text-slate-400">
+                            NAMES MATCH SCRIPT CUES. WITH CHARACTER LOCK ON, UP TO {CAST_REFS_PER_CHARACTER} REFERENCES PER CHARACTER ({MAX_SCENE_REFS} IMAGES PER FRAME, CONTINUITY FRAME AND SET INCLUDED) ARE SENT WITH EVERY SCENE THEY APPEAR IN.
+                        </p>
+                        <div className="p-4 overflow-y-auto flex-1 min-h-0 space-y-3">
+                            {cast.length === 0 && <p className="text-slate-400 text-center py-8 text-xs font-mono">NO CHARACTERS YET. ADD ONE OR SYNC THE SPEAKING ROLES FROM THE SCRIPT.</p>}
+                            {cast.map(member => (
+                                <div key={member.id} className="p-3 rounded-lg border border-cyan-700 bg-slate-900/70 space-y-2">
+                                    <div className="flex items-center gap-2">
+                                        <input value={member.name} onChange={e => updateCastMember(member.id, { name: e.target.value.toUpperCase() })}
+                                            className="flex-1 bg-slate-800 border border-cyan-700 rounded-md px-2 py-1 text-sm font-mono font-bold text-cyan-300 input-active-glow" />
+                                        <label title="Send this character with every scene, whether or not the script names them" className="flex items-center gap-1 text-[10px] font-mono text-slate-400 shrink-0 cursor-pointer">
+                                            <input type="checkbox" checked={!!member.everyScene} onChange={e => updateCastMember(member.id, { everyScene: e.target.checked })} /> EVERY SCENE
+                                        </label>
+                                        <button onClick={() => describeCastMember(member)} disabled={!member.refs.length || describingCastId !== null}
+                                            title={member.refs.length ? `~$${estimateStage('vision', { inputTokens: 400, outputTokens: 300 }).toFixed(3)}` : 'Add a reference image first'}
+                                            className="premium-button flex items-center gap-1 px-2 py-1 text-xs bg-fuchsia-700 rounded hover:bg-fuchsia-600 font-bold disabled:opacity-40">
+                                            {describingCastId === member.id ? <Loader2 size={12} className="animate-spin" /> : <BrainCircuit size={12} />} DESCRIBE
+                                        </button>
+                                        <button onClick={() => removeCastMember(member.id)} title="Remove character" className="p-1 rounded hover:bg-red-700/60 text-red-400"><Trash2 size={14} /></button>
+                                    </div>
+                                    <div className="flex flex-wrap items-center gap-2">
+                                        {member.refs.map(ref => (
+                                            <div key={ref} className="relative w-16 h-16 rounded overflow-hidden border border-slate-600">
+                                                <AssetImg src={ref} alt={member.name} className="w-full h-full object-cover" />
+                                                <button onClick={() => removeCastRef(member.id, ref)} title="Remove reference"
+                                                    className="absolute top-0 right-0 p-0.5 bg-black/70 rounded-bl hover:bg-red-700"><X size={10} /></button>
+                                            </div>
+                                        ))}
+                                        <label className="w-16 h-16 flex flex-col items-center justify-center rounded border border-dashed border-cyan-700 text-cyan-400 text-[10px] font-mono cursor-pointer hover:bg-slate-800">
+                                            <Upload size={14} /> ADD REF
+                                            <input type="file" accept="image/*" multiple className="hidden" onChange={e => {
+                                                if (e.target.files?.length) addCastRefs(member.id, e.target.files);
+                                                e.target.value = '';
+                                            }} />
+                                        </label>
+                                    </div>
+                                    <textarea value={member.description} onChange={e => updateCastMember(member.id, { description: e.target.value })} rows={3}
+                                        placeholder="Forensic description (face, build, hair). DESCRIBE fills this from the references."
+                                        className="w-full bg-slate-800 border border-cyan-700 rounded-md px-2 py-1 text-xs font-mono input-active-glow" />
+                                    <textarea value={member.wardrobe} onChange={e => updateCastMember(member.id, { wardrobe: e.target.value })} rows={2}
+                                        placeholder="Wardrobe notes (costume, colours, accessories)"
+                                        className="w-full bg-slate-800 border border-cyan-700 rounded-md px-2 py-1 text-xs font-mono input-active-glow" />
+                                </div>
+                            ))}
+                        </div>
+                        <div className="p-4 mt-auto border-t-2 border-cyan-500/50 bg-slate-900/50 flex flex-wrap justify-end gap-3">
+                            <button onClick={syncCastFromScript} className="premium-button flex items-center gap-2 px-4 py-2 text-sm bg-slate-700 rounded-lg hover:bg-slate-600 font-bold">
+                                <FileText size={14} /> SYNC FROM SCRIPT
+                            </button>
+                            <button onClick={addCastMember} className="premium-button flex items-center gap-2 px-4 py-2 text-sm bg-cyan-600 rounded-lg hover:bg-cyan-500 font-extrabold">
+                                <Users size={14} /> ADD CHARACTER
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* 19. Location Bible Modal */}
+            {showLocationModal && (
+                <div className="fixed inset-0 z-[60] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setShowLocationModal(false)}>
+                    <div className="glass-pane rounded-xl w-full max-w-4xl max-h-[90vh] flex flex-col border-teal-400/40" onClick={e => e.stopPropagation()}>
+                        <div className="p-4 flex justify-between items-center border-b-2 border-teal-500/50">
+                            <h2 className="font-extrabold text-xl text-teal-400 flex items-center gap-2"><MapIcon size={20} /> LOCATION BIBLE</h2>
+                            <button onClick={() => { AudioEngine.play('click'); setShowLocationModal(false); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+                        </div>
+                        <p className="px-4 pt-3 text-xs font-mono text-slate-400">
+                            NAMES MATCH THE LOCATION IN THE SCENE HEADINGS. UP TO {LOCATION_REFS_PER_SCENE} REFERENCES, THE DESCRIPTION AND THE LIGHTING NOTES ARE SENT WITH EVERY SCENE SET THERE. PROMOTE A GENERATED FRAME FROM ITS CARD.
+                        </p>
+                        <div className="p-4 overflow-y-auto flex-1 min-h-0 space-y-3">
+                            {locations.length === 0 && <p className="text-slate-400 text-center py-8 text-xs font-mono">NO LOCATIONS YET. ADD ONE OR SYNC THE SETS FROM THE SCENE HEADINGS.</p>}
+                            {locations.map(location => {
+                                const set = scriptSets.find(x => findLocation([location], x));
+                                const times = [...new Set([...(set?.times || []), ...Object.keys(location.timeNotes)])];
+                                return (
+                                    <div key={location.id} className="p-3 rounded-lg border border-teal-700 bg-slate-900/70 space-y-2">
+                                        <div className="flex items-center gap-2">
+                                            <select value={location.intExt || ''} onChange={e => updateLocation(location.id, { intExt: e.target.value || null })} title="Side of the set: scenes match entries on the same side"
+                                                className="bg-slate-800 border border-teal-700 rounded-md px-1 py-1 text-xs font-mono text-teal-300">
+                                                <option value="">ANY</option>
+                                                {['INT', 'EXT', 'INT/EXT'].map(side => <option key={side} value={side}>{side}.</option>)}
+                                            </select>
+                                            <input value={location.name} onChange={e => updateLocation(location.id, { name: e.target.value.toUpperCase() })}
+                                                className="flex-1 bg-slate-800 border border-teal-700 rounded-md px-2 py-1 text-sm font-mono font-bold text-teal-300 input-active-glow" />
+                                            <span className="text-xs font-mono text-slate-400 shrink-0">{set ? `SCENES ${set.scenes.join(', ')}` : 'NOT IN SCRIPT'}</span>
+                                            <button onClick={() => describeLocation(location)} disabled={!location.refs.length || describingLocationId !== null}
+                                                title={location.refs.length ? `~$${estimateStage('vision', { inputTokens: 400, outputTokens: 300 }).toFixed(3)}` : 'Add a reference image first'}
+                                                className="premium-button flex items-center gap-1 px-2 py-1 text-xs bg-fuchsia-700 rounded hover:bg-fuchsia-600 font-bold disabled:opacity-40">
+                                                {describingLocationId === location.id ? <Loader2 size={12} className="animate-spin" /> : <BrainCircuit size={12} />} DESCRIBE
+                                            </button>
+                                            <button onClick={() => removeLocation(location.id)} title="Remove location" className="p-1 rounded hover:bg-red-700/60 text-red-400"><Trash2 size={14} /></button>
+                                        </div>
+                                        <div className="flex flex-wrap items-center gap-2">
+                                            {location.refs.map(ref => (
+                                                <div key={ref} className="relative w-24 h-14 rounded overflow-hidden border border-slate-600">
+                                                    <AssetImg src={ref} alt={location.name} className="w-full h-full object-cover" />
+                                                    <button onClick={() => removeLocationRef(location.id, ref)} title="Remove reference"
+                                                        className="absolute top-0 right-0 p-0.5 bg-black/70 rounded-bl hover:bg-red-700"><X size={10} /></button>
+                                                </div>
+                                            ))}
+                                            <label className="w-24 h-14 flex flex-col items-center justify-center rounded border border-dashed border-teal-700 text-teal-400 text-[10px] font-mono cursor-pointer hover:bg-slate-800">
+                                                <Upload size={14} /> ADD REF
+                                                <input type="file" accept="image/*" multiple className="hidden" onChange={e => {
+                                                    if (e.target.files?.length) addLocationRefs(location.id, e.target.files);
+                                                    e.target.value = '';
+                                                }} />
+                                            </label>
+                                        </div>
+                                        <textarea value={location.description} onChange={e => updateLocation(location.id, { description: e.target.value })} rows={3}
+                                            placeholder="Canonical set description (layout, materials, palette, dressing). DESCRIBE fills this from the references."
+                                            className="w-full bg-slate-800 border border-teal-700 rounded-md px-2 py-1 text-xs font-mono input-active-glow" />
+                                        <textarea value={location.lighting} onChange={e => updateLocation(location.id, { lighting: e.target.value })} rows={2}
+                                            placeholder="Lighting notes that hold at any time of day (practicals, key direction, colour temperature)"
+                                            className="w-full bg-slate-800 border border-teal-700 rounded-md px-2 py-1 text-xs font-mono input-active-glow" />
+                                        {times.map(time => (
+                                            <div key={time} className="flex items-center gap-2">
+                                                <span className="w-24 shrink-0 text-xs font-mono font-bold text-teal-300">{time}</span>
+                                                <input value={location.timeNotes[time] || ''} onChange={e => updateLocation(location.id, { timeNotes: { ...location.timeNotes, [time]: e.target.value } })}
+                                                    placeholder={`How ${location.name} looks at ${time.toLowerCase()}`}
+                                                    className="flex-1 bg-slate-800 border border-teal-700 rounded-md px-2 py-1 text-xs font-mono input-active-glow" />
+                                            </div>
+                                        ))}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <div className="p-4 mt-auto border-t-2 border-teal-500/50 bg-slate-900/50 flex flex-wrap justify-end gap-3">
+                            <button onClick={syncLocationsFromScript} className="premium-button flex items-center gap-2 px-4 py-2 text-sm bg-slate-700 rounded-lg hover:bg-slate-600 font-bold">
+                                <FileText size={14} /> SYNC FROM SCRIPT
+                            </button>
+                            <button onClick={addLocation} className="premium-button flex items-center gap-2 px-4 py-2 text-sm bg-teal-600 rounded-lg hover:bg-teal-500 font-extrabold">
+                                <MapIcon size={14} /> ADD LOCATION
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* 20. Continuity Ledger Modal */}
+            {showLedgerModal && directorsVision && (
+                <div className="fixed inset-0 z-[60] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setShowLedgerModal(false)}>
+                    <div className="glass-pane rounded-xl w-full max-w-4xl max-h-[90vh] flex flex-col border-orange-400/40" onClick={e => e.stopPropagation()}>
+                        <div className="p-4 flex justify-between items-center border-b-2 border-cyan-500/50">
+                            <h2 className="font-extrabold text-xl text-orange-400 flex items-center gap-2"><ClipboardCheck size={20} /> CONTINUITY LEDGER</h2>
+                            <button onClick={() => { AudioEngine.play('click'); setShowLedgerModal(false); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+                        </div>
+                        <p className="px-4 pt-3 text-xs font-mono text-slate-400">WARDROBE AND PROP STATES PER SCENE. EVERY FRAME IS OPTIMIZED TO MATCH ITS SCENE'S ENTRIES.</p>
+                        <div className="p-4 overflow-y-auto flex-1 min-h-0 space-y-3">
+                            {!ledgerScenes.length && <p className="text-sm font-mono text-slate-500">THIS SCRIPT HAS NO SCENE HEADINGS. SEGMENT IT INTO SCENES FIRST.</p>}
+                            {ledgerScenes.map(sc => (
+                                <div key={sc.id} className="p-3 rounded-lg border border-orange-700/60 bg-slate-900/70 space-y-2">
+                                    <div className="flex items-center justify-between gap-2">
+                                        <h3 className="text-sm font-bold text-cyan-300 truncate">{sceneLabel(sc)}</h3>
+                                        <button onClick={() => addLedgerEntry(sc.id)} className="premium-button px-2 py-0.5 text-xs bg-slate-700 rounded hover:bg-slate-600 font-bold shrink-0">+ ENTRY</button>
+                                    </div>
+                                    {(continuityLedger[sc.id] || []).map((entry, i) => (
+                                        <div key={i} className="flex items-center gap-2">
+                                            <select value={entry.kind} onChange={e => updateLedgerEntry(sc.id, i, { kind: e.target.value })}
+                                                className="bg-slate-800 border border-orange-700 rounded-md px-1 py-1 text-xs font-mono uppercase">
+                                                {LEDGER_KINDS.map(kind => <option key={kind} value={kind}>{kind.toUpperCase()}</option>)}
+                                            </select>
+                                            <input value={entry.subject} onChange={e => updateLedgerEntry(sc.id, i, { subject: e.target.value.toUpperCase() })} placeholder="CHARACTER OR PROP"
+                                                className="w-40 bg-slate-800 border border-orange-700 rounded-md px-2 py-1 text-xs font-mono font-bold text-orange-300 input-active-glow" />
+                                            <input value={entry.state} onChange={e => updateLedgerEntry(sc.id, i, { state: e.target.value })} placeholder="State in this scene (helmet off, cut above left eye)"
+                                                className="flex-1 bg-slate-800 border border-orange-700 rounded-md px-2 py-1 text-xs font-mono input-active-glow" />
+                                            <button onClick={() => removeLedgerEntry(sc.id, i)} title="Remove entry" className="p-1 rounded hover:bg-red-700/60 text-red-400"><Trash2 size={14} /></button>
+                                        </div>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                        <div className="p-4 mt-auto border-t-2 border-cyan-500/50 bg-slate-900/50 flex flex-wrap justify-end gap-3">
+                            <button onClick={extractContinuityLedger} disabled={busy}
+                                className="premium-button flex items-center gap-2 px-4 py-2 text-sm bg-fuchsia-700 rounded-lg hover:bg-fuchsia-600 font-bold disabled:opacity-40">
+                                {busy ? <Loader2 size={14} className="animate-spin" /> : <BrainCircuit size={14} />} EXTRACT FROM SCRIPT (REPLACES LEDGER)
+                            </button>
+                            <button onClick={runContinuityReport} disabled={busy || !scenes.some(s => s.image)}
+                                className="premium-button flex items-center gap-2 px-4 py-2 text-sm bg-orange-600 rounded-lg hover:bg-orange-500 font-extrabold disabled:opacity-40">
+                                <ClipboardCheck size={14} /> CHECK FRAMES
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* 21. Continuity Report Modal */}
+            {showContinuityReportModal && continuityReport && (
+                <div className="fixed inset-0 z-[60] bg-black/90 backdrop-blur-lg flex items-center justify-center p-4" onClick={() => setShowContinuityReportModal(false)}>
+                    <div className="glass-pane rounded-xl w-full max-w-4xl max-h-[90vh] flex flex-col border-orange-400/40" onClick={e => e.stopPropagation()}>
+                        <div className="p-4 flex justify-between items-center border-b-2 border-cyan-500/50">
+                            <h2 className="font-extrabold text-xl text-orange-400 flex items-center gap-2"><ClipboardCheck size={20} /> CONTINUITY REPORT</h2>
+                            <button onClick={() => { AudioEngine.play('click'); setShowContinuityReportModal(false); }} className="p-1 rounded-full hover:bg-slate-700"><X size={20} /></button>
+                        </div>
+                        <div className="p-4 overflow-y-auto space-y-3">
+                            <p className='text-xs text-slate-400 font-mono border-b border-slate-700 pb-2'>
+                                {continuityReport.filter(entry => entry.issues.length).length} OF {continuityReport.length} CHECKED FRAME(S) CONTRADICT THE LEDGER. RETRY OR EDIT A FLAGGED FRAME, THEN CHECK AGAIN.
+                            </p>
+                            {continuityReport.map(entry => (
+                                <div key={entry.sceneId} className={cn('p-3 rounded-lg border bg-slate-900/50 space-y-1',
+                                    entry.issues.length ? 'border-orange-600' : entry.error ? 'border-red-700' : 'border-green-800')}>
+                                    <h3 className="font-bold text-sm text-cyan-300 flex items-center gap-2">
+                                        {entry.issues.length || entry.error ? <X size={14} className="text-orange-400" /> : <CheckCircle size={14} className="text-green-400" />} {entry.scene}
+                                    </h3>
+                                    {entry.error && <p className="text-xs font-mono text-red-400">CHECK FAILED: {entry.error}</p>}
+                                    {entry.issues.map((issue, i) => (
+                                        <p key={i} className="text-xs font-mono text-slate-300">
+                                            <span className="font-extrabold text-orange-300">{issue.subject}:</span> LEDGER SAYS <span className="text-green-400">{issue.expected}</span>, FRAME SHOWS <span className="text-red-400">{issue.observed}</span>
+                                        </p>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                        <div className="p-4 mt-auto border-t-2 border-cyan-500/50 bg-slate-900/50">
+                            <button onClick={() => { AudioEngine.play('click'); setShowContinuityReportModal(false); }}
+                                className="premium-button w-full px-4 py-2 text-sm bg-slate-700 hover:bg-slate-600 rounded-lg font-bold">CLOSE REPORT</button>
+                        </div>
+                    </div>
+                </div>
+            )}
         </div>
     );
 }
 
+// Unified line diff from diffLines segments; long unchanged runs fold down to their edges.
+// With onToggle, every change hunk gets an accept / reject switch and the side not taken is struck out.
+const DIFF_CONTEXT_LINES = 3;
+
+const DiffView = ({ segments, flags, isAccepted, onToggle }) => (
+    <div className="text-xs font-mono rounded-lg border border-cyan-700 bg-slate-900/70 overflow-x-auto">
+        {segments.map((segment, i) => {
+            if (segment.type === 'change') {
+                const accepted = onToggle ? isAccepted(i) : null;
+                return (
+                    <div key={i} className="border-y border-slate-700/60">
+                        {onToggle && (
+                            <div className="flex items-center justify-between gap-2 px-2 py-1 bg-slate-800/70">
+                                <span className="flex flex-wrap gap-1">
+                                    {(flags?.[i] || []).map(kind => (
+                                        <span key={kind} className="px-1.5 rounded bg-yellow-700/60 text-yellow-200 font-bold">{kind.toUpperCase()} CHANGED</span>
+                                    ))}
+                                </span>
+                                <button onClick={() => onToggle(i)}
+                                    className={`premium-button px-2 py-0.5 rounded font-bold ${accepted ? 'bg-green-700/70 hover:bg-green-600/70 text-green-100' : 'bg-slate-700 hover:bg-slate-600 text-slate-300'}`}>
+                                    {accepted ? 'ACCEPTED' : 'REJECTED'}
+                                </button>
+                            </div>
+                        )}
+                        {segment.removed.map((line, j) => <div key={`r${j}`} className={`px-2 whitespace-pre-wrap bg-red-900/30 text-red-300 ${accepted === true ? 'line-through opacity-50' : ''}`}>- {line}</div>)}
+                        {segment.added.map((line, j) => <div key={`a${j}`} className={`px-2 whitespace-pre-wrap bg-green-900/30 text-green-300 ${accepted === false ? 'line-through opacity-50' : ''}`}>+ {line}</div>)}
+                    </div>
+                );
+            }
+            const { lines } = segment;
+            const head = i === 0 ? 0 : DIFF_CONTEXT_LINES;
+            const tail = i === segments.length - 1 ? 0 : DIFF_CONTEXT_LINES;
+            if (lines.length <= head + tail + 1) {
+                return lines.map((line, j) => <div key={`${i}-${j}`} className="px-2 whitespace-pre-wrap text-slate-400">  {line}</div>);
+            }
+            return (
+                <React.Fragment key={i}>
+                    {lines.slice(0, head).map((line, j) => <div key={`h${j}`} className="px-2 whitespace-pre-wrap text-slate-400">  {line}</div>)}
+                    <div className="px-2 py-0.5 text-slate-600 bg-slate-800/50">··· {lines.length - head - tail} UNCHANGED LINE(S) ···</div>
+                    {lines.slice(lines.length - tail).map((line, j) => <div key={`t${j}`} className="px-2 whitespace-pre-wrap text-slate-400">  {line}</div>)}
+                </React.Fragment>
+            );
+        })}
+    </div>
+);
+
+// <img> that also accepts `asset:` refs from stored history, resolving them to object URLs
+const AssetImg = ({ src, ...props }) => {
+    const [url, setUrl] = useState(isAssetRef(src) ? null : src);
+    useEffect(() => {
+        if (!isAssetRef(src)) {
+            setUrl(src);
+            return;
+        }
+        let active = true;
+        AssetStore.url(src).then(u => active && setUrl(u));
+        return () => { active = false; };
+    }, [src]);
+    return url ? <img src={url} {...props} /> : <div className={props.className} />;
+};
+
 // Simple component for Vision Modal detail
 const VisionDetail = ({ title, children }) => (
     <div class="space-y-1">
@@ -1,7 +1,17 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createProxyHandler, loadProxyConfig } from './server/proxy.js'
+
+// Serves the shared-key proxy's /api routes from the dev server whenever a key is configured
+const sharedKeyProxy = () => ({
+  name: 'shared-key-proxy',
+  configureServer(server) {
+    const config = loadProxyConfig()
+    if (config.apiKey) server.middlewares.use(createProxyHandler(config))
+  },
+})
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), sharedKeyProxy()],
 })